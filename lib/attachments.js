@@ -0,0 +1,121 @@
+// Attachments embedded in notes
+//
+// Referenced vault files are copied to the output under content-hashed names,
+// so deployed copies can be cached and never go stale, and images get their
+// dimensions for width/height attributes. PNG and JPEG images shown smaller
+// than their natural size also get a resized thumbnail (see lib/images.js);
+// other large images shown much smaller are published as they are, and flagged
+// so the build can report them.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { imageSize, resizePng, resizeJpeg } = require('./images');
+
+const IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.gif', '.webp', '.svg', '.bmp', '.avif'];
+const ATTACHMENT_EXTENSIONS = IMAGE_EXTENSIONS.concat(['.pdf', '.mp3', '.wav', '.ogg', '.m4a', '.mp4', '.webm', '.mov']);
+
+// Thumbnail makers by extension, keeping the image's format
+const RESIZERS = { '.png': resizePng, '.jpg': resizeJpeg, '.jpeg': resizeJpeg };
+
+// Thumbnails have twice the display width, for high-density screens
+const THUMBNAIL_SCALE = 2;
+
+// Images over this size that would need a thumbnail but get none are oversized
+const LARGE_IMAGE_BYTES = 200 * 1024;
+
+// Published names are "name.<hash>.ext", thumbnails "name.<hash>-<width>w.ext"
+const RE_PUBLISHED_NAME = /\.[0-9a-f]{10}(?:-\d+w)?\.[a-z0-9]+$/;
+
+// Attachment contents and thumbnails, reused while the file is unchanged (watch mode)
+const cache = new Map();
+
+function isAttachment(fileName) {
+    return ATTACHMENT_EXTENSIONS.includes(path.extname(fileName).toLowerCase());
+}
+
+function readAttachment(fullPath) {
+    const { mtimeMs } = fs.statSync(fullPath);
+    const cached = cache.get(fullPath);
+    if (cached && cached.mtimeMs === mtimeMs) return cached;
+
+    const data = fs.readFileSync(fullPath);
+    const entry = {
+        mtimeMs,
+        data,
+        hash: crypto.createHash('sha256').update(data).digest('hex').slice(0, 10),
+        size: IMAGE_EXTENSIONS.includes(path.extname(fullPath).toLowerCase()) ? imageSize(data) : null,
+        thumbnails: new Map()
+    };
+    cache.set(fullPath, entry);
+    return entry;
+}
+
+// Add a vault file (and its thumbnail, if needed) to media, a Map of published
+// name -> contents. size is the requested display { width, height } or null.
+// Returns { src, image, width, height, original, oversized } with names relative
+// to the media directory; original is set when src is a thumbnail, oversized
+// when a large image is shown at less than half its width without one.
+function publishAttachment(fullPath, size, media) {
+    const ext = path.extname(fullPath).toLowerCase();
+    const base = path.basename(fullPath, path.extname(fullPath)).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'file';
+    const file = readAttachment(fullPath);
+    const name = `${base}.${file.hash}${ext}`;
+    media.set(name, file.data);
+
+    if (!IMAGE_EXTENSIONS.includes(ext)) {
+        return { src: name, image: false };
+    }
+
+    const natural = file.size;
+    let width = size ? size.width : null;
+    let height = size ? size.height : null;
+    if (natural) {
+        width = width || natural.width;
+        height = height || Math.round(width * natural.height / natural.width);
+    }
+
+    const thumbnailWidth = natural && Math.min(natural.width, width * THUMBNAIL_SCALE);
+    if (RESIZERS[ext] && natural && thumbnailWidth < natural.width) {
+        if (!file.thumbnails.has(thumbnailWidth)) {
+            file.thumbnails.set(thumbnailWidth, RESIZERS[ext](file.data, thumbnailWidth));
+        }
+        const thumbnail = file.thumbnails.get(thumbnailWidth);
+        if (thumbnail) {
+            const thumbnailName = `${base}.${file.hash}-${thumbnailWidth}w${ext}`;
+            media.set(thumbnailName, thumbnail);
+            return { src: thumbnailName, image: true, width, height, original: name };
+        }
+    }
+
+    const oversized = Boolean(natural) && thumbnailWidth < natural.width && file.data.length > LARGE_IMAGE_BYTES;
+    return { src: name, image: true, width, height, original: null, oversized };
+}
+
+// Write the published media into dir, removing files left from earlier builds
+function writeMedia(dir, media) {
+    if (fs.existsSync(dir)) {
+        for (const name of fs.readdirSync(dir)) {
+            if (RE_PUBLISHED_NAME.test(name) && !media.has(name)) {
+                fs.unlinkSync(path.join(dir, name));
+            }
+        }
+    } else if (media.size === 0) {
+        return;
+    }
+
+    fs.mkdirSync(dir, { recursive: true });
+    // Names are content-hashed, so an existing file is already up to date
+    media.forEach((data, name) => {
+        const file = path.join(dir, name);
+        if (!fs.existsSync(file)) {
+            fs.writeFileSync(file, data);
+        }
+    });
+}
+
+module.exports = {
+    isAttachment,
+    publishAttachment,
+    writeMedia
+};
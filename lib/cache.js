@@ -0,0 +1,97 @@
+// Build cache
+//
+// Converting notes to HTML is most of a build, so the rendered notes are kept
+// in config.cacheDir between builds. An entry is reused while the note's file
+// is unchanged (by content hash) and every lookup made while rendering it,
+// such as the note a wikilink resolved to or the content of an embedded note,
+// still gives the same result (see renderNotes in lib/vault.js). The whole
+// cache is dropped when the renderer changes: its version is a hash of the
+// builder's sources, so there is no version number to bump.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const CACHE_FILE = 'notes.json';
+
+function hashText(text) {
+    return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+// Hash of lib/*.js, which decide how notes render
+function rendererVersion() {
+    const hash = crypto.createHash('sha256');
+    fs.readdirSync(__dirname)
+        .filter(name => name.endsWith('.js'))
+        .sort()
+        .forEach(name => hash.update(name).update(fs.readFileSync(path.join(__dirname, name))));
+    return hash.digest('hex').slice(0, 16);
+}
+
+// The cache of a vault, { file, version, vault, clean, modes, used, changed }:
+// modes has the entries by note id of the single-file wiki ("wiki") and of the
+// multi-page site ("pages"). With clean, earlier entries are not reused (the
+// notes rendered replace them).
+function openCache(config, options = {}) {
+    const cache = {
+        file: path.join(config.cacheDir, CACHE_FILE),
+        version: rendererVersion(),
+        vault: config.vault,
+        clean: Boolean(options.clean),
+        modes: { wiki: {}, pages: {} },
+        used: { wiki: new Set(), pages: new Set() },
+        changed: false
+    };
+    if (!fs.existsSync(cache.file)) return cache;
+
+    try {
+        const saved = JSON.parse(fs.readFileSync(cache.file, 'utf-8'));
+        if (saved.version === cache.version && saved.vault === cache.vault) {
+            cache.modes = { wiki: saved.modes.wiki || {}, pages: saved.modes.pages || {} };
+        }
+    } catch (err) {
+        // An unreadable cache is rebuilt
+    }
+    return cache;
+}
+
+// A note's entry in the given mode, or null
+function getEntry(cache, mode, noteId) {
+    cache.used[mode].add(noteId);
+    return !cache.clean && Object.hasOwn(cache.modes[mode], noteId) ? cache.modes[mode][noteId] : null;
+}
+
+function setEntry(cache, mode, noteId, entry) {
+    cache.used[mode].add(noteId);
+    cache.modes[mode][noteId] = entry;
+    cache.changed = true;
+}
+
+// Write the cache if it changed, without the entries of notes that are gone
+// from a mode this build rendered. Later renderings (watch mode) reuse entries
+// again, even after a clean build.
+function saveCache(cache) {
+    cache.clean = false;
+    for (const mode in cache.modes) {
+        if (cache.used[mode].size === 0) continue;
+        for (const noteId of Object.keys(cache.modes[mode])) {
+            if (!cache.used[mode].has(noteId)) {
+                delete cache.modes[mode][noteId];
+                cache.changed = true;
+            }
+        }
+    }
+    if (!cache.changed) return;
+
+    fs.mkdirSync(path.dirname(cache.file), { recursive: true });
+    fs.writeFileSync(cache.file, JSON.stringify({ version: cache.version, vault: cache.vault, modes: cache.modes }));
+    cache.changed = false;
+}
+
+module.exports = {
+    hashText,
+    openCache,
+    getEntry,
+    setEntry,
+    saveCache
+};
@@ -0,0 +1,1160 @@
+// Client script shared by both output modes. The single-file wiki embeds
+// notes, structure, searchIndex, graph and recentChanges and shows notes with loadNote; in
+// the multi-page site every note is a static page (body data-root points to
+// the site root) and searchIndex and graph come from assets/*.js.
+const pageRoot = document.body.dataset.root;
+const multiPage = pageRoot !== undefined;
+const fileTree = document.getElementById('fileTree');
+const notesContainer = document.getElementById('notesContainer');
+const emptyState = document.getElementById('emptyState');
+const sidebarToggle = document.getElementById('sidebarToggle');
+const themeToggle = document.getElementById('themeToggle');
+const sidebar = document.getElementById('sidebar');
+const mainContent = document.getElementById('mainContent');
+const searchInput = document.getElementById('searchInput');
+const searchResults = document.getElementById('searchResults');
+const graphView = document.getElementById('graphView');
+const graphCanvas = document.getElementById('graphCanvas');
+const graphToggle = document.getElementById('graphToggle');
+const graphLocal = document.getElementById('graphLocal');
+const tagFilter = document.getElementById('tagFilter');
+let currentNoteId = null;
+
+// Initialize theme
+const savedTheme = localStorage.getItem('theme') || 'light';
+document.body.setAttribute('data-theme', savedTheme);
+updateThemeIcon(savedTheme);
+
+// Theme toggle
+themeToggle.addEventListener('click', () => {
+    const currentTheme = document.body.getAttribute('data-theme');
+    const newTheme = currentTheme === 'dark' ? 'light' : 'dark';
+    document.body.setAttribute('data-theme', newTheme);
+    localStorage.setItem('theme', newTheme);
+    updateThemeIcon(newTheme);
+    drawGraph();
+});
+
+function updateThemeIcon(theme) {
+    themeToggle.textContent = theme === 'dark' ? '☀️' : '🌙';
+}
+
+// Sidebar toggle
+sidebarToggle.addEventListener('click', () => {
+    sidebar.classList.toggle('hidden');
+    mainContent.classList.toggle('sidebar-hidden');
+});
+
+// Build file tree
+function buildFileTree(items, parentList) {
+    items.forEach(item => {
+        const li = document.createElement('li');
+
+        if (item.type === 'folder') {
+            li.className = 'folder';
+            li.textContent = item.name;
+            li.dataset.path = item.path;
+            li.addEventListener('click', (e) => {
+                e.stopPropagation();
+                li.classList.toggle('collapsed');
+                history.replaceState({ collapsed: collapsedFolders() }, '', location.hash || location.pathname);
+            });
+
+            const ul = document.createElement('ul');
+            if (item.children && item.children.length > 0) {
+                buildFileTree(item.children, ul);
+            }
+            li.appendChild(ul);
+            parentList.appendChild(li);
+        } else if (item.type === 'file') {
+            li.className = 'file';
+            li.textContent = item.name;
+            li.title = item.path;
+            li.dataset.noteId = item.noteId;
+            li.dataset.tags = notes[item.noteId].tags.join(' ');
+            li.addEventListener('click', (e) => {
+                e.stopPropagation();
+                loadNote(item.noteId);
+            });
+            parentList.appendChild(li);
+        }
+    });
+}
+
+// Load note, optionally scrolling to a heading or block anchor.
+// Navigation is recorded in the URL unless it comes from the history itself.
+function loadNote(noteId, anchor, options = {}) {
+    const note = notes[noteId];
+    if (!note) {
+        console.error('Note not found:', noteId);
+        return;
+    }
+
+    emptyState.style.display = 'none';
+    clearSearchHits();
+    closeGraph();
+    currentNoteId = noteId;
+
+    // Check if note content already exists
+    let noteDiv = document.getElementById('note-' + noteId);
+    if (!noteDiv) {
+        noteDiv = document.createElement('div');
+        noteDiv.id = 'note-' + noteId;
+        noteDiv.className = 'note-content';
+        noteDiv.innerHTML = note.dates + note.content;
+        renderBacklinks(noteDiv, note);
+        noteDiv.insertAdjacentHTML('beforeend', note.changelog);
+        notesContainer.appendChild(noteDiv);
+
+        // Attach wiki link, tag and footnote listeners
+        attachWikiLinkListeners(noteDiv);
+        attachTagListeners(noteDiv);
+        attachAnchorListeners(noteDiv);
+        addHeadingAnchors(noteDiv);
+        renderOutline(noteDiv);
+    }
+
+    // Hide all notes and show selected
+    document.querySelectorAll('.note-content').forEach(n => n.classList.remove('active'));
+    noteDiv.classList.add('active');
+    updateOutline();
+
+    // Update active state in sidebar
+    document.querySelectorAll('.file-tree li').forEach(l => {
+        l.classList.toggle('active', l.dataset.noteId === noteId);
+    });
+    revealInTree(noteId);
+
+    // Update the URL and browser history
+    const url = noteUrl(noteId, anchor && !anchor.search ? anchor : null);
+    const state = { collapsed: collapsedFolders() };
+    if (options.fromHistory || url === location.hash) {
+        history.replaceState(state, '', url);
+    } else {
+        history.pushState(state, '', url);
+    }
+    document.title = note.name + ' - ' + siteTitle;
+
+    // Scroll to the anchor, or to top
+    const target = anchor ? findAnchor(noteDiv, anchor) : null;
+    if (target) {
+        target.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    } else {
+        window.scrollTo({ top: 0, behavior: 'smooth' });
+    }
+}
+
+function showEmptyState() {
+    closeGraph();
+    clearSearchHits();
+    currentNoteId = null;
+    document.querySelectorAll('.note-content').forEach(n => n.classList.remove('active'));
+    document.querySelectorAll('.file-tree li').forEach(l => l.classList.remove('active'));
+    emptyState.style.display = '';
+    document.title = siteTitle;
+}
+
+// Routing: every note has a URL "#/Folder/Note", optionally followed
+// by "#Heading" or "#^block-id"
+function noteUrl(noteId, anchor) {
+    let url = '#/' + noteId.split('/').map(encodeURIComponent).join('/');
+    if (anchor && anchor.heading) {
+        url += '#' + encodeURIComponent(anchor.heading);
+    } else if (anchor && anchor.block) {
+        url += '#^' + encodeURIComponent(anchor.block);
+    }
+    return url;
+}
+
+function parseRoute(hash) {
+    const match = hash.match(/^#\/([^#]*)(?:#(\^?)(.*))?$/);
+    if (!match) return null;
+    try {
+        const noteId = match[1].split('/').map(decodeURIComponent).join('/');
+        let anchor = null;
+        if (match[3]) {
+            const value = decodeURIComponent(match[3]);
+            anchor = match[2] ? { block: value } : { heading: value };
+        }
+        return { noteId, anchor };
+    } catch (err) {
+        return null;
+    }
+}
+
+// Show the note for the current URL, restoring the folders collapsed at that point
+function route() {
+    if (history.state && history.state.collapsed) {
+        restoreFolders(history.state.collapsed);
+    }
+    const target = parseRoute(location.hash);
+    const tag = parseTagRoute(location.hash);
+    if (target && notes[target.noteId]) {
+        loadNote(target.noteId, target.anchor, { fromHistory: true });
+    } else if (tag && taggedNotes(tag).length > 0) {
+        showTag(tag, { fromHistory: true });
+    } else if (location.hash === '#recent' && recentChanges.length > 0) {
+        showRecent({ fromHistory: true });
+    } else {
+        showEmptyState();
+    }
+}
+
+// Tags have the URL "#tag/era/first-age"
+function tagUrl(tag) {
+    return '#tag/' + tag.split('/').map(encodeURIComponent).join('/');
+}
+
+function parseTagRoute(hash) {
+    const match = hash.match(/^#tag\/(.+)$/);
+    if (!match) return null;
+    try {
+        return match[1].split('/').map(decodeURIComponent).join('/');
+    } catch (err) {
+        return null;
+    }
+}
+
+// Notes tagged with a tag or one nested under it
+function taggedNotes(tag) {
+    return Object.keys(notes).filter(noteId => notes[noteId].tags.some(t => t === tag || t.startsWith(tag + '/')));
+}
+
+// Tag page: the notes with the tag, built like the multi-page site's tag pages
+function showTag(tag, options = {}) {
+    emptyState.style.display = 'none';
+    clearSearchHits();
+    closeGraph();
+    currentNoteId = null;
+
+    let tagDiv = document.getElementById('tagPage');
+    if (!tagDiv) {
+        tagDiv = document.createElement('div');
+        tagDiv.id = 'tagPage';
+        tagDiv.className = 'note-content tag-page';
+        notesContainer.appendChild(tagDiv);
+    }
+    const noteIds = taggedNotes(tag).sort((a, b) => notes[a].name.localeCompare(notes[b].name));
+    const nested = Array.from(new Set(noteIds.flatMap(noteId => notes[noteId].tags)))
+        .filter(t => t.startsWith(tag + '/'))
+        .sort();
+    tagDiv.innerHTML = `<h1>#${escapeHtml(tag)}</h1>` +
+        `<p class="tag-page-count">${noteIds.length} note${noteIds.length === 1 ? '' : 's'}</p>` +
+        '<ul class="tag-page-notes">' + noteIds.map(noteId =>
+            `<li><a href="#" class="wikilink" data-note-id="${escapeHtml(noteId)}">${escapeHtml(notes[noteId].name)}</a> ` +
+            `<span class="tag-page-path">${escapeHtml(notes[noteId].path)}</span></li>`).join('') + '</ul>' +
+        (nested.length === 0 ? '' : '<div class="tags">Nested tags: ' + nested.map(t =>
+            `<a href="#" class="tag" data-tag="${escapeHtml(t)}">#${escapeHtml(t)}</a>`).join(' ') + '</div>');
+    attachWikiLinkListeners(tagDiv);
+    attachTagListeners(tagDiv);
+
+    document.querySelectorAll('.note-content').forEach(n => n.classList.remove('active'));
+    tagDiv.classList.add('active');
+    document.querySelectorAll('.file-tree li').forEach(l => l.classList.remove('active'));
+
+    const url = tagUrl(tag);
+    const state = { collapsed: collapsedFolders() };
+    if (options.fromHistory || url === location.hash) {
+        history.replaceState(state, '', url);
+    } else {
+        history.pushState(state, '', url);
+    }
+    document.title = '#' + tag + ' - ' + siteTitle;
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+}
+
+// "Recently changed" page at "#recent", built like the multi-page site's recent.html
+function showRecent(options = {}) {
+    emptyState.style.display = 'none';
+    clearSearchHits();
+    closeGraph();
+    currentNoteId = null;
+
+    let recentDiv = document.getElementById('recentPage');
+    if (!recentDiv) {
+        recentDiv = document.createElement('div');
+        recentDiv.id = 'recentPage';
+        recentDiv.className = 'note-content recent-page';
+        notesContainer.appendChild(recentDiv);
+    }
+    const days = [];
+    recentChanges.forEach(change => {
+        const day = change.date.slice(0, 10);
+        if (days.length === 0 || days[days.length - 1].day !== day) days.push({ day, changes: [] });
+        days[days.length - 1].changes.push(change);
+    });
+    recentDiv.innerHTML = '<h1>Recently changed</h1>' + days.map(({ day, changes }) =>
+        `<h2 class="recent-day">${escapeHtml(day)}</h2><ul class="recent-changes">` + changes.map(change =>
+            `<li><a href="#" class="wikilink" data-note-id="${escapeHtml(change.noteId)}">${escapeHtml(notes[change.noteId].name)}</a> ` +
+            `<span class="recent-author">by ${escapeHtml(change.author)}</span> <span class="diff-stat">` +
+            `<span class="diff-added">+${change.added}</span> <span class="diff-removed">−${change.removed}</span></span></li>`).join('') +
+        '</ul>').join('');
+    attachWikiLinkListeners(recentDiv);
+
+    document.querySelectorAll('.note-content').forEach(n => n.classList.remove('active'));
+    recentDiv.classList.add('active');
+    document.querySelectorAll('.file-tree li').forEach(l => l.classList.remove('active'));
+
+    const url = '#recent';
+    const state = { collapsed: collapsedFolders() };
+    if (options.fromHistory || url === location.hash) {
+        history.replaceState(state, '', url);
+    } else {
+        history.pushState(state, '', url);
+    }
+    document.title = 'Recently changed - ' + siteTitle;
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+}
+
+// Tag links open the tag page
+function attachTagListeners(container) {
+    container.querySelectorAll('a.tag').forEach(link => {
+        const tag = link.dataset.tag;
+        link.href = tagUrl(tag);
+        link.addEventListener('click', (e) => {
+            if (e.ctrlKey || e.metaKey || e.shiftKey) return;
+            e.preventDefault();
+            showTag(tag);
+        });
+    });
+}
+
+// Sidebar tag filter: show only notes with the tag (or a nested one) and the
+// folders containing them. The choice is kept for the browser session.
+function filterTree(tag) {
+    fileTree.querySelectorAll('li.file').forEach(li => {
+        const tags = li.dataset.tags ? li.dataset.tags.split(' ') : [];
+        li.hidden = Boolean(tag) && !tags.some(t => t === tag || t.startsWith(tag + '/'));
+    });
+    Array.from(fileTree.querySelectorAll('li.folder')).reverse().forEach(li => {
+        li.hidden = Boolean(tag) && !li.querySelector('li.file:not([hidden])');
+    });
+}
+
+function initTagFilter() {
+    if (!tagFilter) return;
+    const saved = sessionStorage.getItem('tagFilter') || '';
+    if (Array.from(tagFilter.options).some(option => option.value === saved)) {
+        tagFilter.value = saved;
+    }
+    filterTree(tagFilter.value);
+    tagFilter.addEventListener('change', () => {
+        sessionStorage.setItem('tagFilter', tagFilter.value);
+        filterTree(tagFilter.value);
+    });
+}
+
+function collapsedFolders() {
+    return Array.from(fileTree.querySelectorAll('li.folder.collapsed')).map(li => li.dataset.path);
+}
+
+function restoreFolders(paths) {
+    fileTree.querySelectorAll('li.folder').forEach(li => {
+        li.classList.toggle('collapsed', paths.includes(li.dataset.path));
+    });
+}
+
+// Expand the folders containing a note and scroll it into view
+function revealInTree(noteId) {
+    const item = Array.from(fileTree.querySelectorAll('li.file')).find(li => li.dataset.noteId === noteId);
+    if (!item) return;
+    for (let folder = item.parentElement.closest('li.folder'); folder; folder = folder.parentElement.closest('li.folder')) {
+        folder.classList.remove('collapsed');
+    }
+    item.scrollIntoView({ block: 'nearest' });
+}
+
+window.addEventListener('popstate', () => {
+    if (!multiPage) route();
+});
+
+// Show a note in place, or go to its page in the multi-page site
+function openNote(noteId, anchor) {
+    if (multiPage) {
+        location.href = pageRoot + pageUrl(noteId, anchor);
+    } else {
+        loadNote(noteId, anchor);
+    }
+}
+
+// Multi-page URLs mirror the vault: "Folder/Note.html", with the heading or
+// block as "#Heading" / "#^block-id" and a search hit as "?search=term"
+function pageUrl(noteId, anchor) {
+    let url = noteId.split('/').map(encodeURIComponent).join('/') + '.html';
+    if (anchor && anchor.search) {
+        url += '?search=' + encodeURIComponent(anchor.search);
+    } else if (anchor && anchor.heading) {
+        url += '#' + encodeURIComponent(anchor.heading);
+    } else if (anchor && anchor.block) {
+        url += '#^' + encodeURIComponent(anchor.block);
+    }
+    return url;
+}
+
+// Multi-page site: the tree is static HTML, folders stay collapsed across pages
+function initPage() {
+    currentNoteId = document.body.dataset.noteId || null;
+    restoreFolders(JSON.parse(sessionStorage.getItem('collapsedFolders') || '[]'));
+    fileTree.querySelectorAll('li.folder').forEach(li => {
+        li.addEventListener('click', (e) => {
+            if (e.target !== li) return;
+            li.classList.toggle('collapsed');
+            sessionStorage.setItem('collapsedFolders', JSON.stringify(collapsedFolders()));
+        });
+    });
+    if (currentNoteId) {
+        revealInTree(currentNoteId);
+        const noteDiv = document.querySelector('.note-content');
+        addHeadingAnchors(noteDiv);
+        renderOutline(noteDiv);
+    }
+    scrollToPageAnchor();
+    updateOutline();
+}
+
+// Heading ids are handled by the browser; "#Heading" text and "#^block-id" are found by findAnchor
+function scrollToPageAnchor() {
+    const noteDiv = document.querySelector('.note-content');
+    if (!noteDiv) return;
+
+    const search = new URLSearchParams(location.search).get('search');
+    let anchor = search ? { search } : null;
+    if (!anchor && location.hash.length > 1) {
+        let value;
+        try {
+            value = decodeURIComponent(location.hash.substring(1));
+        } catch (err) {
+            return;
+        }
+        // Footnotes and other real ids are handled by the browser
+        if (document.getElementById(value)) return;
+        anchor = value.startsWith('^') ? { block: value.substring(1) } : { heading: value };
+    }
+
+    const target = anchor ? findAnchor(noteDiv, anchor) : null;
+    if (target) {
+        target.scrollIntoView({ block: 'start' });
+    }
+}
+
+// "Linked from" section listing the notes that link here
+function renderBacklinks(noteDiv, note) {
+    if (note.backlinks.length === 0) return;
+
+    const section = document.createElement('section');
+    section.className = 'backlinks';
+    const title = document.createElement('div');
+    title.className = 'backlinks-title';
+    title.textContent = 'Linked from';
+    section.appendChild(title);
+
+    const list = document.createElement('ul');
+    note.backlinks.forEach(backlink => {
+        const li = document.createElement('li');
+        const link = document.createElement('a');
+        link.href = noteUrl(backlink.noteId);
+        link.className = 'wikilink';
+        link.dataset.noteId = backlink.noteId;
+        link.textContent = notes[backlink.noteId].name;
+        link.title = backlink.noteId;
+        const context = document.createElement('div');
+        context.className = 'backlink-context';
+        context.textContent = backlink.context;
+        li.appendChild(link);
+        li.appendChild(context);
+        list.appendChild(li);
+    });
+    section.appendChild(list);
+    noteDiv.appendChild(section);
+}
+
+// Find a heading (by text), a block (by id) or a search hit inside a rendered
+// note, expanding the collapsed callouts around it
+function findAnchor(noteDiv, anchor) {
+    let target = null;
+    if (anchor.search) {
+        target = markSearchHit(noteDiv, anchor.search);
+    } else if (anchor.block) {
+        const blockAnchor = Array.from(noteDiv.querySelectorAll('.block-anchor'))
+            .find(el => el.dataset.blockId === anchor.block);
+        target = blockAnchor ? (blockAnchor.closest('li, p, h1, h2, h3, h4, h5, h6') || blockAnchor) : null;
+    } else if (anchor.heading) {
+        // By id ("#the-first-age"), or by text as written in [[Note#The First Age]]
+        const normalize = text => text.trim().toLowerCase().replace(/\s+/g, ' ');
+        const wanted = normalize(anchor.heading);
+        const headings = Array.from(noteDiv.querySelectorAll('h1, h2, h3, h4, h5, h6'));
+        target = headings.find(h => h.id === anchor.heading) ||
+            headings.find(h => normalize(h.textContent) === wanted) || null;
+    }
+    for (let details = target && target.closest('details'); details; details = details.parentElement.closest('details')) {
+        details.open = true;
+    }
+    return target;
+}
+
+// URL of a section of the current note, "#/Note#id" or "Note.html#id"
+function sectionUrl(heading) {
+    if (multiPage) return '#' + encodeURIComponent(heading.id);
+    return noteUrl(currentNoteId, { heading: heading.id });
+}
+
+// Copyable link next to each heading; clicking it also puts it in the address bar
+function addHeadingAnchors(noteDiv) {
+    noteDiv.querySelectorAll('h1[id], h2[id], h3[id], h4[id], h5[id], h6[id]').forEach(heading => {
+        const link = document.createElement('a');
+        link.className = 'heading-anchor';
+        link.href = sectionUrl(heading);
+        link.title = 'Copy link to this section';
+        link.setAttribute('aria-label', 'Copy link to this section');
+        link.addEventListener('click', (e) => {
+            e.preventDefault();
+            history.replaceState(history.state, '', sectionUrl(heading));
+            heading.scrollIntoView({ behavior: 'smooth', block: 'start' });
+            if (navigator.clipboard) {
+                navigator.clipboard.writeText(location.href).then(() => {
+                    link.classList.add('copied');
+                    setTimeout(() => link.classList.remove('copied'), 1500);
+                }, () => {});
+            }
+        });
+        heading.appendChild(link);
+    });
+}
+
+// Outline of the note's headings, shown beside the note on wide screens
+function renderOutline(noteDiv) {
+    const headings = Array.from(noteDiv.querySelectorAll('h1[id], h2[id], h3[id], h4[id], h5[id], h6[id]'));
+    if (headings.length < 2) return;
+
+    const topLevel = Math.min(...headings.map(h => Number(h.tagName[1])));
+    const nav = document.createElement('nav');
+    nav.className = 'note-outline';
+    nav.setAttribute('aria-label', 'Contents');
+    const title = document.createElement('div');
+    title.className = 'note-outline-title';
+    title.textContent = 'Contents';
+    nav.appendChild(title);
+
+    const list = document.createElement('ul');
+    headings.forEach(heading => {
+        const li = document.createElement('li');
+        li.style.paddingLeft = (Number(heading.tagName[1]) - topLevel) * 12 + 'px';
+        const link = document.createElement('a');
+        link.href = sectionUrl(heading);
+        link.textContent = heading.textContent;
+        link.dataset.headingId = heading.id;
+        link.addEventListener('click', (e) => {
+            e.preventDefault();
+            history.replaceState(history.state, '', sectionUrl(heading));
+            heading.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        });
+        li.appendChild(link);
+        list.appendChild(li);
+    });
+    nav.appendChild(list);
+    noteDiv.insertBefore(nav, noteDiv.firstChild);
+}
+
+// Highlight the outline entry of the section at the top of the window
+function updateOutline() {
+    const noteDiv = document.querySelector('.note-content.active');
+    const nav = noteDiv && noteDiv.querySelector('.note-outline');
+    if (!nav) return;
+    let current = null;
+    noteDiv.querySelectorAll('h1[id], h2[id], h3[id], h4[id], h5[id], h6[id]').forEach(heading => {
+        if (heading.getBoundingClientRect().top <= 100) current = heading.id;
+    });
+    nav.querySelectorAll('a').forEach(link => {
+        link.classList.toggle('current', link.dataset.headingId === (current || nav.querySelector('a').dataset.headingId));
+    });
+}
+
+let outlineFrame = null;
+window.addEventListener('scroll', () => {
+    if (outlineFrame) return;
+    outlineFrame = requestAnimationFrame(() => {
+        outlineFrame = null;
+        updateOutline();
+    });
+});
+
+// Wiki link navigation (resolved at build time, missing pages have no note id)
+function attachWikiLinkListeners(container) {
+    container.querySelectorAll('a.wikilink').forEach(link => {
+        const noteId = link.dataset.noteId;
+        const anchor = { heading: link.dataset.heading, block: link.dataset.block };
+        if (noteId) {
+            link.href = noteUrl(noteId, anchor);
+        }
+        link.addEventListener('click', (e) => {
+            // Let the browser open modified clicks in a new tab
+            if (noteId && (e.ctrlKey || e.metaKey || e.shiftKey)) return;
+            e.preventDefault();
+            if (noteId) {
+                loadNote(noteId, anchor);
+            }
+        });
+    });
+}
+
+// In-note anchors (footnotes) scroll within the note that contains them
+function attachAnchorListeners(container) {
+    container.querySelectorAll('a[href^="#"]:not(.wikilink):not(.tag)').forEach(link => {
+        link.addEventListener('click', (e) => {
+            e.preventDefault();
+            const id = decodeURIComponent(link.getAttribute('href').substring(1));
+            const target = Array.from(container.querySelectorAll('[id]')).find(el => el.id === id);
+            if (target) {
+                target.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            }
+        });
+    });
+}
+
+// Search (the index is built at build time, see lib/search.js)
+const searchTerms = Object.keys(searchIndex.terms);
+let selectedResult = -1;
+
+function tokenize(text) {
+    return text.toLowerCase()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(token => token.length > 1);
+}
+
+// Lowercase without diacritics, keeping one character per character
+function foldText(text) {
+    return text.split('').map(ch => ch.normalize('NFD')[0].toLowerCase()[0]).join('');
+}
+
+// Levenshtein distance, giving up once it exceeds max
+function editDistance(a, b, max) {
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+            rowMin = Math.min(rowMin, current[j]);
+        }
+        if (rowMin > max) return max + 1;
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+// Exact, prefix and fuzzy matches for every query word; all words must match
+function searchNotes(query) {
+    const tokens = tokenize(query);
+    if (tokens.length === 0) return [];
+
+    let docScores = null;
+    const matchedTerms = new Set();
+    tokens.forEach(token => {
+        const tokenScores = new Map();
+        const maxDistance = token.length >= 7 ? 2 : token.length >= 4 ? 1 : 0;
+        searchTerms.forEach(term => {
+            let weight = 0;
+            if (term === token) {
+                weight = 1;
+            } else if (term.startsWith(token)) {
+                weight = 0.7;
+            } else if (maxDistance && Math.abs(term.length - token.length) <= maxDistance &&
+                editDistance(term, token, maxDistance) <= maxDistance) {
+                weight = 0.4;
+            }
+            if (!weight) return;
+            matchedTerms.add(term);
+            searchIndex.terms[term].forEach(([doc, score]) => {
+                tokenScores.set(doc, Math.max(tokenScores.get(doc) || 0, score * weight));
+            });
+        });
+
+        if (docScores === null) {
+            docScores = tokenScores;
+        } else {
+            const combined = new Map();
+            docScores.forEach((score, doc) => {
+                if (tokenScores.has(doc)) combined.set(doc, score + tokenScores.get(doc));
+            });
+            docScores = combined;
+        }
+    });
+
+    const terms = Array.from(matchedTerms).sort((a, b) => b.length - a.length);
+    return Array.from(docScores)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 10)
+        .map(([doc]) => ({ doc: searchIndex.docs[doc], terms }));
+}
+
+// Position of the first word starting with one of the terms
+function findTermPosition(folded, terms) {
+    let best = null;
+    terms.forEach(term => {
+        let index = folded.indexOf(term);
+        while (index !== -1) {
+            if (index === 0 || !/[\p{L}\p{N}]/u.test(folded[index - 1])) {
+                if (!best || index < best.index) best = { index, term };
+                break;
+            }
+            index = folded.indexOf(term, index + 1);
+        }
+    });
+    return best;
+}
+
+function escapeHtml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// Text with every word starting with a term wrapped in <mark>
+function highlight(text, terms) {
+    const folded = foldText(text);
+    let html = '';
+    let pos = 0;
+    for (;;) {
+        const hit = findTermPosition(folded.slice(pos), terms);
+        if (!hit) break;
+        const start = pos + hit.index;
+        html += escapeHtml(text.slice(pos, start)) + '<mark>' + escapeHtml(text.slice(start, start + hit.term.length)) + '</mark>';
+        pos = start + hit.term.length;
+    }
+    return html + escapeHtml(text.slice(pos));
+}
+
+function snippet(text, terms) {
+    const hit = findTermPosition(foldText(text), terms);
+    const start = hit ? Math.max(0, hit.index - 60) : 0;
+    const end = Math.min(text.length, start + 160);
+    return (start > 0 ? '…' : '') + highlight(text.slice(start, end), terms) + (end < text.length ? '…' : '');
+}
+
+function renderSearchResults() {
+    const query = searchInput.value.trim();
+    searchResults.innerHTML = '';
+    selectedResult = -1;
+    if (!query) {
+        searchResults.classList.remove('open');
+        return;
+    }
+
+    const results = searchNotes(query);
+    if (results.length === 0) {
+        const li = document.createElement('li');
+        li.className = 'search-empty';
+        li.textContent = 'No matching notes';
+        searchResults.appendChild(li);
+    }
+    results.forEach(result => {
+        const li = document.createElement('li');
+        li.innerHTML = '<div class="search-result-title">' + highlight(result.doc.title, result.terms) + '</div>' +
+            '<div class="search-result-path">' + escapeHtml(result.doc.path) + '</div>' +
+            '<div class="search-result-snippet">' + snippet(result.doc.text, result.terms) + '</div>';
+        li.addEventListener('click', () => openSearchResult(result));
+        li.result = result;
+        searchResults.appendChild(li);
+    });
+    searchResults.classList.add('open');
+}
+
+function openSearchResult(result) {
+    const hit = findTermPosition(foldText(result.doc.text), result.terms);
+    searchResults.classList.remove('open');
+    searchInput.blur();
+    openNote(result.doc.id, hit ? { search: hit.term } : null);
+}
+
+// Highlight the first word starting with term inside a note and return it
+function markSearchHit(noteDiv, term) {
+    // The outline repeats the headings, the hit is the one in the text
+    const walker = document.createTreeWalker(noteDiv, NodeFilter.SHOW_TEXT, {
+        acceptNode: node => (node.parentElement.closest('.note-outline') ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT)
+    });
+    let node;
+    while ((node = walker.nextNode())) {
+        const hit = findTermPosition(foldText(node.nodeValue), [term]);
+        if (!hit) continue;
+        const match = node.splitText(hit.index);
+        match.splitText(term.length);
+        const mark = document.createElement('mark');
+        mark.className = 'search-hit';
+        match.parentNode.replaceChild(mark, match);
+        mark.appendChild(match);
+        return mark;
+    }
+    return null;
+}
+
+function clearSearchHits() {
+    document.querySelectorAll('mark.search-hit').forEach(mark => {
+        const parent = mark.parentNode;
+        parent.replaceChild(document.createTextNode(mark.textContent), mark);
+        parent.normalize();
+    });
+}
+
+function selectResult(index) {
+    const items = Array.from(searchResults.querySelectorAll('li')).filter(li => li.result);
+    if (items.length === 0) return;
+    selectedResult = (index + items.length) % items.length;
+    items.forEach((li, i) => li.classList.toggle('selected', i === selectedResult));
+    items[selectedResult].scrollIntoView({ block: 'nearest' });
+}
+
+searchInput.addEventListener('input', renderSearchResults);
+searchInput.addEventListener('focus', () => {
+    if (searchInput.value.trim()) renderSearchResults();
+});
+searchInput.addEventListener('keydown', (e) => {
+    if (e.key === 'ArrowDown') {
+        e.preventDefault();
+        selectResult(selectedResult + 1);
+    } else if (e.key === 'ArrowUp') {
+        e.preventDefault();
+        selectResult(selectedResult - 1);
+    } else if (e.key === 'Enter') {
+        const items = Array.from(searchResults.querySelectorAll('li')).filter(li => li.result);
+        const item = items[Math.max(selectedResult, 0)];
+        if (item) openSearchResult(item.result);
+    } else if (e.key === 'Escape') {
+        searchResults.classList.remove('open');
+        searchInput.blur();
+    }
+});
+document.addEventListener('click', (e) => {
+    if (!e.target.closest('.search')) searchResults.classList.remove('open');
+});
+
+// Graph view: a force-directed layout using the settings from .obsidian/graph.json
+const graphState = { nodes: [], links: [], scale: 1, offsetX: 0, offsetY: 0, alpha: 0, hover: null, drag: null, fitted: false, frame: null };
+
+function openGraph() {
+    graphView.classList.add('active');
+    graphToggle.classList.add('active');
+    graphLocal.disabled = !currentNoteId;
+    if (!currentNoteId) graphLocal.checked = false;
+    startGraph();
+}
+
+function closeGraph() {
+    graphView.classList.remove('active');
+    graphToggle.classList.remove('active');
+    if (graphState.frame) cancelAnimationFrame(graphState.frame);
+    graphState.frame = null;
+}
+
+// The whole vault, or the current note and its direct neighbours
+function graphSubset() {
+    if (!graphLocal.checked || !currentNoteId) {
+        return { nodes: graph.nodes.map((node, i) => i), links: graph.links };
+    }
+    const center = graph.nodes.findIndex(node => node.id === currentNoteId);
+    const included = new Set([center]);
+    graph.links.forEach(([source, target]) => {
+        if (source === center) included.add(target);
+        if (target === center) included.add(source);
+    });
+    return {
+        nodes: Array.from(included),
+        links: graph.links.filter(([source, target]) => included.has(source) && included.has(target))
+    };
+}
+
+function startGraph() {
+    const subset = graphSubset();
+    const position = {};
+    subset.nodes.forEach(i => { position[i] = graphState.nodes.find(node => node.index === i); });
+
+    graphState.nodes = subset.nodes.map((i, n) => {
+        const previous = position[i];
+        const angle = n * 2.399963;
+        const radius = 40 * Math.sqrt(n + 1);
+        return Object.assign({}, graph.nodes[i], {
+            index: i,
+            x: previous ? previous.x : Math.cos(angle) * radius,
+            y: previous ? previous.y : Math.sin(angle) * radius,
+            vx: 0,
+            vy: 0,
+            degree: 0
+        });
+    });
+    const byIndex = {};
+    graphState.nodes.forEach(node => { byIndex[node.index] = node; });
+    graphState.links = subset.links.map(([source, target]) => ({ source: byIndex[source], target: byIndex[target] }));
+    graphState.links.forEach(link => {
+        link.source.degree++;
+        link.target.degree++;
+    });
+    graphState.alpha = 1;
+    graphState.fitted = false;
+    resizeGraph();
+    runGraph();
+}
+
+function resizeGraph() {
+    const ratio = window.devicePixelRatio || 1;
+    graphCanvas.width = graphCanvas.clientWidth * ratio;
+    graphCanvas.height = graphCanvas.clientHeight * ratio;
+}
+
+function tickGraph() {
+    const settings = graph.settings;
+    const nodes = graphState.nodes;
+    const alpha = graphState.alpha;
+
+    // Repulsion between every pair of nodes
+    for (let i = 0; i < nodes.length; i++) {
+        for (let j = i + 1; j < nodes.length; j++) {
+            const a = nodes[i];
+            const b = nodes[j];
+            let dx = b.x - a.x;
+            let dy = b.y - a.y;
+            let distance2 = dx * dx + dy * dy;
+            if (distance2 < 1) {
+                dx = Math.random() - 0.5;
+                dy = Math.random() - 0.5;
+                distance2 = 1;
+            }
+            const force = settings.repelStrength * 300 * alpha / distance2;
+            a.vx -= dx * force;
+            a.vy -= dy * force;
+            b.vx += dx * force;
+            b.vy += dy * force;
+        }
+    }
+
+    // Links pull their ends towards linkDistance
+    graphState.links.forEach(link => {
+        const dx = link.target.x - link.source.x;
+        const dy = link.target.y - link.source.y;
+        const distance = Math.sqrt(dx * dx + dy * dy) || 1;
+        const force = (distance - settings.linkDistance) / distance * settings.linkStrength * 0.1 * alpha;
+        link.source.vx += dx * force;
+        link.source.vy += dy * force;
+        link.target.vx -= dx * force;
+        link.target.vy -= dy * force;
+    });
+
+    nodes.forEach(node => {
+        node.vx -= node.x * settings.centerStrength * 0.02 * alpha;
+        node.vy -= node.y * settings.centerStrength * 0.02 * alpha;
+        if (node === graphState.drag) return;
+        node.vx *= 0.6;
+        node.vy *= 0.6;
+        node.x += node.vx;
+        node.y += node.vy;
+    });
+
+    graphState.alpha *= 0.985;
+}
+
+// Zoom and center so every node is visible
+function fitGraph() {
+    const nodes = graphState.nodes;
+    if (nodes.length === 0) return;
+    const xs = nodes.map(node => node.x);
+    const ys = nodes.map(node => node.y);
+    const width = Math.max(...xs) - Math.min(...xs) + 200;
+    const height = Math.max(...ys) - Math.min(...ys) + 200;
+    graphState.scale = Math.min(2, graphCanvas.clientWidth / width, graphCanvas.clientHeight / height);
+    graphState.offsetX = graphCanvas.clientWidth / 2 - (Math.max(...xs) + Math.min(...xs)) / 2 * graphState.scale;
+    graphState.offsetY = graphCanvas.clientHeight / 2 - (Math.max(...ys) + Math.min(...ys)) / 2 * graphState.scale;
+}
+
+function runGraph() {
+    if (graphState.frame) cancelAnimationFrame(graphState.frame);
+    const step = () => {
+        tickGraph();
+        if (!graphState.fitted) fitGraph();
+        drawGraph();
+        graphState.frame = graphState.alpha > 0.005 || graphState.drag ? requestAnimationFrame(step) : null;
+    };
+    graphState.frame = requestAnimationFrame(step);
+}
+
+function nodeRadius(node) {
+    return (4 + Math.sqrt(node.degree) * 2) * graph.settings.nodeSizeMultiplier;
+}
+
+function drawGraph() {
+    const ctx = graphView.classList.contains('active') ? graphCanvas.getContext('2d') : null;
+    if (!ctx) return;
+
+    const settings = graph.settings;
+    const style = getComputedStyle(document.body);
+    const colors = {
+        node: style.getPropertyValue('--text-secondary').trim(),
+        link: style.getPropertyValue('--border-color').trim(),
+        text: style.getPropertyValue('--text-primary').trim(),
+        accent: style.getPropertyValue('--link-color').trim()
+    };
+    const ratio = window.devicePixelRatio || 1;
+    const hover = graphState.hover;
+    const isNeighbour = node => hover && graphState.links.some(link =>
+        (link.source === hover && link.target === node) || (link.target === hover && link.source === node));
+
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    ctx.clearRect(0, 0, graphCanvas.width, graphCanvas.height);
+    ctx.translate(graphState.offsetX, graphState.offsetY);
+    ctx.scale(graphState.scale, graphState.scale);
+
+    graphState.links.forEach(link => {
+        const highlighted = hover && (link.source === hover || link.target === hover);
+        ctx.strokeStyle = highlighted ? colors.accent : colors.link;
+        ctx.lineWidth = settings.lineSizeMultiplier * (highlighted ? 2 : 1) / graphState.scale;
+        ctx.beginPath();
+        ctx.moveTo(link.source.x, link.source.y);
+        ctx.lineTo(link.target.x, link.target.y);
+        ctx.stroke();
+
+        if (settings.showArrow) {
+            const angle = Math.atan2(link.target.y - link.source.y, link.target.x - link.source.x);
+            const tipX = link.target.x - Math.cos(angle) * nodeRadius(link.target);
+            const tipY = link.target.y - Math.sin(angle) * nodeRadius(link.target);
+            const size = 8 / graphState.scale;
+            ctx.fillStyle = ctx.strokeStyle;
+            ctx.beginPath();
+            ctx.moveTo(tipX, tipY);
+            ctx.lineTo(tipX - Math.cos(angle - 0.4) * size, tipY - Math.sin(angle - 0.4) * size);
+            ctx.lineTo(tipX - Math.cos(angle + 0.4) * size, tipY - Math.sin(angle + 0.4) * size);
+            ctx.fill();
+        }
+    });
+
+    // Labels fade in when zooming; textFadeMultiplier shifts the threshold
+    const labelAlpha = Math.max(0, Math.min(1, (graphState.scale - 0.5 + settings.textFadeMultiplier * 0.2) * 2));
+    ctx.font = (12 / graphState.scale) + 'px ' + getComputedStyle(document.body).fontFamily;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+
+    graphState.nodes.forEach(node => {
+        const dimmed = hover && node !== hover && !isNeighbour(node);
+        const radius = nodeRadius(node);
+        ctx.globalAlpha = (dimmed ? 0.3 : 1) * (node.unresolved ? 0.5 : 1);
+        ctx.fillStyle = node === hover || node.id === currentNoteId ? colors.accent : (node.color || colors.node);
+        ctx.beginPath();
+        ctx.arc(node.x, node.y, radius, 0, Math.PI * 2);
+        ctx.fill();
+
+        const alpha = node === hover || isNeighbour(node) ? 1 : labelAlpha;
+        if (alpha > 0) {
+            ctx.globalAlpha = alpha * (dimmed ? 0.3 : 1);
+            ctx.fillStyle = colors.text;
+            ctx.fillText(node.name, node.x, node.y + radius + 4 / graphState.scale);
+        }
+    });
+    ctx.globalAlpha = 1;
+}
+
+function graphPoint(e) {
+    const rect = graphCanvas.getBoundingClientRect();
+    return {
+        x: (e.clientX - rect.left - graphState.offsetX) / graphState.scale,
+        y: (e.clientY - rect.top - graphState.offsetY) / graphState.scale
+    };
+}
+
+function nodeAt(point) {
+    for (let i = graphState.nodes.length - 1; i >= 0; i--) {
+        const node = graphState.nodes[i];
+        const radius = nodeRadius(node) + 3 / graphState.scale;
+        if ((node.x - point.x) ** 2 + (node.y - point.y) ** 2 <= radius * radius) return node;
+    }
+    return null;
+}
+
+let pointer = null;
+graphCanvas.addEventListener('mousedown', (e) => {
+    const node = nodeAt(graphPoint(e));
+    pointer = { x: e.clientX, y: e.clientY, moved: false, node };
+    graphState.fitted = true;
+    if (node) {
+        graphState.drag = node;
+        graphState.alpha = Math.max(graphState.alpha, 0.3);
+        runGraph();
+    }
+});
+
+window.addEventListener('mousemove', (e) => {
+    if (!graphView.classList.contains('active')) return;
+    if (pointer) {
+        if (Math.abs(e.clientX - pointer.x) + Math.abs(e.clientY - pointer.y) > 3) pointer.moved = true;
+        if (graphState.drag) {
+            const point = graphPoint(e);
+            graphState.drag.x = point.x;
+            graphState.drag.y = point.y;
+        } else {
+            graphState.offsetX += e.movementX;
+            graphState.offsetY += e.movementY;
+        }
+        drawGraph();
+        return;
+    }
+    const hover = e.target === graphCanvas ? nodeAt(graphPoint(e)) : null;
+    if (hover !== graphState.hover) {
+        graphState.hover = hover;
+        graphCanvas.style.cursor = hover ? 'pointer' : 'grab';
+        drawGraph();
+    }
+});
+
+window.addEventListener('mouseup', () => {
+    if (!pointer) return;
+    const clicked = !pointer.moved && pointer.node;
+    pointer = null;
+    graphState.drag = null;
+    if (clicked && !clicked.unresolved) {
+        openNote(clicked.id);
+    }
+});
+
+graphCanvas.addEventListener('wheel', (e) => {
+    e.preventDefault();
+    const rect = graphCanvas.getBoundingClientRect();
+    const mouseX = e.clientX - rect.left;
+    const mouseY = e.clientY - rect.top;
+    const zoom = Math.exp(-e.deltaY * 0.001);
+    const scale = Math.min(8, Math.max(0.05, graphState.scale * zoom));
+    graphState.offsetX = mouseX - (mouseX - graphState.offsetX) * (scale / graphState.scale);
+    graphState.offsetY = mouseY - (mouseY - graphState.offsetY) * (scale / graphState.scale);
+    graphState.scale = scale;
+    graphState.fitted = true;
+    drawGraph();
+}, { passive: false });
+
+graphToggle.addEventListener('click', () => {
+    if (graphView.classList.contains('active')) {
+        closeGraph();
+    } else {
+        openGraph();
+    }
+});
+
+graphLocal.addEventListener('change', startGraph);
+
+window.addEventListener('resize', () => {
+    if (!graphView.classList.contains('active')) return;
+    resizeGraph();
+    drawGraph();
+});
+
+// Initialize
+const siteTitle = document.title;
+if (multiPage) {
+    window.addEventListener('hashchange', scrollToPageAnchor);
+    initPage();
+} else {
+    buildFileTree(structure, fileTree);
+    const recentLink = document.getElementById('recentLink');
+    if (recentLink) {
+        recentLink.addEventListener('click', (e) => {
+            if (e.ctrlKey || e.metaKey || e.shiftKey) return;
+            e.preventDefault();
+            showRecent();
+        });
+    }
+    route();
+}
+initTagFilter();
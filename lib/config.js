@@ -0,0 +1,408 @@
+// Build configuration
+//
+// Settings come from a JSON config file (wiki.config.json in the working
+// directory, or the file given with --config) and can be overridden with
+// command-line flags. Paths in the config file are relative to its folder,
+// paths given as flags to the working directory.
+
+const fs = require('fs');
+const path = require('path');
+
+const CONFIG_FILE = 'wiki.config.json';
+
+const DEFAULT_CONFIG = {
+    vault: '.',
+    output: 'index.html',
+    outputDir: 'site',
+    // Notes rendered by earlier builds, reused while unchanged (see --clean)
+    cacheDir: '.wiki-cache',
+    // Show the notes' dates, contributors and changes from the vault's git history
+    history: true,
+    // Globs matched against vault-relative paths: notes must match one of
+    // "include" (when set), notes, attachments and folders matching one of
+    // "exclude" are skipped. Globs without a "/" match a name at any depth.
+    include: [],
+    exclude: ['.obsidian', '.git', 'node_modules', '_Indexes'],
+    // Globs of unpublished notes and attachments (GM secrets...): like notes with
+    // "publish: false" or "draft: true", links to them are shown without their title
+    private: [],
+    title: 'Obstatus System',
+    // Public URL of the published wiki, for canonical links (optional)
+    baseUrl: '',
+    // CSS variables of the light and dark themes, e.g. { "link-color": "#2563eb" }
+    theme: { light: {}, dark: {} },
+    fonts: {
+        body: '\'Roboto\', sans-serif',
+        heading: '\'Source Serif 4\', serif',
+        // Stylesheet loading the fonts (empty for none)
+        url: 'https://fonts.googleapis.com/css2?family=Source+Serif+4:wght@200;300;500&family=Roboto:wght@300;400;500&display=swap'
+    }
+};
+
+// Theme colors that can be set, the variables of lib/client/wiki.css
+const THEME_VARIABLES = [
+    'bg-primary', 'bg-secondary', 'bg-sidebar', 'text-primary', 'text-secondary', 'text-sidebar',
+    'border-color', 'link-color', 'link-hover', 'code-bg', 'code-text', 'shadow'
+];
+
+const USAGE = `Usage: node build-wiki.js [serve] [options]
+
+Build options:
+  --config <file>         Config file (default: ${CONFIG_FILE} if present)
+  --vault <dir>           Obsidian vault to publish
+  --output <file>         Single-file wiki to write
+  --output-dir <dir>      Folder of the multi-page site (--pages)
+  --cache-dir <dir>       Folder of the build cache (default: .wiki-cache)
+  --include <glob>        Only publish notes matching the glob (repeatable)
+  --exclude <glob>        Skip files and folders matching the glob (repeatable)
+  --private <glob>        Do not publish notes and attachments matching the glob,
+                          nor the titles of links to them (repeatable)
+  --title <text>          Site title
+  --base-url <url>        Public URL of the wiki, for canonical links
+  --color <name=value>    Light theme color, e.g. link-color=#b91c1c (repeatable)
+  --dark-color <name=value>  Dark theme color (repeatable)
+  --font <body|heading=family>  Font family, e.g. "heading=Georgia, serif" (repeatable)
+  --fonts-url <url>       Stylesheet loading the fonts ("" for none)
+
+Modes:
+  --pages                 Write a multi-page site instead of a single file
+  --strict                Fail when there are broken links (to missing notes,
+                          headings or blocks)
+  --dry-run               List what would be published without writing anything
+  --clean                 Render every note again instead of reusing the build cache
+  --no-history            Leave out the dates, contributors and changes from git
+  --watch, serve          Rebuild on changes and serve the wiki with live reload
+  --port <number>         Port of the dev server (default: 8000)
+  --help                  Show this help`;
+
+class ConfigError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ConfigError';
+    }
+}
+
+// Flags taking a value, and the config setting they set (null when parsed separately)
+const VALUE_FLAGS = {
+    '--config': null,
+    '--vault': 'vault',
+    '--output': 'output',
+    '--output-dir': 'outputDir',
+    '--cache-dir': 'cacheDir',
+    '--include': 'include',
+    '--exclude': 'exclude',
+    '--private': 'private',
+    '--title': 'title',
+    '--base-url': 'baseUrl',
+    '--color': null,
+    '--dark-color': null,
+    '--font': null,
+    '--fonts-url': null,
+    '--port': null
+};
+
+// "name=value" of --color, --dark-color and --font
+function parseAssignment(flag, value) {
+    const match = value.match(/^([^=]+)=(.*)$/);
+    if (!match) throw new ConfigError(`${flag} expects name=value, got "${value}"`);
+    return [match[1].trim(), match[2].trim()];
+}
+
+// Returns { help, watch, pages, strict, dryRun, clean, port, configFile, overrides },
+// overrides having the shape of the config file
+function parseArgs(argv) {
+    const args = {
+        help: false,
+        watch: false,
+        pages: false,
+        strict: false,
+        dryRun: false,
+        clean: false,
+        port: 8000,
+        configFile: null,
+        overrides: {}
+    };
+    const overrides = args.overrides;
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (i === 0 && arg === 'serve') {
+            args.watch = true;
+            continue;
+        }
+        if (arg === '--help' || arg === '-h') {
+            args.help = true;
+            continue;
+        }
+        if (arg === '--watch' || arg === '--pages' || arg === '--strict' || arg === '--clean') {
+            args[arg.slice(2)] = true;
+            continue;
+        }
+        if (arg === '--dry-run') {
+            args.dryRun = true;
+            continue;
+        }
+        if (arg === '--no-history') {
+            overrides.history = false;
+            continue;
+        }
+
+        const [flag, inlineValue] = arg.includes('=') ? [arg.slice(0, arg.indexOf('=')), arg.slice(arg.indexOf('=') + 1)] : [arg];
+        if (!(flag in VALUE_FLAGS)) {
+            throw new ConfigError(`Unknown option "${arg}" (see --help)`);
+        }
+        let value = inlineValue;
+        if (value === undefined) {
+            if (i + 1 >= argv.length) throw new ConfigError(`${flag} expects a value`);
+            value = argv[++i];
+        }
+
+        if (flag === '--config') {
+            args.configFile = path.resolve(value);
+        } else if (flag === '--port') {
+            args.port = Number(value);
+            if (!Number.isInteger(args.port) || args.port < 1 || args.port > 65535) {
+                throw new ConfigError(`Invalid --port: ${value}`);
+            }
+        } else if (flag === '--vault' || flag === '--output' || flag === '--output-dir' || flag === '--cache-dir') {
+            overrides[VALUE_FLAGS[flag]] = path.resolve(value);
+        } else if (flag === '--include' || flag === '--exclude' || flag === '--private') {
+            const key = VALUE_FLAGS[flag];
+            overrides[key] = (overrides[key] || []).concat(value);
+        } else if (flag === '--color' || flag === '--dark-color') {
+            const [name, color] = parseAssignment(flag, value);
+            const mode = flag === '--color' ? 'light' : 'dark';
+            overrides.theme = overrides.theme || {};
+            overrides.theme[mode] = Object.assign(overrides.theme[mode] || {}, { [name]: color });
+        } else if (flag === '--font') {
+            const [name, family] = parseAssignment(flag, value);
+            if (name !== 'body' && name !== 'heading') {
+                throw new ConfigError(`--font sets "body" or "heading", got "${name}"`);
+            }
+            overrides.fonts = Object.assign(overrides.fonts || {}, { [name]: family });
+        } else if (flag === '--fonts-url') {
+            overrides.fonts = Object.assign(overrides.fonts || {}, { url: value });
+        } else {
+            overrides[VALUE_FLAGS[flag]] = value;
+        }
+    }
+
+    return args;
+}
+
+function readConfigFile(file) {
+    let text;
+    try {
+        text = fs.readFileSync(file, 'utf-8');
+    } catch (err) {
+        throw new ConfigError(`Cannot read config file ${file}: ${err.message}`);
+    }
+    try {
+        return JSON.parse(text);
+    } catch (err) {
+        throw new ConfigError(`Invalid JSON in ${file}: ${err.message}`);
+    }
+}
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Strings inserted into the page's <style> must not close the rule or the element
+function checkCssValue(value, setting) {
+    if (typeof value !== 'string' || value.trim() === '') {
+        throw new ConfigError(`"${setting}" must be a non-empty string`);
+    }
+    if (/[;{}<>]/.test(value)) {
+        throw new ConfigError(`"${setting}" must be a CSS value without ";", "{", "}", "<" or ">", got "${value}"`);
+    }
+}
+
+function checkStringList(value, setting) {
+    if (!Array.isArray(value) || value.some(item => typeof item !== 'string' || item.trim() === '')) {
+        throw new ConfigError(`"${setting}" must be a list of glob strings`);
+    }
+}
+
+// Check a config (file contents or overrides) before it is merged with the defaults
+function validateConfig(config, source) {
+    if (!isPlainObject(config)) {
+        throw new ConfigError(`${source} must contain a JSON object`);
+    }
+    const fail = message => {
+        throw new ConfigError(message);
+    };
+    try {
+        for (const key in config) {
+            const value = config[key];
+            switch (key) {
+                case 'vault':
+                case 'output':
+                case 'outputDir':
+                case 'cacheDir':
+                case 'title':
+                    if (typeof value !== 'string' || value.trim() === '') fail(`"${key}" must be a non-empty string`);
+                    break;
+                case 'history':
+                    if (typeof value !== 'boolean') fail(`"history" must be true or false, got ${JSON.stringify(value)}`);
+                    break;
+                case 'include':
+                case 'exclude':
+                case 'private':
+                    checkStringList(value, key);
+                    break;
+                case 'baseUrl':
+                    if (typeof value !== 'string' || (value !== '' && !/^https?:\/\/[^\s/]+/.test(value))) {
+                        fail(`"baseUrl" must be an http(s) URL such as "https://wiki.example.com/", got ${JSON.stringify(value)}`);
+                    }
+                    break;
+                case 'theme':
+                    if (!isPlainObject(value)) fail('"theme" must be an object with "light" and/or "dark" colors');
+                    for (const mode in value) {
+                        if (mode !== 'light' && mode !== 'dark') fail(`Unknown theme "${mode}", expected "light" or "dark"`);
+                        if (!isPlainObject(value[mode])) fail(`"theme.${mode}" must be an object of colors`);
+                        for (const name in value[mode]) {
+                            if (!THEME_VARIABLES.includes(name)) {
+                                fail(`Unknown color "theme.${mode}.${name}", expected one of: ${THEME_VARIABLES.join(', ')}`);
+                            }
+                            checkCssValue(value[mode][name], `theme.${mode}.${name}`);
+                        }
+                    }
+                    break;
+                case 'fonts':
+                    if (!isPlainObject(value)) fail('"fonts" must be an object with "body", "heading" and/or "url"');
+                    for (const name in value) {
+                        if (name === 'url') {
+                            if (typeof value.url !== 'string' || (value.url !== '' && !/^https?:\/\//.test(value.url))) {
+                                fail(`"fonts.url" must be an http(s) URL or "", got ${JSON.stringify(value.url)}`);
+                            }
+                        } else if (name === 'body' || name === 'heading') {
+                            checkCssValue(value[name], `fonts.${name}`);
+                        } else {
+                            fail(`Unknown setting "fonts.${name}", expected "body", "heading" or "url"`);
+                        }
+                    }
+                    break;
+                default:
+                    fail(`Unknown setting "${key}", expected one of: ${Object.keys(DEFAULT_CONFIG).join(', ')}`);
+            }
+        }
+    } catch (err) {
+        throw err instanceof ConfigError ? new ConfigError(`${err.message} (in ${source})`) : err;
+    }
+}
+
+// Settings holding paths, resolved to absolute paths
+const PATH_SETTINGS = ['vault', 'output', 'outputDir', 'cacheDir'];
+
+// Load the config file (the given one, or wiki.config.json in the working
+// directory if there is one), apply the overrides (command-line options by
+// default) and resolve paths
+function loadConfig(configFile, overrides = {}, overridesSource = 'command-line options') {
+    let fileConfig = {};
+    let baseDir = process.cwd();
+    const defaultFile = path.resolve(CONFIG_FILE);
+    if (configFile || fs.existsSync(defaultFile)) {
+        const file = configFile || defaultFile;
+        fileConfig = readConfigFile(file);
+        validateConfig(fileConfig, path.relative(process.cwd(), file) || file);
+        baseDir = path.dirname(file);
+    }
+    validateConfig(overrides, overridesSource);
+
+    const settings = Object.assign({}, fileConfig, overrides);
+    for (const key of PATH_SETTINGS) {
+        // Overrides are relative to the working directory, file settings to the file
+        if (!(key in overrides)) settings[key] = path.resolve(baseDir, settings[key] || DEFAULT_CONFIG[key]);
+    }
+    settings.theme = {
+        light: Object.assign({}, (fileConfig.theme || {}).light, (overrides.theme || {}).light),
+        dark: Object.assign({}, (fileConfig.theme || {}).dark, (overrides.theme || {}).dark)
+    };
+    settings.fonts = Object.assign({}, fileConfig.fonts, overrides.fonts);
+    // Overridden excludes add to the configured ones
+    settings.exclude = (fileConfig.exclude || DEFAULT_CONFIG.exclude).concat(overrides.exclude || []);
+    return completeConfig(settings);
+}
+
+// Config from settings shaped like the config file, without reading one (the
+// Node API, see lib/wiki.js); paths are relative to the working directory
+function resolveConfig(settings = {}, source = 'options') {
+    validateConfig(settings, source);
+    return completeConfig(settings);
+}
+
+// Merge validated settings over the defaults, resolve paths and compile the globs
+function completeConfig(settings) {
+    const config = Object.assign({}, DEFAULT_CONFIG, settings);
+    config.theme = {
+        light: Object.assign({}, (settings.theme || {}).light),
+        dark: Object.assign({}, (settings.theme || {}).dark)
+    };
+    config.fonts = Object.assign({}, DEFAULT_CONFIG.fonts, settings.fonts);
+
+    for (const key of PATH_SETTINGS) {
+        config[key] = path.resolve(config[key]);
+    }
+    if (config.baseUrl && !config.baseUrl.endsWith('/')) {
+        config.baseUrl += '/';
+    }
+
+    if (!fs.existsSync(config.vault) || !fs.statSync(config.vault).isDirectory()) {
+        throw new ConfigError(`Vault folder ${config.vault} does not exist`);
+    }
+    if (config.outputDir === config.vault) {
+        throw new ConfigError('"outputDir" cannot be the vault itself, it is replaced on every build');
+    }
+
+    config.includePatterns = config.include.map(globToRegExp);
+    config.excludePatterns = config.exclude.map(globToRegExp);
+    config.privatePatterns = config.private.map(globToRegExp);
+    return config;
+}
+
+// Glob to RegExp: "**" matches any number of folders, "*" anything within a
+// name, "?" one character. A glob without "/" matches a name at any depth,
+// and a glob matching a folder matches everything inside it.
+function globToRegExp(glob) {
+    let pattern = glob.replace(/^\.\//, '').replace(/\/+$/, '');
+    const anchored = pattern.includes('/');
+    pattern = pattern.replace(/^\//, '');
+    let source = '';
+    for (let i = 0; i < pattern.length; i++) {
+        const ch = pattern[i];
+        if (ch === '*' && pattern[i + 1] === '*') {
+            const slash = pattern[i + 2] === '/';
+            source += slash ? '(?:.*/)?' : '.*';
+            i += slash ? 2 : 1;
+        } else if (ch === '*') {
+            source += '[^/]*';
+        } else if (ch === '?') {
+            source += '[^/]';
+        } else {
+            source += ch.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${anchored ? '' : '(?:.*/)?'}${source}(?:/.*)?$`);
+}
+
+// Whether a vault-relative path is skipped by the include/exclude globs
+// (include only applies to notes, so the attachments they embed are kept)
+function isExcluded(config, relPath) {
+    if (config.excludePatterns.some(pattern => pattern.test(relPath))) return true;
+    return relPath.endsWith('.md') && config.includePatterns.length > 0 &&
+        !config.includePatterns.some(pattern => pattern.test(relPath));
+}
+
+// Whether a vault-relative path matches the "private" globs
+function isPrivate(config, relPath) {
+    return config.privatePatterns.some(pattern => pattern.test(relPath));
+}
+
+module.exports = {
+    USAGE,
+    parseArgs,
+    loadConfig,
+    resolveConfig,
+    isExcluded,
+    isPrivate,
+    ConfigError
+};
@@ -0,0 +1,128 @@
+// Local development server for watch mode
+//
+// Serves the generated wiki on localhost and tells open tabs to reload, over
+// server-sent events, after each rebuild. The reload script is added to HTML
+// responses here so the files on disk are the same as with a normal build.
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const RELOAD_PATH = '/__livereload';
+
+// Reloading keeps the URL, and so the open note; the scroll position is restored too
+const RELOAD_SCRIPT = `<script>
+    (() => {
+        const scroll = sessionStorage.getItem('liveReloadScroll');
+        if (scroll !== null) {
+            sessionStorage.removeItem('liveReloadScroll');
+            window.addEventListener('load', () => window.scrollTo(0, Number(scroll)));
+        }
+        new EventSource('${RELOAD_PATH}').addEventListener('reload', () => {
+            sessionStorage.setItem('liveReloadScroll', String(window.scrollY));
+            location.reload();
+        });
+    })();
+</script>`;
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp'
+};
+
+function sendError(res, status, message) {
+    res.writeHead(status, { 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end(message);
+}
+
+// Serve the files under root on localhost:port, only those whose root-relative
+// path ("/"-separated) isServed accepts; returns { server, reload() }
+function startDevServer(root, isServed, port, onListening) {
+    const clients = new Set();
+
+    const server = http.createServer((req, res) => {
+        let pathname;
+        try {
+            pathname = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+        } catch (err) {
+            sendError(res, 400, 'Bad request');
+            return;
+        }
+
+        if (pathname === RELOAD_PATH) {
+            res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', 'Connection': 'keep-alive' });
+            res.write(': connected\n\n');
+            clients.add(res);
+            req.on('close', () => clients.delete(res));
+            return;
+        }
+
+        // Stay inside root and keep dotfiles (.git, .obsidian) private; root
+        // may be the vault, so its other files (the notes) are not served either
+        const relPath = pathname.slice(1) + (pathname.endsWith('/') ? 'index.html' : '');
+        const file = path.join(root, relPath);
+        if (!file.startsWith(root + path.sep) || relPath.split('/').some(part => part.startsWith('.')) || !isServed(relPath)) {
+            sendError(res, 404, 'Not found');
+            return;
+        }
+
+        fs.readFile(file, (err, data) => {
+            if (err) {
+                sendError(res, 404, 'Not found');
+                return;
+            }
+            const type = CONTENT_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream';
+            let body = data;
+            if (type.startsWith('text/html')) {
+                const html = data.toString('utf-8');
+                const end = html.lastIndexOf('</body>');
+                body = end === -1 ? html + RELOAD_SCRIPT : html.slice(0, end) + RELOAD_SCRIPT + '\n' + html.slice(end);
+            }
+            res.writeHead(200, { 'Content-Type': type, 'Cache-Control': 'no-store' });
+            res.end(body);
+        });
+    });
+
+    server.listen(port, 'localhost', onListening);
+
+    return {
+        server,
+        reload() {
+            clients.forEach(res => res.write('event: reload\ndata: \n\n'));
+        }
+    };
+}
+
+// Watch root recursively and call onChange with the root-relative paths
+// ("/"-separated) changed during a burst of events
+function watchVault(root, isIgnored, onChange, delay = 100) {
+    let pending = new Set();
+    let timer = null;
+
+    return fs.watch(root, { recursive: true }, (event, filename) => {
+        if (!filename) return;
+        const relPath = filename.split(path.sep).join('/');
+        if (isIgnored(relPath)) return;
+
+        pending.add(relPath);
+        clearTimeout(timer);
+        timer = setTimeout(() => {
+            const changed = Array.from(pending);
+            pending = new Set();
+            onChange(changed);
+        }, delay);
+    });
+}
+
+module.exports = {
+    startDevServer,
+    watchVault
+};
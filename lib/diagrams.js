@@ -0,0 +1,496 @@
+// Mermaid diagrams rendered to SVG at build time
+//
+// Supports the part of Mermaid used for lore: flowcharts ("graph" or
+// "flowchart": relationships, family trees) and timelines. Flowchart nodes
+// are laid out in layers along the chart's direction, like Mermaid's default
+// layout. The SVG is styled by wiki.css, so it follows the light and dark
+// themes, and needs no script at view time. Other diagram types throw a
+// DiagramError, and the block is shown as code.
+
+const { escapeHtml } = require('./html');
+
+class DiagramError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'DiagramError';
+    }
+}
+
+// Text metrics, in pixels, for the 14px font of wiki.css
+const CHAR_WIDTH = 8;
+const LINE_HEIGHT = 18;
+const WRAP_COLUMNS = 28;
+
+const PADDING_X = 16;
+const PADDING_Y = 10;
+const NODE_GAP = 30;
+const RANK_GAP = 56;
+const MARGIN = 12;
+const ARROW_SIZE = 9;
+
+// Node shapes by their delimiters, "A[text]", "A(text)"... (longest first)
+const SHAPES = [
+    ['(((', ')))', 'circle'],
+    ['((', '))', 'circle'],
+    ['([', '])', 'stadium'],
+    ['[(', ')]', 'cylinder'],
+    ['[[', ']]', 'subroutine'],
+    ['{{', '}}', 'hexagon'],
+    ['[/', '/]', 'parallelogram'],
+    ['[\\', '\\]', 'parallelogram'],
+    ['[', ']', 'rect'],
+    ['(', ')', 'round'],
+    ['{', '}', 'diamond'],
+    ['>', ']', 'flag']
+];
+
+const RE_NODE_ID = /^[\p{L}\p{N}_]+(?:[.:-][\p{L}\p{N}_]+)*/u;
+// "-->", "---", "-.->", "==>", "~~~", "<-->", optionally followed by "|text|"
+const RE_LINK = /^(<?)(-{2,}|={2,}|-\.+-|~{3,})([>ox]?)(?:\s*\|([^|]*)\|)?/;
+// "-- text -->", "-. text .->", "== text ==>"
+const RE_TEXT_LINK = /^(<?)(--|==|-\.)\s*([^\s\->=.|][^]*?)\s*(-{2,}|={2,}|\.+-)([>ox]?)/;
+// Statements that only style or group nodes
+const RE_IGNORED = /^(?:classDef|class|style|linkStyle|click|subgraph|end|direction|accTitle|accDescr)\b/;
+
+// A label's lines: "<br>" and "\n" break lines, long lines wrap at word boundaries
+function textLines(label, columns = WRAP_COLUMNS) {
+    const lines = [];
+    for (const paragraph of label.split(/<br\s*\/?>|\\n/i)) {
+        let line = '';
+        for (const word of paragraph.trim().split(/\s+/)) {
+            if (line && line.length + 1 + word.length > columns) {
+                lines.push(line);
+                line = word;
+            } else {
+                line = line ? `${line} ${word}` : word;
+            }
+        }
+        lines.push(line);
+    }
+    return lines;
+}
+
+function textWidth(lines) {
+    return Math.max(...lines.map(line => line.length)) * CHAR_WIDTH;
+}
+
+// Centered multi-line text
+function renderText(lines, x, y, className) {
+    const top = y - (lines.length - 1) * LINE_HEIGHT / 2;
+    const spans = lines.map((line, i) => `<tspan x="${round(x)}" y="${round(top + i * LINE_HEIGHT)}">${escapeHtml(line)}</tspan>`);
+    return `<text class="${className}" text-anchor="middle" dominant-baseline="central">${spans.join('')}</text>`;
+}
+
+function round(value) {
+    return Math.round(value * 10) / 10;
+}
+
+function renderSvg(kind, width, height, label, content) {
+    return `<svg xmlns="http://www.w3.org/2000/svg" class="diagram-${kind}" viewBox="0 0 ${round(width)} ${round(height)}" ` +
+        `width="${round(width)}" height="${round(height)}" role="img" aria-label="${escapeHtml(label)}">\n${content.join('\n')}\n</svg>`;
+}
+
+// Flowcharts
+
+// Strip the quotes of a '"quoted"' label
+function unquote(text) {
+    const trimmed = text.trim();
+    return /^"[\s\S]*"$/.test(trimmed) ? trimmed.slice(1, -1) : trimmed;
+}
+
+function parseFlowchart(lines) {
+    const header = lines[0].match(/^(?:graph|flowchart)(?:\s+(TB|TD|BT|LR|RL))?\s*;?$/i);
+    if (!header) throw new DiagramError(`invalid flowchart header "${lines[0]}"`);
+    const chart = { direction: (header[1] || 'TB').toUpperCase().replace('TD', 'TB'), nodes: new Map(), edges: [] };
+
+    const statements = lines.slice(1).flatMap(line => line.split(';')).map(s => s.trim()).filter(Boolean);
+    for (const statement of statements) {
+        if (!RE_IGNORED.test(statement)) parseStatement(chart, statement);
+    }
+    if (chart.nodes.size === 0) throw new DiagramError('the flowchart has no nodes');
+    return chart;
+}
+
+// "A --> B & C -- text --> D": nodes (declared or referenced) and the links between them
+function parseStatement(chart, statement) {
+    let rest = statement;
+    const fail = () => {
+        throw new DiagramError(`cannot parse "${statement}"`);
+    };
+
+    const parseNode = () => {
+        rest = rest.trimStart();
+        const id = rest.match(RE_NODE_ID);
+        if (!id) fail();
+        rest = rest.slice(id[0].length);
+
+        let node = chart.nodes.get(id[0]);
+        if (!node) {
+            node = { id: id[0], label: id[0], shape: 'rect' };
+            chart.nodes.set(id[0], node);
+        }
+        const shape = SHAPES.find(([open]) => rest.startsWith(open));
+        if (shape) {
+            const [open, close, name] = shape;
+            // A quoted label may contain the closing delimiter
+            const quoted = rest.slice(open.length).match(/^\s*"[^"]*"/);
+            const end = rest.indexOf(close, open.length + (quoted ? quoted[0].length : 0));
+            if (end === -1) fail();
+            node.label = unquote(rest.slice(open.length, end));
+            node.shape = name;
+            rest = rest.slice(end + close.length);
+        }
+        return node.id;
+    };
+
+    const parseGroup = () => {
+        const ids = [parseNode()];
+        while (/^\s*&/.test(rest)) {
+            rest = rest.replace(/^\s*&/, '');
+            ids.push(parseNode());
+        }
+        return ids;
+    };
+
+    let sources = parseGroup();
+    while (rest.trim()) {
+        rest = rest.trimStart();
+        let link;
+        let match;
+        if ((match = rest.match(RE_TEXT_LINK))) {
+            link = { start: match[1], line: match[2] + match[4], head: match[5], label: unquote(match[3]) };
+        } else if ((match = rest.match(RE_LINK))) {
+            link = { start: match[1], line: match[2], head: match[3], label: match[4] ? unquote(match[4]) : '' };
+        } else {
+            fail();
+        }
+        rest = rest.slice(match[0].length);
+
+        const targets = parseGroup();
+        const style = link.line.includes('=') ? 'thick' : link.line.includes('.') ? 'dotted' : link.line.includes('~') ? 'invisible' : 'solid';
+        for (const from of sources) {
+            for (const to of targets) {
+                chart.edges.push({ from, to, style, head: link.head, tail: link.start ? '>' : '', label: link.label });
+            }
+        }
+        sources = targets;
+    }
+}
+
+// Node size from its label and shape
+function sizeNode(node) {
+    node.lines = textLines(node.label);
+    const textW = textWidth(node.lines);
+    const textH = node.lines.length * LINE_HEIGHT;
+    let width = textW + 2 * PADDING_X;
+    let height = textH + 2 * PADDING_Y;
+    if (node.shape === 'circle') {
+        width = height = Math.max(width, height);
+    } else if (node.shape === 'diamond') {
+        width = textW * 1.5 + 2 * PADDING_X;
+        height = Math.max(textH * 2 + PADDING_Y, width * 0.5);
+    } else if (node.shape === 'hexagon' || node.shape === 'parallelogram' || node.shape === 'flag') {
+        width += height / 2;
+    }
+    node.width = width;
+    node.height = height;
+}
+
+// Layers of node ids: each node one layer below the furthest node linking to it
+// (links closing a cycle are ignored), ordered to limit crossing links
+function layerNodes(chart) {
+    const ids = Array.from(chart.nodes.keys());
+    const outgoing = new Map(ids.map(id => [id, []]));
+    chart.edges.forEach(edge => {
+        if (edge.from !== edge.to) outgoing.get(edge.from).push(edge.to);
+    });
+
+    // Depth-first search: finishing order, and links back to a node being visited
+    const state = new Map();
+    const finished = [];
+    const backEdges = new Set();
+    const visit = id => {
+        state.set(id, 'visiting');
+        for (const next of outgoing.get(id)) {
+            if (state.get(next) === 'visiting') backEdges.add(id + '\n' + next);
+            else if (!state.has(next)) visit(next);
+        }
+        state.set(id, 'done');
+        finished.push(id);
+    };
+    ids.forEach(id => {
+        if (!state.has(id)) visit(id);
+    });
+
+    const forward = id => outgoing.get(id).filter(next => !backEdges.has(id + '\n' + next));
+    const rank = new Map(ids.map(id => [id, 0]));
+    finished.reverse().forEach(id => {
+        forward(id).forEach(next => rank.set(next, Math.max(rank.get(next), rank.get(id) + 1)));
+    });
+
+    const layers = [];
+    ids.forEach(id => {
+        (layers[rank.get(id)] = layers[rank.get(id)] || []).push(id);
+    });
+
+    // Sort each layer by the mean position of its neighbors in the previous
+    // layer, sweeping down then up a few times
+    const incoming = new Map(ids.map(id => [id, []]));
+    ids.forEach(id => forward(id).forEach(next => incoming.get(next).push(id)));
+    const sortLayer = (layer, neighbors, reference) => {
+        const position = new Map(reference.map((id, i) => [id, i]));
+        const weight = new Map(layer.map((id, i) => {
+            const placed = neighbors.get(id).filter(other => position.has(other));
+            return [id, placed.length ? placed.reduce((sum, other) => sum + position.get(other), 0) / placed.length : i];
+        }));
+        layer.sort((a, b) => weight.get(a) - weight.get(b));
+    };
+    for (let sweep = 0; sweep < 4; sweep++) {
+        for (let i = 1; i < layers.length; i++) sortLayer(layers[i], incoming, layers[i - 1]);
+        for (let i = layers.length - 2; i >= 0; i--) sortLayer(layers[i], outgoing, layers[i + 1]);
+    }
+    return layers;
+}
+
+// Where the line from a node's center towards (x, y) leaves the node
+function boundaryPoint(node, x, y) {
+    const dx = x - node.x;
+    const dy = y - node.y;
+    if (dx === 0 && dy === 0) return { x, y };
+    const halfW = node.width / 2;
+    const halfH = node.height / 2;
+    let scale;
+    if (node.shape === 'circle') {
+        scale = 1 / Math.sqrt((dx * dx) / (halfW * halfW) + (dy * dy) / (halfH * halfH));
+    } else if (node.shape === 'diamond') {
+        scale = 1 / (Math.abs(dx) / halfW + Math.abs(dy) / halfH);
+    } else {
+        scale = Math.min(dx ? halfW / Math.abs(dx) : Infinity, dy ? halfH / Math.abs(dy) : Infinity);
+    }
+    return { x: node.x + dx * scale, y: node.y + dy * scale };
+}
+
+function renderShape(node) {
+    const { x, y, width: w, height: h } = node;
+    const left = x - w / 2;
+    const top = y - h / 2;
+    const points = list => `<polygon class="node-shape" points="${list.map(([px, py]) => `${round(px)},${round(py)}`).join(' ')}"/>`;
+    const rect = radius => `<rect class="node-shape" x="${round(left)}" y="${round(top)}" width="${round(w)}" height="${round(h)}" rx="${round(radius)}"/>`;
+
+    switch (node.shape) {
+        case 'round':
+            return rect(8);
+        case 'stadium':
+            return rect(h / 2);
+        case 'circle':
+            return `<circle class="node-shape" cx="${round(x)}" cy="${round(y)}" r="${round(w / 2)}"/>`;
+        case 'diamond':
+            return points([[x, top], [left + w, y], [x, top + h], [left, y]]);
+        case 'hexagon':
+            return points([[left + h / 4, top], [left + w - h / 4, top], [left + w, y], [left + w - h / 4, top + h], [left + h / 4, top + h], [left, y]]);
+        case 'parallelogram':
+            return points([[left + h / 4, top], [left + w, top], [left + w - h / 4, top + h], [left, top + h]]);
+        case 'flag':
+            return points([[left, top], [left + w, top], [left + w, top + h], [left, top + h], [left + h / 4, y]]);
+        case 'subroutine':
+            return rect(0) + `<path class="node-shape" d="M${round(left + 8)} ${round(top)}v${round(h)}M${round(left + w - 8)} ${round(top)}v${round(h)}"/>`;
+        case 'cylinder': {
+            const ry = Math.min(8, h / 4);
+            return `<path class="node-shape" d="M${round(left)} ${round(top + ry)}a${round(w / 2)} ${round(ry)} 0 0 0 ${round(w)} 0` +
+                `a${round(w / 2)} ${round(ry)} 0 0 0 ${round(-w)} 0v${round(h - 2 * ry)}a${round(w / 2)} ${round(ry)} 0 0 0 ${round(w)} 0v${round(2 * ry - h)}"/>`;
+        }
+        default:
+            return rect(2);
+    }
+}
+
+// Arrow, circle or cross at the end of a link, pointing from (fromX, fromY) to (x, y)
+function renderEnd(kind, x, y, fromX, fromY) {
+    const length = Math.hypot(x - fromX, y - fromY) || 1;
+    const ux = (x - fromX) / length;
+    const uy = (y - fromY) / length;
+    if (kind === 'o') {
+        return `<circle class="edge-head" cx="${round(x - ux * 4)}" cy="${round(y - uy * 4)}" r="4"/>`;
+    }
+    if (kind === 'x') {
+        const cx = x - ux * 5;
+        const cy = y - uy * 5;
+        return `<path class="edge" d="M${round(cx - 4)} ${round(cy - 4)}L${round(cx + 4)} ${round(cy + 4)}M${round(cx - 4)} ${round(cy + 4)}L${round(cx + 4)} ${round(cy - 4)}"/>`;
+    }
+    const baseX = x - ux * ARROW_SIZE;
+    const baseY = y - uy * ARROW_SIZE;
+    const half = ARROW_SIZE / 2;
+    return `<polygon class="edge-head" points="${round(x)},${round(y)} ${round(baseX - uy * half)},${round(baseY + ux * half)} ${round(baseX + uy * half)},${round(baseY - ux * half)}"/>`;
+}
+
+function renderFlowchart(lines) {
+    const chart = parseFlowchart(lines);
+    chart.nodes.forEach(sizeNode);
+    const layers = layerNodes(chart);
+    const horizontal = chart.direction === 'LR' || chart.direction === 'RL';
+
+    // Lay out along layers (u) and across them (v), then map to x and y
+    const across = node => (horizontal ? node.height : node.width);
+    const along = node => (horizontal ? node.width : node.height);
+    const layerSizes = layers.map(layer => ({
+        breadth: layer.reduce((sum, id) => sum + across(chart.nodes.get(id)), 0) + NODE_GAP * (layer.length - 1),
+        depth: Math.max(...layer.map(id => along(chart.nodes.get(id))))
+    }));
+    const breadth = Math.max(...layerSizes.map(size => size.breadth));
+    const depth = layerSizes.reduce((sum, size) => sum + size.depth, 0) + RANK_GAP * (layers.length - 1);
+
+    let v = 0;
+    layers.forEach((layer, i) => {
+        let u = (breadth - layerSizes[i].breadth) / 2;
+        layer.forEach(id => {
+            const node = chart.nodes.get(id);
+            const center = u + across(node) / 2;
+            const middle = v + layerSizes[i].depth / 2;
+            const flipped = chart.direction === 'BT' || chart.direction === 'RL' ? depth - middle : middle;
+            node.x = MARGIN + (horizontal ? flipped : center);
+            node.y = MARGIN + (horizontal ? center : flipped);
+            u += across(node) + NODE_GAP;
+        });
+        v += layerSizes[i].depth + RANK_GAP;
+    });
+
+    const edges = [];
+    const labels = [];
+    chart.edges.forEach(edge => {
+        if (edge.style === 'invisible' || edge.from === edge.to) return;
+        const from = chart.nodes.get(edge.from);
+        const to = chart.nodes.get(edge.to);
+        const start = boundaryPoint(from, to.x, to.y);
+        const end = boundaryPoint(to, from.x, from.y);
+        const className = edge.style === 'solid' ? 'edge' : `edge edge-${edge.style}`;
+        edges.push(`<path class="${className}" d="M${round(start.x)} ${round(start.y)}L${round(end.x)} ${round(end.y)}"/>`);
+        if (edge.head) edges.push(renderEnd(edge.head, end.x, end.y, start.x, start.y));
+        if (edge.tail) edges.push(renderEnd(edge.tail, start.x, start.y, end.x, end.y));
+        if (edge.label) {
+            const lines = textLines(edge.label, 20);
+            const mx = (start.x + end.x) / 2;
+            const my = (start.y + end.y) / 2;
+            const w = textWidth(lines) + 8;
+            const h = lines.length * LINE_HEIGHT + 4;
+            labels.push(`<rect class="edge-label-bg" x="${round(mx - w / 2)}" y="${round(my - h / 2)}" width="${round(w)}" height="${round(h)}" rx="3"/>` +
+                renderText(lines, mx, my, 'edge-label'));
+        }
+    });
+
+    const nodes = Array.from(chart.nodes.values()).map(node => `<g class="node">${renderShape(node)}${renderText(node.lines, node.x, node.y, 'node-label')}</g>`);
+    const width = (horizontal ? depth : breadth) + 2 * MARGIN;
+    const height = (horizontal ? breadth : depth) + 2 * MARGIN;
+    const label = `Flowchart: ${Array.from(chart.nodes.values()).map(node => node.label).join(', ')}`;
+    return renderSvg('flowchart', width, height, label, edges.concat(nodes, labels));
+}
+
+// Timelines
+
+const TIMELINE_COLUMN = 176;
+const TIMELINE_COLUMNS = 20;
+const TIMELINE_GAP = 12;
+
+// "title", "section" and "period : event : event" lines; lines starting with
+// ":" add events to the previous period
+function parseTimeline(lines) {
+    const timeline = { title: '', sections: [], periods: [] };
+    let section = null;
+    for (const line of lines.slice(1)) {
+        let match;
+        if ((match = line.match(/^title\s+(.+)$/))) {
+            timeline.title = match[1];
+        } else if ((match = line.match(/^section\s+(.+)$/))) {
+            section = { label: match[1], periods: 0 };
+            timeline.sections.push(section);
+        } else if (line.startsWith(':')) {
+            const period = timeline.periods[timeline.periods.length - 1];
+            if (!period) throw new DiagramError(`event "${line}" has no period`);
+            period.events.push(...line.split(':').map(s => s.trim()).filter(Boolean));
+        } else {
+            const [label, ...events] = line.split(':').map(s => s.trim());
+            timeline.periods.push({ label, events: events.filter(Boolean), section });
+            if (section) section.periods++;
+        }
+    }
+    if (timeline.periods.length === 0) throw new DiagramError('the timeline has no periods');
+    return timeline;
+}
+
+function renderTimeline(lines) {
+    const timeline = parseTimeline(lines);
+    const content = [];
+    const boxWidth = TIMELINE_COLUMN - TIMELINE_GAP;
+    const boxHeight = lines => lines.length * LINE_HEIGHT + 2 * PADDING_Y;
+    let top = MARGIN;
+
+    if (timeline.title) {
+        content.push(renderText([timeline.title], MARGIN + timeline.periods.length * TIMELINE_COLUMN / 2, top + LINE_HEIGHT / 2, 'timeline-title'));
+        top += LINE_HEIGHT + TIMELINE_GAP;
+    }
+
+    // Section bands over their periods
+    if (timeline.sections.length > 0) {
+        const sectionLines = timeline.sections.map(section => textLines(section.label, TIMELINE_COLUMNS * Math.max(1, section.periods)));
+        const height = Math.max(...sectionLines.map(boxHeight));
+        let column = timeline.periods.findIndex(period => period.section);
+        timeline.sections.forEach((section, i) => {
+            if (section.periods === 0) return;
+            const x = MARGIN + column * TIMELINE_COLUMN;
+            const width = section.periods * TIMELINE_COLUMN - TIMELINE_GAP;
+            content.push(`<rect class="timeline-section section-${i % 6}" x="${x}" y="${top}" width="${width}" height="${height}" rx="4"/>` +
+                renderText(sectionLines[i], x + width / 2, top + height / 2, 'timeline-section-label'));
+            column += section.periods;
+        });
+        top += height + TIMELINE_GAP;
+    }
+
+    // Periods in a row, joined by the time axis, with their events stacked below
+    const periodLines = timeline.periods.map(period => textLines(period.label, TIMELINE_COLUMNS));
+    const periodHeight = Math.max(...periodLines.map(boxHeight));
+    const axisY = top + periodHeight + TIMELINE_GAP;
+    let bottom = axisY;
+    timeline.periods.forEach((period, i) => {
+        const x = MARGIN + i * TIMELINE_COLUMN;
+        const center = x + boxWidth / 2;
+        const section = period.section ? ` section-${timeline.sections.indexOf(period.section) % 6}` : '';
+        content.push(`<rect class="timeline-period${section}" x="${x}" y="${top}" width="${boxWidth}" height="${periodHeight}" rx="4"/>` +
+            renderText(periodLines[i], center, top + periodHeight / 2, 'timeline-period-label'));
+
+        let y = axisY + TIMELINE_GAP;
+        const events = period.events.map(event => {
+            const lines = textLines(event, TIMELINE_COLUMNS);
+            const height = boxHeight(lines);
+            const box = `<rect class="timeline-event" x="${x}" y="${round(y)}" width="${boxWidth}" height="${height}" rx="4"/>` +
+                renderText(lines, center, y + height / 2, 'timeline-event-label');
+            y += height + TIMELINE_GAP;
+            return box;
+        });
+        if (events.length > 0) {
+            content.push(`<path class="edge edge-dotted" d="M${center} ${axisY}V${round(y - TIMELINE_GAP)}"/>`, ...events);
+        }
+        bottom = Math.max(bottom, y);
+    });
+    const width = timeline.periods.length * TIMELINE_COLUMN - TIMELINE_GAP;
+    content.push(`<path class="timeline-axis" d="M${MARGIN} ${axisY}h${width}"/>`);
+
+    const label = `Timeline${timeline.title ? ': ' + timeline.title : ''}`;
+    return renderSvg('timeline', width + 2 * MARGIN, bottom + MARGIN, label, content);
+}
+
+// SVG of a ```mermaid block; throws a DiagramError when it cannot be rendered
+function renderDiagram(source) {
+    const lines = source.split('\n')
+        .map(line => line.replace(/%%.*$/, '').trim())
+        .filter(Boolean);
+    if (lines.length === 0) throw new DiagramError('the diagram is empty');
+
+    const type = lines[0].split(/\s+/)[0];
+    if (/^(?:graph|flowchart)$/i.test(type)) return renderFlowchart(lines);
+    if (type === 'timeline') return renderTimeline(lines);
+    throw new DiagramError(`"${type}" diagrams are not supported (only flowchart and timeline are)`);
+}
+
+module.exports = {
+    renderDiagram,
+    DiagramError
+};
@@ -0,0 +1,220 @@
+// YAML frontmatter parser
+//
+// Handles the subset of YAML used by Obsidian properties: nested maps, block
+// and flow sequences, quoted and plain scalars, and "|" / ">" block scalars.
+
+const RE_FRONTMATTER = /^---[ \t]*\r?\n(?:([\s\S]*?)\r?\n)?(?:---|\.\.\.)[ \t]*(?:\r?\n|$)/;
+
+class FrontmatterError extends Error {
+    constructor(message, line) {
+        super(line ? `${message} (frontmatter line ${line})` : message);
+        this.name = 'FrontmatterError';
+    }
+}
+
+// Drop a trailing "# comment" outside of quotes
+function stripComment(text) {
+    let quote = null;
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (quote) {
+            if (ch === quote) quote = null;
+        } else if (ch === '"' || ch === '\'') {
+            quote = ch;
+        } else if (ch === '#' && (i === 0 || /\s/.test(text[i - 1]))) {
+            return text.slice(0, i).trimEnd();
+        }
+    }
+    return text;
+}
+
+// Split a flow collection body on commas outside of quotes and brackets
+function splitFlow(text) {
+    const parts = [];
+    let depth = 0;
+    let quote = null;
+    let current = '';
+    for (const ch of text) {
+        if (quote) {
+            if (ch === quote) quote = null;
+        } else if (ch === '"' || ch === '\'') {
+            quote = ch;
+        } else if (ch === '[' || ch === '{') {
+            depth++;
+        } else if (ch === ']' || ch === '}') {
+            depth--;
+        } else if (ch === ',' && depth === 0) {
+            parts.push(current.trim());
+            current = '';
+            continue;
+        }
+        current += ch;
+    }
+    if (current.trim()) parts.push(current.trim());
+    return parts;
+}
+
+function parseScalar(text, lineNumber) {
+    const value = stripComment(text.trim());
+
+    if (value.startsWith('"')) {
+        if (!/^"(?:[^"\\]|\\.)*"$/.test(value)) throw new FrontmatterError('Unterminated double-quoted string', lineNumber);
+        return JSON.parse(value.replace(/\\'/g, '\''));
+    }
+    if (value.startsWith('\'')) {
+        if (!/^'(?:[^']|'')*'$/.test(value)) throw new FrontmatterError('Unterminated single-quoted string', lineNumber);
+        return value.slice(1, -1).replace(/''/g, '\'');
+    }
+    if (value.startsWith('[')) {
+        if (!value.endsWith(']')) throw new FrontmatterError('Unterminated flow sequence', lineNumber);
+        return splitFlow(value.slice(1, -1)).map(item => parseScalar(item, lineNumber));
+    }
+    if (value.startsWith('{')) {
+        if (!value.endsWith('}')) throw new FrontmatterError('Unterminated flow mapping', lineNumber);
+        const map = {};
+        splitFlow(value.slice(1, -1)).forEach(pair => {
+            const colon = pair.indexOf(':');
+            if (colon === -1) throw new FrontmatterError(`Expected "key: value" in "${pair}"`, lineNumber);
+            map[pair.slice(0, colon).trim()] = parseScalar(pair.slice(colon + 1), lineNumber);
+        });
+        return map;
+    }
+
+    // The core schema of YAML 1.2: null, Null, NULL, true, True, TRUE...
+    if (/^(?:~|null|Null|NULL)?$/.test(value)) return null;
+    if (/^(?:true|True|TRUE|false|False|FALSE)$/.test(value)) return value.toLowerCase() === 'true';
+    if (/^[-+]?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?$/i.test(value)) return Number(value);
+    return value;
+}
+
+function indentOf(line) {
+    return line.match(/^ */)[0].length;
+}
+
+function isSkippable(line) {
+    return !line.trim() || line.trim().startsWith('#');
+}
+
+// Parse the lines of one nested block starting at "index"; returns { value, next }
+function parseBlock(lines, index, indent) {
+    while (index < lines.length && isSkippable(lines[index].text)) index++;
+    if (index >= lines.length) return { value: null, next: index };
+
+    const isSequence = /^-(?:\s|$)/.test(lines[index].text.trim());
+    const value = isSequence ? [] : {};
+
+    while (index < lines.length) {
+        const { text, number } = lines[index];
+        if (isSkippable(text)) {
+            index++;
+            continue;
+        }
+
+        const lineIndent = indentOf(text);
+        if (lineIndent < indent) break;
+        if (lineIndent > indent) throw new FrontmatterError('Unexpected indentation', number);
+
+        const content = text.trim();
+        if (isSequence) {
+            // A sequence may share its key's indentation, so a key ends it
+            if (!/^-(?:\s|$)/.test(content)) break;
+            const item = content.slice(1).trim();
+            if (item) {
+                value.push(parseScalar(item, number));
+                index++;
+            } else {
+                const nested = parseBlock(lines, index + 1, indentOf(nextContentLine(lines, index + 1)));
+                value.push(nested.value);
+                index = nested.next;
+            }
+            continue;
+        }
+
+        const match = content.match(/^("[^"]*"|'[^']*'|[^:]+?)\s*:(?:\s+(.*)|$)/);
+        if (!match) throw new FrontmatterError(`Expected "key: value" but found "${content}"`, number);
+
+        const key = match[1].replace(/^["']|["']$/g, '');
+        const rest = match[2] ? match[2].trim() : '';
+
+        if (/^[|>][-+]?$/.test(rest)) {
+            const block = parseBlockScalar(lines, index + 1, indent, rest);
+            value[key] = block.value;
+            index = block.next;
+        } else if (rest && !rest.startsWith('#')) {
+            value[key] = parseScalar(rest, number);
+            index++;
+        } else {
+            // Nested block: a more indented map, or a sequence (which may share the key's indentation)
+            const nextLine = nextContentLine(lines, index + 1);
+            const nextIndent = nextLine === null ? -1 : indentOf(nextLine);
+            const isNestedSequence = nextLine !== null && nextIndent === indent && /^-(?:\s|$)/.test(nextLine.trim());
+            if (nextLine !== null && (nextIndent > indent || isNestedSequence)) {
+                const nested = parseBlock(lines, index + 1, nextIndent);
+                value[key] = nested.value;
+                index = nested.next;
+            } else {
+                value[key] = null;
+                index++;
+            }
+        }
+    }
+
+    return { value, next: index };
+}
+
+function nextContentLine(lines, index) {
+    while (index < lines.length && isSkippable(lines[index].text)) index++;
+    return index < lines.length ? lines[index].text : null;
+}
+
+// "|" keeps line breaks, ">" folds them into spaces
+function parseBlockScalar(lines, index, parentIndent, indicator) {
+    const collected = [];
+    let blockIndent = null;
+    while (index < lines.length) {
+        const text = lines[index].text;
+        if (text.trim() && indentOf(text) <= parentIndent) break;
+        if (text.trim() && blockIndent === null) blockIndent = indentOf(text);
+        collected.push(text.slice(blockIndent || 0));
+        index++;
+    }
+    while (collected.length && !collected[collected.length - 1].trim()) collected.pop();
+
+    const joined = indicator[0] === '|' ? collected.join('\n') : collected.join(' ').replace(/ {2,}/g, ' ');
+    return { value: indicator.endsWith('-') ? joined : joined + '\n', next: index };
+}
+
+// Split a note into its raw frontmatter YAML (null when absent) and markdown body
+function splitFrontmatter(markdown) {
+    const match = markdown.match(RE_FRONTMATTER);
+    if (!match) {
+        return { yaml: null, body: markdown };
+    }
+    return { yaml: match[1] || '', body: markdown.slice(match[0].length) };
+}
+
+// Split a note into its frontmatter data and markdown body
+function parseFrontmatter(markdown) {
+    const { yaml, body } = splitFrontmatter(markdown);
+    if (yaml === null) {
+        return { data: {}, body };
+    }
+
+    const lines = yaml.split(/\r?\n/).map((text, i) => ({ text: text.replace(/\t/g, '  '), number: i + 2 }));
+    const parsed = parseBlock(lines, 0, 0);
+    const data = parsed.value;
+    if (data !== null && (typeof data !== 'object' || Array.isArray(data))) {
+        throw new FrontmatterError('Frontmatter must be a set of "key: value" properties');
+    }
+    if (parsed.next < lines.length) {
+        throw new FrontmatterError('Unexpected indentation', lines[parsed.next].number);
+    }
+
+    return { data: data || {}, body };
+}
+
+module.exports = {
+    parseFrontmatter,
+    splitFrontmatter,
+    FrontmatterError
+};
@@ -0,0 +1,140 @@
+// Link graph data for the graph view
+//
+// Nodes are notes (plus unresolved link targets), edges are wikilinks. Display
+// settings are read from the vault's .obsidian/graph.json so the published
+// graph looks like the one in Obsidian.
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_GRAPH_SETTINGS = {
+    showOrphans: true,
+    hideUnresolved: false,
+    colorGroups: [],
+    showArrow: false,
+    textFadeMultiplier: 0,
+    nodeSizeMultiplier: 1,
+    lineSizeMultiplier: 1,
+    centerStrength: 0.518713248970312,
+    repelStrength: 10,
+    linkStrength: 1,
+    linkDistance: 250
+};
+
+// The vault's graph settings over the defaults; an unreadable graph.json is
+// ignored with a warning to logger
+function loadGraphSettings(vaultRoot, logger) {
+    const settingsFile = path.join(vaultRoot, '.obsidian', 'graph.json');
+    let saved = {};
+    try {
+        saved = JSON.parse(fs.readFileSync(settingsFile, 'utf-8'));
+    } catch (err) {
+        if (err.code !== 'ENOENT') {
+            logger.warn(`⚠ Ignoring ${settingsFile}: ${err.message}`);
+        }
+    }
+
+    const settings = {};
+    for (const key in DEFAULT_GRAPH_SETTINGS) {
+        const fallback = DEFAULT_GRAPH_SETTINGS[key];
+        settings[key] = typeof saved[key] === typeof fallback ? saved[key] : fallback;
+    }
+    return settings;
+}
+
+// Obsidian stores colors as { a, rgb } with rgb a 24-bit integer
+function toCssColor(color) {
+    const rgb = color.rgb || 0;
+    const alpha = typeof color.a === 'number' ? color.a : 1;
+    return `rgba(${(rgb >> 16) & 255}, ${(rgb >> 8) & 255}, ${rgb & 255}, ${alpha})`;
+}
+
+// Supports the "path:", "file:" and "tag:" operators; plain words match the path
+function matchesQuery(node, query) {
+    return query.trim().split(/\s+/).filter(Boolean).every(term => {
+        const match = term.match(/^(path|file|tag):(.*)$/);
+        const operator = match ? match[1] : 'path';
+        const value = (match ? match[2] : term).replace(/^"|"$/g, '').toLowerCase();
+        if (operator === 'tag') {
+            // Like Obsidian, "tag:#era" also matches nested tags such as "era/first-age"
+            const tagValue = value.replace(/^#/, '');
+            return node.tags.some(tag => tag === tagValue || tag.startsWith(tagValue + '/'));
+        }
+        if (operator === 'file') {
+            return node.name.toLowerCase().includes(value);
+        }
+        return node.path.toLowerCase().includes(value);
+    });
+}
+
+function groupColor(node, colorGroups) {
+    const group = colorGroups.find(g => g.query && g.color && matchesQuery(node, g.query));
+    return group ? toCssColor(group.color) : null;
+}
+
+// Returns { settings, nodes: [{ id, name, color, unresolved }], links: [[source, target]] }
+function buildGraph(notes, settings) {
+    const nodes = [];
+    const index = new Map();
+    const links = [];
+
+    const addNode = node => {
+        index.set(node.id, nodes.length);
+        nodes.push(node);
+    };
+
+    for (const noteId in notes) {
+        const note = notes[noteId];
+        const node = { id: noteId, name: note.name, path: note.path, tags: note.tags };
+        node.color = groupColor(node, settings.colorGroups);
+        addNode(node);
+    }
+
+    const seen = new Set();
+    const addLink = (source, target) => {
+        const key = source + '\n' + target;
+        if (source === target || seen.has(key)) return;
+        seen.add(key);
+        links.push([index.get(source), index.get(target)]);
+    };
+
+    for (const noteId in notes) {
+        const note = notes[noteId];
+        note.links.forEach(targetId => addLink(noteId, targetId));
+
+        if (!settings.hideUnresolved) {
+            note.unresolvedLinks.forEach(target => {
+                const id = 'unresolved:' + target.toLowerCase();
+                if (!index.has(id)) {
+                    addNode({ id, name: target, path: target, tags: [], color: null, unresolved: true });
+                }
+                addLink(noteId, id);
+            });
+        }
+    }
+
+    let graphNodes = nodes;
+    let graphLinks = links;
+    if (!settings.showOrphans) {
+        const linked = new Set(links.flat());
+        const remap = {};
+        graphNodes = [];
+        nodes.forEach((node, i) => {
+            if (!linked.has(i)) return;
+            remap[i] = graphNodes.length;
+            graphNodes.push(node);
+        });
+        graphLinks = links.map(([source, target]) => [remap[source], remap[target]]);
+    }
+
+    return {
+        settings,
+        nodes: graphNodes.map(node => ({ id: node.id, name: node.name, color: node.color, unresolved: Boolean(node.unresolved) })),
+        links: graphLinks
+    };
+}
+
+module.exports = {
+    loadGraphSettings,
+    buildGraph
+};
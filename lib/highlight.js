@@ -0,0 +1,213 @@
+// Syntax highlighting of fenced code blocks
+//
+// Each language is a list of [type, pattern] rules tried in order at every
+// position; the text a rule matches is wrapped in <span class="hl-type">
+// (rules without a type only skip text, e.g. identifiers that are not
+// keywords). Colors come from wiki.css, so they follow the light and dark
+// themes. Unknown languages are left to the caller, as plain code.
+
+const { escapeHtml } = require('./html');
+
+// Patterns are sticky: they must match at the current position
+const C_COMMENT = ['comment', /\/\/.*|\/\*[\s\S]*?(?:\*\/|$)/y];
+const HASH_COMMENT = ['comment', /#.*/y];
+const DOUBLE_STRING = ['string', /"(?:[^"\\\n]|\\.)*"?/y];
+const SINGLE_STRING = ['string', /'(?:[^'\\\n]|\\.)*'?/y];
+const NUMBER = ['number', /\b(?:0[xX][\da-fA-F_]+|0[bB][01_]+|\d[\d_]*(?:\.\d[\d_]*)?(?:[eE][+-]?\d+)?)[nLfFuU]*\b/y];
+const FUNCTION = ['function', /[A-Za-z_$][\w$]*(?=\s*\()/y];
+const WORD = [null, /[A-Za-z_$][\w$]*/y];
+
+function words(type, list, flags = '') {
+    return [type, new RegExp(`\\b(?:${list.join('|')})\\b`, 'y' + flags)];
+}
+
+// Languages with C-like syntax, given their keywords and literals
+function cLike(keywords, literals, extra = []) {
+    return [C_COMMENT, ...extra, DOUBLE_STRING, SINGLE_STRING, words('keyword', keywords), words('literal', literals), NUMBER, FUNCTION, WORD];
+}
+
+const JS_KEYWORDS = ['as', 'async', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'debugger', 'default', 'delete', 'do',
+    'else', 'export', 'extends', 'finally', 'for', 'from', 'function', 'get', 'if', 'import', 'in', 'instanceof', 'let', 'new', 'of',
+    'return', 'set', 'static', 'super', 'switch', 'this', 'throw', 'try', 'typeof', 'var', 'void', 'while', 'with', 'yield'];
+const JS_LITERALS = ['true', 'false', 'null', 'undefined', 'NaN', 'Infinity'];
+const TEMPLATE_STRING = ['string', /`(?:[^`\\]|\\[\s\S])*`?/y];
+
+const LANGUAGES = {
+    javascript: cLike(JS_KEYWORDS, JS_LITERALS, [TEMPLATE_STRING]),
+    typescript: cLike(JS_KEYWORDS.concat(['abstract', 'declare', 'enum', 'implements', 'infer', 'interface', 'is', 'keyof', 'namespace',
+        'private', 'protected', 'public', 'readonly', 'type', 'any', 'boolean', 'never', 'number', 'object', 'string', 'symbol', 'unknown']),
+    JS_LITERALS, [TEMPLATE_STRING]),
+    json: [
+        ['property', /"(?:[^"\\\n]|\\.)*"(?=\s*:)/y],
+        DOUBLE_STRING,
+        words('literal', ['true', 'false', 'null']),
+        ['number', /-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?/y]
+    ],
+    python: [
+        HASH_COMMENT,
+        ['string', /[rRbBfFuU]{0,2}("""|''')[\s\S]*?(?:\1|$)/y],
+        ['string', /[rRbBfFuU]{1,2}(?:"(?:[^"\\\n]|\\.)*"?|'(?:[^'\\\n]|\\.)*'?)/y],
+        DOUBLE_STRING,
+        SINGLE_STRING,
+        ['meta', /@[\w.]+/y],
+        words('keyword', ['and', 'as', 'assert', 'async', 'await', 'break', 'case', 'class', 'continue', 'def', 'del', 'elif', 'else', 'except',
+            'finally', 'for', 'from', 'global', 'if', 'import', 'in', 'is', 'lambda', 'match', 'nonlocal', 'not', 'or', 'pass', 'raise',
+            'return', 'self', 'try', 'while', 'with', 'yield']),
+        words('literal', ['True', 'False', 'None']),
+        NUMBER,
+        FUNCTION,
+        WORD
+    ],
+    bash: [
+        HASH_COMMENT,
+        ['variable', /\$(?:\{[^}\n]*\}|[\w@#?$!*-])+/y],
+        DOUBLE_STRING,
+        ['string', /'[^']*'?/y],
+        words('keyword', ['case', 'do', 'done', 'elif', 'else', 'esac', 'exit', 'export', 'fi', 'for', 'function', 'if', 'in', 'local',
+            'return', 'select', 'then', 'until', 'while']),
+        NUMBER,
+        [null, /[A-Za-z_][\w-]*/y]
+    ],
+    css: [
+        ['comment', /\/\*[\s\S]*?(?:\*\/|$)/y],
+        DOUBLE_STRING,
+        SINGLE_STRING,
+        ['keyword', /@[\w-]+/y],
+        // A property is followed by a value ending with ";" or "}" (not by a "{",
+        // like "a:hover" in a selector)
+        ['property', /-?[A-Za-z][\w-]*(?=\s*:[^;{}]*[;}])/y],
+        ['number', /#[\da-fA-F]{3,8}\b|-?(?:\d*\.)?\d+(?:px|em|rem|%|vh|vw|vmin|vmax|ch|ex|pt|cm|mm|in|s|ms|deg|rad|turn|fr)?/y],
+        [null, /[\w-]+/y]
+    ],
+    html: [
+        ['comment', /<!--[\s\S]*?(?:-->|$)/y],
+        ['meta', /<![^>]*>?/y],
+        ['tag', /<\/?[\w:-]+|\/?>/y],
+        ['attr', /[\w:-]+(?=\s*=)/y],
+        DOUBLE_STRING,
+        SINGLE_STRING,
+        ['literal', /&(?:#\d+|#x[\da-fA-F]+|\w+);/y],
+        [null, /\w+/y]
+    ],
+    yaml: [
+        ['comment', /(?:^|(?<=\s))#.*/my],
+        ['meta', /^(?:---|\.\.\.)(?=\s|$)/my],
+        ['property', /[^\s:#'"{}[\],&*!|>%@`-][^:#\n]*?(?=:(?:\s|$))/y],
+        DOUBLE_STRING,
+        SINGLE_STRING,
+        ['variable', /[&*][\w-]+/y],
+        words('literal', ['true', 'false', 'null', 'yes', 'no', 'on', 'off']),
+        NUMBER,
+        [null, /\w+/y]
+    ],
+    sql: [
+        ['comment', /--.*|\/\*[\s\S]*?(?:\*\/|$)/y],
+        SINGLE_STRING,
+        DOUBLE_STRING,
+        words('keyword', ['add', 'all', 'alter', 'and', 'as', 'asc', 'begin', 'between', 'by', 'case', 'commit', 'create', 'default', 'delete',
+            'desc', 'distinct', 'drop', 'else', 'end', 'exists', 'foreign', 'from', 'full', 'group', 'having', 'in', 'index', 'inner',
+            'insert', 'into', 'is', 'join', 'key', 'left', 'like', 'limit', 'not', 'on', 'or', 'order', 'outer', 'primary', 'references',
+            'right', 'select', 'set', 'table', 'then', 'union', 'update', 'values', 'view', 'when', 'where', 'with'], 'i'),
+        words('literal', ['null', 'true', 'false'], 'i'),
+        NUMBER,
+        FUNCTION,
+        WORD
+    ],
+    c: cLike(['auto', 'break', 'case', 'char', 'const', 'continue', 'default', 'do', 'double', 'else', 'enum', 'extern', 'float', 'for',
+        'goto', 'if', 'inline', 'int', 'long', 'register', 'return', 'short', 'signed', 'sizeof', 'static', 'struct', 'switch', 'typedef',
+        'union', 'unsigned', 'void', 'volatile', 'while', 'class', 'namespace', 'new', 'delete', 'private', 'protected', 'public',
+        'template', 'this', 'throw', 'try', 'catch', 'using', 'virtual', 'bool'], ['true', 'false', 'NULL', 'nullptr'],
+    [['meta', /#\s*\w+/y]]),
+    java: cLike(['abstract', 'boolean', 'break', 'byte', 'case', 'catch', 'char', 'class', 'const', 'continue', 'default', 'do', 'double',
+        'else', 'enum', 'extends', 'final', 'finally', 'float', 'for', 'if', 'implements', 'import', 'instanceof', 'int', 'interface',
+        'long', 'new', 'package', 'private', 'protected', 'public', 'return', 'short', 'static', 'super', 'switch', 'this', 'throw',
+        'throws', 'try', 'var', 'void', 'while', 'record', 'sealed'], ['true', 'false', 'null'], [['meta', /@\w+/y]]),
+    csharp: cLike(['abstract', 'as', 'async', 'await', 'base', 'bool', 'break', 'case', 'catch', 'class', 'const', 'continue', 'default',
+        'do', 'double', 'else', 'enum', 'foreach', 'for', 'float', 'get', 'if', 'in', 'int', 'interface', 'internal', 'is', 'namespace',
+        'new', 'out', 'override', 'private', 'protected', 'public', 'readonly', 'ref', 'return', 'set', 'static', 'string', 'struct',
+        'switch', 'this', 'throw', 'try', 'using', 'var', 'virtual', 'void', 'while'], ['true', 'false', 'null'], [['meta', /#\w+|\[\w+\]/y]]),
+    go: cLike(['break', 'case', 'chan', 'const', 'continue', 'default', 'defer', 'else', 'fallthrough', 'for', 'func', 'go', 'goto', 'if',
+        'import', 'interface', 'map', 'package', 'range', 'return', 'select', 'struct', 'switch', 'type', 'var'],
+    ['true', 'false', 'nil', 'iota'], [['string', /`[^`]*`?/y]]),
+    rust: cLike(['as', 'async', 'await', 'break', 'const', 'continue', 'crate', 'dyn', 'else', 'enum', 'extern', 'fn', 'for', 'if', 'impl',
+        'in', 'let', 'loop', 'match', 'mod', 'move', 'mut', 'pub', 'ref', 'return', 'self', 'Self', 'static', 'struct', 'super', 'trait',
+        'type', 'unsafe', 'use', 'where', 'while'], ['true', 'false', 'None', 'Some', 'Ok', 'Err'], [['meta', /#!?\[[^\]\n]*\]?/y]]),
+    diff: [
+        ['meta', /^(?:@@.*|diff .*|index .*|\+\+\+ .*|--- .*)/my],
+        ['inserted', /^\+.*/my],
+        ['deleted', /^-.*/my],
+        [null, /.+/y]
+    ],
+    // Made-up code (spells, rituals...): comments, strings, numbers and the
+    // control words most pseudocode uses
+    pseudocode: [
+        C_COMMENT,
+        HASH_COMMENT,
+        DOUBLE_STRING,
+        SINGLE_STRING,
+        words('keyword', ['if', 'then', 'else', 'elif', 'end', 'for', 'each', 'in', 'while', 'do', 'repeat', 'until', 'return', 'function',
+            'procedure', 'begin', 'let', 'set', 'to', 'and', 'or', 'not', 'break', 'continue', 'cast', 'invoke', 'channel', 'when'], 'i'),
+        words('literal', ['true', 'false', 'null', 'none', 'nothing'], 'i'),
+        NUMBER,
+        FUNCTION,
+        WORD
+    ]
+};
+
+const ALIASES = {
+    js: 'javascript', jsx: 'javascript', mjs: 'javascript', cjs: 'javascript', node: 'javascript',
+    ts: 'typescript', tsx: 'typescript',
+    jsonc: 'json',
+    py: 'python',
+    sh: 'bash', shell: 'bash', zsh: 'bash', console: 'bash',
+    scss: 'css', less: 'css',
+    xml: 'html', svg: 'html', xhtml: 'html',
+    yml: 'yaml',
+    h: 'c', cpp: 'c', 'c++': 'c', cc: 'c', hpp: 'c',
+    kotlin: 'java', kt: 'java',
+    cs: 'csharp', 'c#': 'csharp',
+    golang: 'go',
+    rs: 'rust',
+    patch: 'diff',
+    pseudo: 'pseudocode', spell: 'pseudocode'
+};
+
+// Highlighted HTML of code, or null when the language is not supported
+function highlight(code, language) {
+    const name = language.toLowerCase();
+    const key = Object.hasOwn(ALIASES, name) ? ALIASES[name] : name;
+    if (!Object.hasOwn(LANGUAGES, key)) return null;
+    const rules = LANGUAGES[key];
+
+    let html = '';
+    let plain = '';
+    let pos = 0;
+    while (pos < code.length) {
+        let token = null;
+        for (const [type, pattern] of rules) {
+            pattern.lastIndex = pos;
+            const match = pattern.exec(code);
+            if (match && match[0].length > 0) {
+                token = { type, text: match[0] };
+                break;
+            }
+        }
+        if (!token) {
+            plain += code[pos++];
+            continue;
+        }
+        if (token.type) {
+            html += escapeHtml(plain) + `<span class="hl-${token.type}">${escapeHtml(token.text)}</span>`;
+            plain = '';
+        } else {
+            plain += token.text;
+        }
+        pos += token.text.length;
+    }
+
+    return html + escapeHtml(plain);
+}
+
+module.exports = {
+    highlight
+};
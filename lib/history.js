@@ -0,0 +1,268 @@
+// Page history
+//
+// The vault's git history (obsidian-git commits it) gives each note its created
+// and last updated dates, its contributors and the changes of its latest
+// revisions as line diffs, all from the revisions published at the time. git
+// runs twice per build, without a shell: once for the log of the vault's folder
+// and once for the contents of the revisions. A vault outside a git work tree,
+// or without git installed, has no history.
+
+const { execFileSync } = require('child_process');
+
+// Latest revisions of a file compared with the one before
+const MAX_CHANGES = 20;
+// Unchanged lines shown around the changed ones
+const DIFF_CONTEXT = 3;
+// Above this many line pairs, the changed lines of two revisions are shown as
+// removed and added as a whole instead of being compared
+const MAX_DIFF_CELLS = 4000000;
+
+function git(dir, args, input) {
+    return execFileSync('git', ['-c', 'core.quotePath=false', ...args], {
+        cwd: dir,
+        input,
+        maxBuffer: 1024 * 1024 * 1024,
+        stdio: ['pipe', 'pipe', 'ignore']
+    });
+}
+
+// Commits of the given files (relative to dir), newest first: Map of path ->
+// [{ hash, date, author }]. Merges list no files, so only the commits merged count.
+function readCommits(dir, relPaths) {
+    const commits = new Map();
+    const log = git(dir, ['log', '-z', '--format=%x1e%H%x1f%aI%x1f%an', '--name-only', '--no-renames', '--relative', '--', '.']).toString('utf-8');
+    for (const record of log.split('\x1e').slice(1)) {
+        const [header, ...files] = record.split('\0');
+        const [hash, date, author] = header.split('\x1f');
+        for (const file of files) {
+            const relPath = file.replace(/^\n/, '');
+            if (!relPaths.has(relPath)) continue;
+            if (!commits.has(relPath)) commits.set(relPath, []);
+            commits.get(relPath).push({ hash, date, author });
+        }
+    }
+    return commits;
+}
+
+// Contents of files at commits, [{ hash, relPath }], read by a single "git
+// cat-file". Returns text(index), the contents of revisions[index] or null (the
+// file did not exist), decoded when asked for: every revision of every note
+// can be large as text.
+function readRevisions(dir, revisions) {
+    if (revisions.length === 0) return () => null;
+    const input = revisions.map(({ hash, relPath }) => `${hash}:./${relPath}\n`).join('');
+    const output = git(dir, ['cat-file', '--batch'], input);
+    const ranges = [];
+    let pos = 0;
+    while (ranges.length < revisions.length && pos < output.length) {
+        const end = output.indexOf(0x0a, pos);
+        const header = output.toString('utf-8', pos, end);
+        if (header.endsWith(' missing') || header.endsWith(' ambiguous')) {
+            ranges.push(null);
+            pos = end + 1;
+            continue;
+        }
+        const size = Number(header.slice(header.lastIndexOf(' ') + 1));
+        ranges.push([end + 1, end + 1 + size]);
+        pos = end + 1 + size + 1;
+    }
+    return index => (ranges[index] ? output.toString('utf-8', ranges[index][0], ranges[index][1]) : null);
+}
+
+// Line diff of two texts as [type, line] with type " " (unchanged), "-" or "+",
+// from the longest common subsequence of the lines between a common start and end
+function diffLines(before, after) {
+    const a = before === '' ? [] : before.replace(/\n$/, '').split('\n');
+    const b = after === '' ? [] : after.replace(/\n$/, '').split('\n');
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+        endA--;
+        endB--;
+    }
+
+    const ops = a.slice(0, start).map(line => [' ', line]);
+    const n = endA - start;
+    const m = endB - start;
+    if (n * m > MAX_DIFF_CELLS) {
+        a.slice(start, endA).forEach(line => ops.push(['-', line]));
+        b.slice(start, endB).forEach(line => ops.push(['+', line]));
+    } else {
+        // lengths[i * (m + 1) + j]: common lines of a[start + i..] and b[start + j..]
+        const lengths = new Uint32Array((n + 1) * (m + 1));
+        for (let i = n - 1; i >= 0; i--) {
+            for (let j = m - 1; j >= 0; j--) {
+                lengths[i * (m + 1) + j] = a[start + i] === b[start + j]
+                    ? lengths[(i + 1) * (m + 1) + j + 1] + 1
+                    : Math.max(lengths[(i + 1) * (m + 1) + j], lengths[i * (m + 1) + j + 1]);
+            }
+        }
+        let i = 0;
+        let j = 0;
+        while (i < n || j < m) {
+            if (i < n && j < m && a[start + i] === b[start + j]) {
+                ops.push([' ', a[start + i]]);
+                i++;
+                j++;
+            } else if (i < n && (j === m || lengths[(i + 1) * (m + 1) + j] >= lengths[i * (m + 1) + j + 1])) {
+                ops.push(['-', a[start + i]]);
+                i++;
+            } else {
+                ops.push(['+', b[start + j]]);
+                j++;
+            }
+        }
+    }
+    a.slice(endA).forEach(line => ops.push([' ', line]));
+    return ops;
+}
+
+// Group a line diff into hunks of changed lines with DIFF_CONTEXT unchanged
+// lines around them: [{ oldStart, oldLines, newStart, newLines, lines }],
+// lines being [type, line] as in diffLines
+function diffHunks(ops) {
+    // Line numbers in the old and new text at each line of the diff
+    const numbers = [];
+    let oldLine = 1;
+    let newLine = 1;
+    ops.forEach(([type]) => {
+        numbers.push([oldLine, newLine]);
+        if (type !== '+') oldLine++;
+        if (type !== '-') newLine++;
+    });
+
+    // Changes closer than twice the context share a hunk
+    const groups = [];
+    ops.forEach(([type], index) => {
+        if (type === ' ') return;
+        const group = groups[groups.length - 1];
+        if (group && index - group.last <= 2 * DIFF_CONTEXT) {
+            group.last = index;
+        } else {
+            groups.push({ first: index, last: index });
+        }
+    });
+
+    return groups.map(({ first, last }) => {
+        const start = Math.max(0, first - DIFF_CONTEXT);
+        const lines = ops.slice(start, Math.min(ops.length, last + DIFF_CONTEXT + 1));
+        const oldLines = lines.filter(([type]) => type !== '+').length;
+        const newLines = lines.filter(([type]) => type !== '-').length;
+        // Like git, an empty range starts at the line before it
+        return {
+            oldStart: numbers[start][0] - (oldLines === 0 ? 1 : 0),
+            oldLines,
+            newStart: numbers[start][1] - (newLines === 0 ? 1 : 0),
+            newLines,
+            lines
+        };
+    });
+}
+
+// One file's history from its commits (newest first) and revisionText(index),
+// the contents of commits[index]. shownText(text) is what the history shows of
+// a revision, null when it is not shown (not published then): the dates,
+// authors and changes only come from the revisions shown, and revisions
+// showing no change are left out of the changes. Returns null when no revision
+// is shown.
+function fileHistory(commits, revisionText, shownText) {
+    // What is shown of the latest revisions, compared for the changes
+    const texts = [];
+    const shown = commits.filter((commit, index) => {
+        const text = revisionText(index);
+        const shownRevision = text === null ? null : shownText(text);
+        if (index <= MAX_CHANGES) texts.push(shownRevision);
+        return shownRevision !== null;
+    });
+    if (shown.length === 0) return null;
+
+    const authors = new Map();
+    shown.forEach(({ author }) => authors.set(author, (authors.get(author) || 0) + 1));
+
+    // Oldest first, from the file's first commit or else from the revision
+    // before the latest MAX_CHANGES, which is only compared with
+    let compared = commits.slice(0, texts.length).reverse();
+    let revisions = texts.reverse();
+    let previous = '';
+    if (commits.length > MAX_CHANGES) {
+        previous = revisions[0] || '';
+        compared = compared.slice(1);
+        revisions = revisions.slice(1);
+    }
+
+    const changes = [];
+    compared.forEach((commit, index) => {
+        const text = revisions[index];
+        if (text === null || text === previous) return;
+        const ops = diffLines(previous, text);
+        changes.unshift({
+            hash: commit.hash,
+            date: commit.date,
+            author: commit.author,
+            added: ops.filter(([type]) => type === '+').length,
+            removed: ops.filter(([type]) => type === '-').length,
+            hunks: diffHunks(ops)
+        });
+        previous = text;
+    });
+
+    return {
+        created: shown[shown.length - 1].date,
+        updated: shown[0].date,
+        // Most commits first
+        authors: Array.from(authors, ([name, count]) => ({ name, commits: count }))
+            .sort((x, y) => y.commits - x.commits || x.name.localeCompare(y.name)),
+        commits: shown.length,
+        changes
+    };
+}
+
+// History of files of dir (paths relative to it, such as the vault's notes):
+// { shallow, files } with files a Map of path -> { created, updated, authors,
+// commits, changes }, for the files committed published at least once. Dates
+// are ISO 8601 in the author's time zone, authors [{ name, commits }] and
+// changes the latest revisions, newest first, as { hash, date, author, added,
+// removed, hunks } (see diffHunks). options.shownText(text, relPath) is what the
+// history shows of a revision, null to leave it out. Returns null when dir is
+// not in a git work tree, and no files when git cannot read its history.
+function readHistory(dir, relPaths, options = {}) {
+    const shownText = options.shownText || (text => text);
+    let shallow;
+    try {
+        shallow = git(dir, ['rev-parse', '--is-shallow-repository']).toString('utf-8').trim() === 'true';
+    } catch (err) {
+        return null;
+    }
+
+    // git log fails in a repository without commits yet (a new vault)
+    let commits;
+    let revisionText;
+    try {
+        commits = readCommits(dir, new Set(relPaths));
+        const revisions = [];
+        commits.forEach((fileCommits, relPath) => {
+            fileCommits.forEach(({ hash }) => revisions.push({ hash, relPath }));
+        });
+        revisionText = readRevisions(dir, revisions);
+    } catch (err) {
+        return { shallow, files: new Map() };
+    }
+
+    const files = new Map();
+    let offset = 0;
+    commits.forEach((fileCommits, relPath) => {
+        const first = offset;
+        offset += fileCommits.length;
+        const history = fileHistory(fileCommits, index => revisionText(first + index), text => shownText(text, relPath));
+        if (history) files.set(relPath, history);
+    });
+    return { shallow, files };
+}
+
+module.exports = {
+    readHistory,
+    diffLines,
+    diffHunks
+};
@@ -0,0 +1,150 @@
+// HTML escaping and sanitizing
+//
+// Notes come from several authors, so the raw HTML they contain is passed
+// through an allowlist: known-safe elements and attributes are kept (and
+// re-serialized), everything else is dropped, as is the content of elements
+// such as <script> and <style>. URLs in links, images and media must use a
+// safe scheme.
+
+const NAMED_ENTITIES = {
+    amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: ' ', copy: '©',
+    reg: '®', hellip: '…', mdash: '—', ndash: '–', auml: 'ä', ouml: 'ö'
+};
+
+// Elements kept, with their allowed attributes besides GLOBAL_ATTRIBUTES
+const ALLOWED_ELEMENTS = {
+    a: ['href', 'target'],
+    abbr: [], b: [], bdi: [], bdo: [], br: [], center: [], cite: [], code: [], dd: [], dfn: [],
+    div: ['align'], dl: [], dt: [], em: [], figcaption: [], figure: [], hr: [], i: [], kbd: [],
+    mark: [], p: ['align'], pre: [], rp: [], rt: [], ruby: [], s: [], samp: [], small: [],
+    span: [], strike: [], strong: [], sub: [], summary: [], sup: [], tt: [], u: [], var: [], wbr: [],
+    h1: ['align'], h2: ['align'], h3: ['align'], h4: ['align'], h5: ['align'], h6: ['align'],
+    blockquote: ['cite'], q: ['cite'], del: ['cite', 'datetime'], ins: ['cite', 'datetime'],
+    details: ['open'], time: ['datetime'],
+    ul: [], ol: ['start', 'type', 'reversed'], li: ['value'],
+    table: [], caption: [], colgroup: ['span'], col: ['span'], thead: [], tbody: [], tfoot: [],
+    tr: [], th: ['colspan', 'rowspan', 'align', 'scope'], td: ['colspan', 'rowspan', 'align'],
+    img: ['src', 'alt', 'width', 'height', 'loading'],
+    audio: ['src', 'controls', 'loop', 'muted'],
+    video: ['src', 'controls', 'loop', 'muted', 'poster', 'width', 'height'],
+    source: ['src', 'type']
+};
+
+// No id or name: they could shadow the page's own elements
+const GLOBAL_ATTRIBUTES = ['class', 'title', 'lang', 'dir'];
+
+const URL_ATTRIBUTES = ['href', 'src', 'cite', 'poster'];
+
+// Elements dropped with everything inside them
+const DROPPED_CONTENT = ['script', 'style', 'iframe', 'object', 'embed', 'noscript', 'template', 'textarea', 'title', 'xmp', 'noembed', 'noframes', 'plaintext'];
+
+const SAFE_SCHEMES = ['http', 'https', 'mailto', 'tel'];
+// Inline images ("data:image/png;base64,...") are allowed as image sources only
+const RE_DATA_IMAGE = /^data:image\/(?:png|gif|jpeg|webp|avif|bmp);/i;
+
+const RE_TAG = /^<(\/?)([A-Za-z][A-Za-z0-9-]*)((?:\s+[A-Za-z_:][A-Za-z0-9_.:-]*(?:\s*=\s*(?:[^"'=<>`\x00-\x20]+|'[^']*'|"[^"]*"))?)*)\s*(\/?)>/;
+const RE_ATTRIBUTE = /([A-Za-z_:][A-Za-z0-9_.:-]*)(?:\s*=\s*([^"'=<>`\x00-\x20]+|'[^']*'|"[^"]*"))?/g;
+const RE_ENTITY = /&(?:#[xX][0-9a-fA-F]{1,6}|#[0-9]{1,7}|[A-Za-z][A-Za-z0-9]{1,31});/g;
+// Comments, processing instructions, declarations and CDATA, all dropped
+const RE_MARKUP = /^(?:<!--[\s\S]*?(?:-->|$)|<\?[\s\S]*?(?:\?>|$)|<![\s\S]*?(?:>|$))/;
+
+function escapeHtml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function escapeAttr(value) {
+    return value.replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+}
+
+function decodeEntity(entity) {
+    const name = entity.slice(1, -1);
+    if (name[0] === '#') {
+        const code = name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+        return code === 0 || code > 0x10ffff ? '�' : String.fromCodePoint(code);
+    }
+    return NAMED_ENTITIES[name] || null;
+}
+
+// Whether a URL is relative or uses a safe scheme (browsers ignore whitespace
+// and control characters in the scheme, so "java\tscript:" is a scheme too)
+function isSafeUrl(url, image = false) {
+    const compact = url.replace(/[\x00-\x20\x7f]/g, '');
+    const scheme = compact.match(/^([A-Za-z][A-Za-z0-9+.-]*):/);
+    if (!scheme) return true;
+    return SAFE_SCHEMES.includes(scheme[1].toLowerCase()) || (image && RE_DATA_IMAGE.test(compact));
+}
+
+// An allowed tag rebuilt from its parsed attributes, or '' when it is dropped.
+// Attribute values are decoded then escaped again, so the value the browser
+// sees is the one checked here (unknown entities stay literal).
+function sanitizeTag(closing, name, attributes) {
+    const allowed = ALLOWED_ELEMENTS[name];
+    if (!allowed) return '';
+    if (closing) return `</${name}>`;
+
+    const kept = [];
+    let match;
+    RE_ATTRIBUTE.lastIndex = 0;
+    while ((match = RE_ATTRIBUTE.exec(attributes))) {
+        const attribute = match[1].toLowerCase();
+        if (!allowed.includes(attribute) && !GLOBAL_ATTRIBUTES.includes(attribute)) continue;
+        if (kept.some(([other]) => other === attribute)) continue;
+        const raw = (match[2] || '').replace(/^(["'])([\s\S]*)\1$/, '$2');
+        const value = raw.replace(RE_ENTITY, entity => decodeEntity(entity) || entity);
+        if (URL_ATTRIBUTES.includes(attribute) && !isSafeUrl(value, attribute === 'src' && name === 'img')) continue;
+        if (attribute === 'target' && value !== '_blank') continue;
+        kept.push([attribute, value]);
+    }
+    // Pages opened in a new tab get no handle on the wiki
+    if (kept.some(([attribute]) => attribute === 'target')) kept.push(['rel', 'noopener']);
+
+    return `<${name}${kept.map(([attribute, value]) => (value === '' ? ` ${attribute}` : ` ${attribute}="${escapeHtml(value)}"`)).join('')}>`;
+}
+
+// Sanitize a fragment of raw HTML (an HTML block, or a tag found inline)
+function sanitizeHtml(html) {
+    let result = '';
+    let dropping = null;  // name of the element whose content is being dropped
+    let pos = 0;
+
+    while (pos < html.length) {
+        const rest = html.slice(pos);
+        const lt = rest.indexOf('<');
+        const text = lt === -1 ? rest : rest.slice(0, lt);
+        if (text && !dropping) {
+            // Entities are kept, any other "&" and stray ">" are escaped
+            result += text.replace(/&(?!#[xX][0-9a-fA-F]{1,6};|#[0-9]{1,7};|[A-Za-z][A-Za-z0-9]{1,31};)/g, '&amp;').replace(/>/g, '&gt;');
+        }
+        if (lt === -1) break;
+        pos += lt;
+
+        const markup = html.slice(pos).match(RE_MARKUP);
+        const tag = !markup && html.slice(pos).match(RE_TAG);
+        if (markup) {
+            pos += markup[0].length;
+        } else if (tag) {
+            const name = tag[2].toLowerCase();
+            if (dropping) {
+                if (tag[1] && name === dropping) dropping = null;
+            } else if (DROPPED_CONTENT.includes(name)) {
+                if (!tag[1] && !tag[4]) dropping = name;
+            } else {
+                result += sanitizeTag(Boolean(tag[1]), name, tag[3]);
+            }
+            pos += tag[0].length;
+        } else {
+            if (!dropping) result += '&lt;';
+            pos++;
+        }
+    }
+
+    return result;
+}
+
+module.exports = {
+    escapeHtml,
+    escapeAttr,
+    decodeEntity,
+    isSafeUrl,
+    sanitizeHtml
+};
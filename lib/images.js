@@ -0,0 +1,977 @@
+// Image helpers for the attachment pipeline
+//
+// Reads the dimensions of PNG, JPEG, GIF, WebP and SVG files from their
+// headers, and resizes PNG images (decoded and re-encoded with zlib) and JPEG
+// images (baseline or progressive, decoded and re-encoded as baseline) for
+// thumbnails. Other formats are published at their original size.
+
+const zlib = require('zlib');
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Samples per pixel for each PNG color type
+const PNG_CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+function svgLength(value) {
+    const match = value && value.match(/^\s*([\d.]+)\s*(px)?\s*$/);
+    return match ? Math.round(Number(match[1])) : null;
+}
+
+function svgSize(text) {
+    const tag = (text.match(/<svg\b[^>]*>/i) || [''])[0];
+    const attribute = name => (tag.match(new RegExp(`\\s${name}\\s*=\\s*["']([^"']*)["']`, 'i')) || [])[1];
+    let width = svgLength(attribute('width'));
+    let height = svgLength(attribute('height'));
+    const viewBox = (attribute('viewBox') || '').trim().split(/[\s,]+/).map(Number);
+    if ((!width || !height) && viewBox.length === 4 && viewBox[2] > 0 && viewBox[3] > 0) {
+        if (width) {
+            height = Math.round(width * viewBox[3] / viewBox[2]);
+        } else if (height) {
+            width = Math.round(height * viewBox[2] / viewBox[3]);
+        } else {
+            width = Math.round(viewBox[2]);
+            height = Math.round(viewBox[3]);
+        }
+    }
+    return width && height ? { width, height } : null;
+}
+
+function jpegSize(buffer) {
+    let offset = 2;
+    while (offset + 9 < buffer.length) {
+        if (buffer[offset] !== 0xff) return null;
+        const marker = buffer[offset + 1];
+        if (marker === 0xff) {
+            offset++;
+            continue;
+        }
+        // Start-of-frame markers (not DHT, JPG or DAC) hold the dimensions
+        if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+            return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+        }
+        offset += 2 + buffer.readUInt16BE(offset + 2);
+    }
+    return null;
+}
+
+function webpSize(buffer) {
+    const chunk = buffer.toString('ascii', 12, 16);
+    if (chunk === 'VP8X') {
+        return { width: 1 + buffer.readUIntLE(24, 3), height: 1 + buffer.readUIntLE(27, 3) };
+    }
+    if (chunk === 'VP8L') {
+        const bits = buffer.readUInt32LE(21);
+        return { width: 1 + (bits & 0x3fff), height: 1 + ((bits >> 14) & 0x3fff) };
+    }
+    if (chunk === 'VP8 ') {
+        return { width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+    }
+    return null;
+}
+
+// { width, height } of an image, or null when the format is not recognised
+function imageSize(buffer) {
+    if (buffer.length >= 24 && buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+        return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+    }
+    if (buffer.length >= 10 && buffer.toString('ascii', 0, 3) === 'GIF') {
+        return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+    }
+    if (buffer.length >= 4 && buffer[0] === 0xff && buffer[1] === 0xd8) {
+        return jpegSize(buffer);
+    }
+    if (buffer.length >= 30 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+        return webpSize(buffer);
+    }
+    const head = buffer.toString('utf-8', 0, 4096);
+    if (/<svg\b/i.test(head)) {
+        return svgSize(head);
+    }
+    return null;
+}
+
+function paeth(a, b, c) {
+    const p = a + b - c;
+    const pa = Math.abs(p - a);
+    const pb = Math.abs(p - b);
+    const pc = Math.abs(p - c);
+    if (pa <= pb && pa <= pc) return a;
+    return pb <= pc ? b : c;
+}
+
+// Decode a non-interlaced PNG to 8-bit RGBA; returns null for unsupported files
+function decodePng(buffer) {
+    if (buffer.length < 8 || !buffer.subarray(0, 8).equals(PNG_SIGNATURE)) return null;
+
+    let header = null;
+    let palette = null;
+    let transparency = null;
+    const data = [];
+    for (let offset = 8; offset + 8 <= buffer.length;) {
+        const length = buffer.readUInt32BE(offset);
+        const type = buffer.toString('ascii', offset + 4, offset + 8);
+        const chunk = buffer.subarray(offset + 8, offset + 8 + length);
+        if (type === 'IHDR') {
+            header = {
+                width: chunk.readUInt32BE(0),
+                height: chunk.readUInt32BE(4),
+                bitDepth: chunk[8],
+                colorType: chunk[9],
+                interlace: chunk[12]
+            };
+        } else if (type === 'PLTE') {
+            palette = chunk;
+        } else if (type === 'tRNS') {
+            transparency = chunk;
+        } else if (type === 'IDAT') {
+            data.push(chunk);
+        } else if (type === 'IEND') {
+            break;
+        }
+        offset += 12 + length;
+    }
+    if (!header || header.interlace !== 0 || !(header.colorType in PNG_CHANNELS)) return null;
+    if (header.colorType === 3 && !palette) return null;
+
+    const { width, height, bitDepth, colorType } = header;
+    const channels = PNG_CHANNELS[colorType];
+    const bitsPerPixel = channels * bitDepth;
+    const bytesPerPixel = Math.max(1, bitsPerPixel >> 3);
+    const stride = Math.ceil(width * bitsPerPixel / 8);
+
+    let raw;
+    try {
+        raw = zlib.inflateSync(Buffer.concat(data));
+    } catch (err) {
+        return null;
+    }
+    if (raw.length < (stride + 1) * height) return null;
+
+    // Undo the per-row filters in place
+    const rows = [];
+    let previous = Buffer.alloc(stride);
+    for (let y = 0; y < height; y++) {
+        const filter = raw[y * (stride + 1)];
+        const row = raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+        for (let i = 0; i < stride; i++) {
+            const left = i >= bytesPerPixel ? row[i - bytesPerPixel] : 0;
+            const up = previous[i];
+            const upLeft = i >= bytesPerPixel ? previous[i - bytesPerPixel] : 0;
+            if (filter === 1) row[i] += left;
+            else if (filter === 2) row[i] += up;
+            else if (filter === 3) row[i] += (left + up) >> 1;
+            else if (filter === 4) row[i] += paeth(left, up, upLeft);
+        }
+        rows.push(row);
+        previous = row;
+    }
+
+    const maxSample = (1 << Math.min(bitDepth, 8)) - 1;
+    const sample = (row, index) => {
+        if (bitDepth === 16) return row[index * 2];
+        if (bitDepth === 8) return row[index];
+        const bit = index * bitDepth;
+        return (row[bit >> 3] >> (8 - bitDepth - (bit & 7))) & maxSample;
+    };
+    // Samples as read from the file, to compare with a tRNS color key
+    const rawSample = (row, index) => (bitDepth === 16 ? row.readUInt16BE(index * 2) : sample(row, index));
+    const scale = value => Math.round(value * 255 / maxSample);
+
+    const pixels = Buffer.alloc(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        const row = rows[y];
+        for (let x = 0; x < width; x++) {
+            const out = (y * width + x) * 4;
+            let r, g, b, a = 255;
+            if (colorType === 3) {
+                const index = sample(row, x);
+                r = palette[index * 3];
+                g = palette[index * 3 + 1];
+                b = palette[index * 3 + 2];
+                if (transparency && index < transparency.length) a = transparency[index];
+            } else if (colorType === 0 || colorType === 4) {
+                r = g = b = scale(sample(row, x * channels));
+                if (colorType === 4) a = scale(sample(row, x * channels + 1));
+                else if (transparency && rawSample(row, x) === transparency.readUInt16BE(0)) a = 0;
+            } else {
+                r = scale(sample(row, x * channels));
+                g = scale(sample(row, x * channels + 1));
+                b = scale(sample(row, x * channels + 2));
+                if (colorType === 6) {
+                    a = scale(sample(row, x * channels + 3));
+                } else if (transparency && [0, 1, 2].every(c => rawSample(row, x * 3 + c) === transparency.readUInt16BE(c * 2))) {
+                    a = 0;
+                }
+            }
+            pixels[out] = r;
+            pixels[out + 1] = g;
+            pixels[out + 2] = b;
+            pixels[out + 3] = a;
+        }
+    }
+
+    return { width, height, pixels };
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+    const chunk = Buffer.alloc(12 + data.length);
+    chunk.writeUInt32BE(data.length, 0);
+    chunk.write(type, 4, 'ascii');
+    data.copy(chunk, 8);
+    chunk.writeUInt32BE(crc32(chunk.subarray(4, 8 + data.length)), 8 + data.length);
+    return chunk;
+}
+
+// Encode 8-bit RGBA pixels, every row with the Paeth filter
+function encodePng({ width, height, pixels }) {
+    const stride = width * 4;
+    const raw = Buffer.alloc((stride + 1) * height);
+    for (let y = 0; y < height; y++) {
+        const row = y * (stride + 1);
+        raw[row] = 4;
+        for (let i = 0; i < stride; i++) {
+            const at = y * stride + i;
+            const left = i >= 4 ? pixels[at - 4] : 0;
+            const up = y > 0 ? pixels[at - stride] : 0;
+            const upLeft = i >= 4 && y > 0 ? pixels[at - stride - 4] : 0;
+            raw[row + 1 + i] = (pixels[at] - paeth(left, up, upLeft)) & 0xff;
+        }
+    }
+
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 8;
+    header[9] = 6;
+    return Buffer.concat([
+        PNG_SIGNATURE,
+        pngChunk('IHDR', header),
+        pngChunk('IDAT', zlib.deflateSync(raw, { level: 9 })),
+        pngChunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+// Natural (row-major) position of each coefficient of an 8x8 block in zigzag order
+const ZIGZAG = [
+    0, 1, 8, 16, 9, 2, 3, 10, 17, 24, 32, 25, 18, 11, 4, 5,
+    12, 19, 26, 33, 40, 48, 41, 34, 27, 20, 13, 6, 7, 14, 21, 28,
+    35, 42, 49, 56, 57, 50, 43, 36, 29, 22, 15, 23, 30, 37, 44, 51,
+    58, 59, 52, 45, 38, 31, 39, 46, 53, 60, 61, 54, 47, 55, 62, 63
+];
+
+// DCT basis: IDCT_BASIS[x * 8 + u] = C(u) / 2 * cos((2x + 1)uπ / 16)
+const IDCT_BASIS = Float64Array.from({ length: 64 }, (_, i) => {
+    const x = i >> 3;
+    const u = i & 7;
+    return (u === 0 ? Math.SQRT1_2 : 1) / 2 * Math.cos((2 * x + 1) * u * Math.PI / 16);
+});
+
+// Canonical Huffman table from the code counts per length (1 to 16) and the
+// symbols; decoded one bit at a time, comparing with the largest code of each length
+function huffmanDecoder(counts, symbols) {
+    const maxCode = new Int32Array(17).fill(-1);
+    const valueOffset = new Int32Array(17);
+    let code = 0;
+    let index = 0;
+    for (let length = 1; length <= 16; length++) {
+        valueOffset[length] = index - code;
+        code += counts[length - 1];
+        index += counts[length - 1];
+        if (counts[length - 1] > 0) maxCode[length] = code - 1;
+        code <<= 1;
+    }
+    return { maxCode, valueOffset, symbols };
+}
+
+// Bits of entropy-coded data, skipping the 0x00 stuffed after 0xFF bytes; at a
+// marker it stops and reads zeros
+function bitReader(buffer, offset) {
+    let byte = 0;
+    let bitsLeft = 0;
+    const reader = {
+        offset,
+        bit() {
+            if (bitsLeft === 0) {
+                byte = 0;
+                if (reader.offset < buffer.length && buffer[reader.offset] !== 0xff) {
+                    byte = buffer[reader.offset++];
+                } else if (buffer[reader.offset + 1] === 0x00) {
+                    byte = 0xff;
+                    reader.offset += 2;
+                }
+                bitsLeft = 8;
+            }
+            bitsLeft--;
+            return (byte >> bitsLeft) & 1;
+        },
+        bits(count) {
+            let value = 0;
+            for (let i = 0; i < count; i++) value = (value << 1) | reader.bit();
+            return value;
+        },
+        // A count-bit magnitude category value, as a signed number
+        signed(count) {
+            if (count === 0) return 0;
+            const value = reader.bits(count);
+            return value < 1 << (count - 1) ? value - (1 << count) + 1 : value;
+        },
+        decode(table) {
+            let code = 0;
+            for (let length = 1; length <= 16; length++) {
+                code = (code << 1) | reader.bit();
+                if (code <= table.maxCode[length]) return table.symbols[code + table.valueOffset[length]];
+            }
+            throw new Error('Invalid Huffman code');
+        },
+        // Skip to after the next RSTn marker, dropping the bits left of the byte
+        restart() {
+            bitsLeft = 0;
+            while (reader.offset + 1 < buffer.length &&
+                !(buffer[reader.offset] === 0xff && buffer[reader.offset + 1] >= 0xd0 && buffer[reader.offset + 1] <= 0xd7)) {
+                reader.offset++;
+            }
+            reader.offset += 2;
+        }
+    };
+    return reader;
+}
+
+// Decode one block of a scan into coefficients (at offset, in natural order)
+function decodeBlock(reader, scan, component, coefficients, offset, state) {
+    const { progressive, start, end, low, high } = scan;
+    if (!progressive) {
+        const category = reader.decode(component.dcTable);
+        component.prediction += reader.signed(category);
+        coefficients[offset] = component.prediction;
+        for (let k = 1; k < 64;) {
+            const symbol = reader.decode(component.acTable);
+            const run = symbol >> 4;
+            const size = symbol & 15;
+            if (size === 0) {
+                if (run < 15) break;
+                k += 16;
+                continue;
+            }
+            k += run;
+            if (k > 63) break;
+            coefficients[offset + ZIGZAG[k]] = reader.signed(size);
+            k++;
+        }
+    } else if (start === 0) {
+        // DC: the first scan gives its high bits, later ones a bit each
+        if (high === 0) {
+            const category = reader.decode(component.dcTable);
+            component.prediction += reader.signed(category) * (1 << low);
+            coefficients[offset] = component.prediction;
+        } else if (reader.bit()) {
+            coefficients[offset] |= 1 << low;
+        }
+    } else if (high === 0) {
+        // First AC scan of a band: like baseline, with runs of empty blocks (EOBRUN)
+        if (state.endOfBands > 0) {
+            state.endOfBands--;
+            return;
+        }
+        for (let k = start; k <= end;) {
+            const symbol = reader.decode(component.acTable);
+            const run = symbol >> 4;
+            const size = symbol & 15;
+            if (size === 0) {
+                if (run < 15) {
+                    state.endOfBands = (1 << run) + reader.bits(run) - 1;
+                    break;
+                }
+                k += 16;
+                continue;
+            }
+            k += run;
+            if (k > 63) break;
+            coefficients[offset + ZIGZAG[k]] = reader.signed(size) * (1 << low);
+            k++;
+        }
+    } else {
+        // AC refinement: a correction bit for each coefficient already set, and
+        // new coefficients of ±1 after runs of coefficients still zero
+        const plus = 1 << low;
+        const minus = -1 << low;
+        const refine = position => {
+            if (reader.bit() && (coefficients[position] & plus) === 0) {
+                coefficients[position] += coefficients[position] >= 0 ? plus : minus;
+            }
+        };
+        let k = start;
+        if (state.endOfBands === 0) {
+            for (; k <= end; k++) {
+                const symbol = reader.decode(component.acTable);
+                let run = symbol >> 4;
+                let value = 0;
+                if ((symbol & 15) !== 0) {
+                    value = reader.bit() ? plus : minus;
+                } else if (run < 15) {
+                    state.endOfBands = (1 << run) + reader.bits(run);
+                    break;
+                }
+                for (; k <= end; k++) {
+                    const position = offset + ZIGZAG[k];
+                    if (coefficients[position] !== 0) {
+                        refine(position);
+                    } else if (--run < 0) {
+                        break;
+                    }
+                }
+                if (value !== 0 && k <= end) coefficients[offset + ZIGZAG[k]] = value;
+            }
+        }
+        if (state.endOfBands > 0) {
+            for (; k <= end; k++) {
+                const position = offset + ZIGZAG[k];
+                if (coefficients[position] !== 0) refine(position);
+            }
+            state.endOfBands--;
+        }
+    }
+}
+
+// Decode the entropy-coded data of a scan starting at offset; returns the
+// offset after it
+function decodeScan(buffer, offset, frame, scan, restartInterval) {
+    const reader = bitReader(buffer, offset);
+    const state = { endOfBands: 0 };
+    const { components } = scan;
+    const reset = () => {
+        components.forEach(component => { component.prediction = 0; });
+        state.endOfBands = 0;
+    };
+    reset();
+
+    // A single component is not interleaved: its blocks are read in order,
+    // without the padding of the MCUs
+    const single = components.length === 1 ? components[0] : null;
+    const mcuCount = single
+        ? single.blocksWide * single.blocksHigh
+        : frame.mcusWide * frame.mcusHigh;
+    for (let mcu = 0; mcu < mcuCount; mcu++) {
+        if (restartInterval > 0 && mcu > 0 && mcu % restartInterval === 0) {
+            reader.restart();
+            reset();
+        }
+        if (single) {
+            const row = Math.floor(mcu / single.blocksWide);
+            const column = mcu % single.blocksWide;
+            decodeBlock(reader, scan, single, single.coefficients, (row * single.blocksPerLine + column) * 64, state);
+            continue;
+        }
+        const mcuRow = Math.floor(mcu / frame.mcusWide);
+        const mcuColumn = mcu % frame.mcusWide;
+        for (const component of components) {
+            for (let v = 0; v < component.v; v++) {
+                for (let h = 0; h < component.h; h++) {
+                    const row = mcuRow * component.v + v;
+                    const column = mcuColumn * component.h + h;
+                    decodeBlock(reader, scan, component, component.coefficients, (row * component.blocksPerLine + column) * 64, state);
+                }
+            }
+        }
+    }
+    return reader.offset;
+}
+
+// Dequantize and inverse-DCT every block of a component into its 8-bit samples
+function componentSamples(component) {
+    const { coefficients, quantization, blocksPerLine, blocksPerColumn } = component;
+    const width = blocksPerLine * 8;
+    const samples = new Uint8ClampedArray(width * blocksPerColumn * 8);
+    const block = new Float64Array(64);
+    const rows = new Float64Array(64);
+    for (let blockRow = 0; blockRow < blocksPerColumn; blockRow++) {
+        for (let blockColumn = 0; blockColumn < blocksPerLine; blockColumn++) {
+            const offset = (blockRow * blocksPerLine + blockColumn) * 64;
+            for (let i = 0; i < 64; i++) block[i] = coefficients[offset + i] * quantization[i];
+            // Rows, then columns
+            for (let v = 0; v < 8; v++) {
+                for (let x = 0; x < 8; x++) {
+                    let sum = 0;
+                    for (let u = 0; u < 8; u++) sum += IDCT_BASIS[x * 8 + u] * block[v * 8 + u];
+                    rows[v * 8 + x] = sum;
+                }
+            }
+            for (let x = 0; x < 8; x++) {
+                for (let y = 0; y < 8; y++) {
+                    let sum = 0;
+                    for (let v = 0; v < 8; v++) sum += IDCT_BASIS[y * 8 + v] * rows[v * 8 + x];
+                    samples[(blockRow * 8 + y) * width + blockColumn * 8 + x] = Math.round(sum + 128);
+                }
+            }
+        }
+    }
+    return { samples, width };
+}
+
+function clampByte(value) {
+    return value < 0 ? 0 : value > 255 ? 255 : Math.round(value);
+}
+
+// The orientation (1 to 8) of an APP1 Exif segment, or 1
+function exifOrientation(segment) {
+    if (segment.toString('ascii', 0, 6) !== 'Exif\0\0' || segment.length < 14) return 1;
+    const tiff = segment.subarray(6);
+    const little = tiff.toString('ascii', 0, 2) === 'II';
+    const read16 = at => (little ? tiff.readUInt16LE(at) : tiff.readUInt16BE(at));
+    const ifd = little ? tiff.readUInt32LE(4) : tiff.readUInt32BE(4);
+    if (ifd + 2 > tiff.length) return 1;
+    for (let i = 0, at = ifd + 2; i < read16(ifd) && at + 12 <= tiff.length; i++, at += 12) {
+        if (read16(at) === 0x0112) {
+            const orientation = read16(at + 8);
+            return orientation >= 1 && orientation <= 8 ? orientation : 1;
+        }
+    }
+    return 1;
+}
+
+// Decode a baseline or progressive 8-bit JPEG (grayscale or YCbCr) to RGBA,
+// with its Exif orientation; returns null for unsupported files
+function decodeJpeg(buffer) {
+    if (buffer.length < 4 || buffer[0] !== 0xff || buffer[1] !== 0xd8) return null;
+
+    const quantizations = [];
+    const dcTables = [];
+    const acTables = [];
+    let frame = null;
+    let restartInterval = 0;
+    let orientation = 1;
+    let adobeTransform = null;
+    try {
+        for (let offset = 2; offset + 4 <= buffer.length;) {
+            // Fill bytes, and stray bytes after a scan
+            if (buffer[offset] !== 0xff || buffer[offset + 1] === 0xff || buffer[offset + 1] === 0x00) {
+                offset++;
+                continue;
+            }
+            const marker = buffer[offset + 1];
+            if (marker === 0xd9) break;
+            if (marker >= 0xd0 && marker <= 0xd8) {
+                offset += 2;
+                continue;
+            }
+            const end = offset + 2 + buffer.readUInt16BE(offset + 2);
+            const segment = buffer.subarray(offset + 4, end);
+
+            if (marker === 0xdb) {
+                for (let at = 0; at < segment.length;) {
+                    const precision = segment[at] >> 4;
+                    const table = new Uint16Array(64);
+                    for (let i = 0; i < 64; i++) {
+                        table[ZIGZAG[i]] = precision ? segment.readUInt16BE(at + 1 + i * 2) : segment[at + 1 + i];
+                    }
+                    quantizations[segment[at] & 15] = table;
+                    at += 1 + (precision ? 128 : 64);
+                }
+            } else if (marker === 0xc4) {
+                for (let at = 0; at < segment.length;) {
+                    const counts = segment.subarray(at + 1, at + 17);
+                    const total = counts.reduce((sum, count) => sum + count, 0);
+                    const table = huffmanDecoder(counts, segment.subarray(at + 17, at + 17 + total));
+                    (segment[at] >> 4 ? acTables : dcTables)[segment[at] & 15] = table;
+                    at += 17 + total;
+                }
+            } else if (marker === 0xdd) {
+                restartInterval = segment.readUInt16BE(0);
+            } else if (marker === 0xe1) {
+                orientation = exifOrientation(segment);
+            } else if (marker === 0xee && segment.toString('ascii', 0, 5) === 'Adobe') {
+                adobeTransform = segment[11];
+            } else if (marker === 0xc0 || marker === 0xc1 || marker === 0xc2) {
+                if (segment[0] !== 8) return null;
+                frame = {
+                    progressive: marker === 0xc2,
+                    height: segment.readUInt16BE(1),
+                    width: segment.readUInt16BE(3),
+                    components: []
+                };
+                for (let i = 0; i < segment[5]; i++) {
+                    const at = 6 + i * 3;
+                    frame.components.push({ id: segment[at], h: segment[at + 1] >> 4, v: segment[at + 1] & 15, table: segment[at + 2] });
+                }
+                if (!frame.width || !frame.height || ![1, 3].includes(frame.components.length)) return null;
+                const maxH = Math.max(...frame.components.map(component => component.h));
+                const maxV = Math.max(...frame.components.map(component => component.v));
+                Object.assign(frame, { maxH, maxV, mcusWide: Math.ceil(frame.width / 8 / maxH), mcusHigh: Math.ceil(frame.height / 8 / maxV) });
+                for (const component of frame.components) {
+                    // Blocks holding the image, and with the padding of the MCUs
+                    component.blocksWide = Math.ceil(Math.ceil(frame.width * component.h / maxH) / 8);
+                    component.blocksHigh = Math.ceil(Math.ceil(frame.height * component.v / maxV) / 8);
+                    component.blocksPerLine = frame.mcusWide * component.h;
+                    component.blocksPerColumn = frame.mcusHigh * component.v;
+                    component.coefficients = new Int16Array(component.blocksPerLine * component.blocksPerColumn * 64);
+                }
+            } else if (marker >= 0xc3 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+                // Lossless, hierarchical and arithmetic-coded JPEGs
+                return null;
+            } else if (marker === 0xda) {
+                if (!frame) return null;
+                const count = segment[0];
+                const scan = {
+                    progressive: frame.progressive,
+                    components: [],
+                    start: segment[1 + count * 2],
+                    end: segment[2 + count * 2],
+                    high: segment[3 + count * 2] >> 4,
+                    low: segment[3 + count * 2] & 15
+                };
+                for (let i = 0; i < count; i++) {
+                    const component = frame.components.find(candidate => candidate.id === segment[1 + i * 2]);
+                    if (!component) return null;
+                    component.dcTable = dcTables[segment[2 + i * 2] >> 4];
+                    component.acTable = acTables[segment[2 + i * 2] & 15];
+                    scan.components.push(component);
+                }
+                offset = decodeScan(buffer, end, frame, scan, restartInterval);
+                continue;
+            }
+            offset = end;
+        }
+    } catch (err) {
+        return null;
+    }
+    if (!frame || frame.components.some(component => !quantizations[component.table])) return null;
+
+    const { width, height, maxH, maxV, components } = frame;
+    const planes = components.map(component => {
+        component.quantization = quantizations[component.table];
+        return Object.assign(componentSamples(component), { h: component.h, v: component.v });
+    });
+    // Adobe files with transform 0 and components named R, G, B hold RGB, not YCbCr
+    const rgb = components.length === 3 && (adobeTransform === 0 ||
+        (adobeTransform === null && components.map(component => component.id).join() === '82,71,66'));
+
+    // Subsampled components are stretched to the image's size
+    const columns = planes.map(plane => Int32Array.from({ length: width }, (_, x) => Math.floor(x * plane.h / maxH)));
+    const pixels = Buffer.alloc(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        const rows = planes.map(plane => Math.floor(y * plane.v / maxV) * plane.width);
+        for (let x = 0; x < width; x++) {
+            const out = (y * width + x) * 4;
+            const c0 = planes[0].samples[rows[0] + columns[0][x]];
+            if (components.length === 1) {
+                pixels[out] = pixels[out + 1] = pixels[out + 2] = c0;
+            } else {
+                const c1 = planes[1].samples[rows[1] + columns[1][x]];
+                const c2 = planes[2].samples[rows[2] + columns[2][x]];
+                if (rgb) {
+                    pixels[out] = c0;
+                    pixels[out + 1] = c1;
+                    pixels[out + 2] = c2;
+                } else {
+                    pixels[out] = clampByte(c0 + 1.402 * (c2 - 128));
+                    pixels[out + 1] = clampByte(c0 - 0.344136 * (c1 - 128) - 0.714136 * (c2 - 128));
+                    pixels[out + 2] = clampByte(c0 + 1.772 * (c1 - 128));
+                }
+            }
+            pixels[out + 3] = 255;
+        }
+    }
+
+    return { width, height, pixels, orientation };
+}
+
+// Quality of JPEG thumbnails, on the 1-100 scale of the IJG quantization tables
+const JPEG_QUALITY = 85;
+
+// Quantization tables of the JPEG standard (Annex K), in natural order
+const LUMINANCE_QUANTIZATION = [
+    16, 11, 10, 16, 24, 40, 51, 61, 12, 12, 14, 19, 26, 58, 60, 55,
+    14, 13, 16, 24, 40, 57, 69, 56, 14, 17, 22, 29, 51, 87, 80, 62,
+    18, 22, 37, 56, 68, 109, 103, 77, 24, 35, 55, 64, 81, 104, 113, 92,
+    49, 64, 78, 87, 103, 121, 120, 101, 72, 92, 95, 98, 112, 100, 103, 99
+];
+const CHROMINANCE_QUANTIZATION = [
+    17, 18, 24, 47, 99, 99, 99, 99, 18, 21, 26, 66, 99, 99, 99, 99,
+    24, 26, 56, 99, 99, 99, 99, 99, 47, 66, 99, 99, 99, 99, 99, 99
+].concat(new Array(32).fill(99));
+
+// Huffman tables of the JPEG standard (Annex K), as code counts per length and symbols
+const HUFFMAN_TABLES = {
+    luminanceDc: {
+        counts: [0, 1, 5, 1, 1, 1, 1, 1, 1, 0, 0, 0, 0, 0, 0, 0],
+        symbols: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11]
+    },
+    chrominanceDc: {
+        counts: [0, 3, 1, 1, 1, 1, 1, 1, 1, 1, 1, 0, 0, 0, 0, 0],
+        symbols: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11]
+    },
+    luminanceAc: {
+        counts: [0, 2, 1, 3, 3, 2, 4, 3, 5, 5, 4, 4, 0, 0, 1, 0x7d],
+        symbols: [
+            0x01, 0x02, 0x03, 0x00, 0x04, 0x11, 0x05, 0x12, 0x21, 0x31, 0x41, 0x06, 0x13, 0x51, 0x61, 0x07,
+            0x22, 0x71, 0x14, 0x32, 0x81, 0x91, 0xa1, 0x08, 0x23, 0x42, 0xb1, 0xc1, 0x15, 0x52, 0xd1, 0xf0,
+            0x24, 0x33, 0x62, 0x72, 0x82, 0x09, 0x0a, 0x16, 0x17, 0x18, 0x19, 0x1a, 0x25, 0x26, 0x27, 0x28,
+            0x29, 0x2a, 0x34, 0x35, 0x36, 0x37, 0x38, 0x39, 0x3a, 0x43, 0x44, 0x45, 0x46, 0x47, 0x48, 0x49,
+            0x4a, 0x53, 0x54, 0x55, 0x56, 0x57, 0x58, 0x59, 0x5a, 0x63, 0x64, 0x65, 0x66, 0x67, 0x68, 0x69,
+            0x6a, 0x73, 0x74, 0x75, 0x76, 0x77, 0x78, 0x79, 0x7a, 0x83, 0x84, 0x85, 0x86, 0x87, 0x88, 0x89,
+            0x8a, 0x92, 0x93, 0x94, 0x95, 0x96, 0x97, 0x98, 0x99, 0x9a, 0xa2, 0xa3, 0xa4, 0xa5, 0xa6, 0xa7,
+            0xa8, 0xa9, 0xaa, 0xb2, 0xb3, 0xb4, 0xb5, 0xb6, 0xb7, 0xb8, 0xb9, 0xba, 0xc2, 0xc3, 0xc4, 0xc5,
+            0xc6, 0xc7, 0xc8, 0xc9, 0xca, 0xd2, 0xd3, 0xd4, 0xd5, 0xd6, 0xd7, 0xd8, 0xd9, 0xda, 0xe1, 0xe2,
+            0xe3, 0xe4, 0xe5, 0xe6, 0xe7, 0xe8, 0xe9, 0xea, 0xf1, 0xf2, 0xf3, 0xf4, 0xf5, 0xf6, 0xf7, 0xf8,
+            0xf9, 0xfa
+        ]
+    },
+    chrominanceAc: {
+        counts: [0, 2, 1, 2, 4, 4, 3, 4, 7, 5, 4, 4, 0, 1, 2, 0x77],
+        symbols: [
+            0x00, 0x01, 0x02, 0x03, 0x11, 0x04, 0x05, 0x21, 0x31, 0x06, 0x12, 0x41, 0x51, 0x07, 0x61, 0x71,
+            0x13, 0x22, 0x32, 0x81, 0x08, 0x14, 0x42, 0x91, 0xa1, 0xb1, 0xc1, 0x09, 0x23, 0x33, 0x52, 0xf0,
+            0x15, 0x62, 0x72, 0xd1, 0x0a, 0x16, 0x24, 0x34, 0xe1, 0x25, 0xf1, 0x17, 0x18, 0x19, 0x1a, 0x26,
+            0x27, 0x28, 0x29, 0x2a, 0x35, 0x36, 0x37, 0x38, 0x39, 0x3a, 0x43, 0x44, 0x45, 0x46, 0x47, 0x48,
+            0x49, 0x4a, 0x53, 0x54, 0x55, 0x56, 0x57, 0x58, 0x59, 0x5a, 0x63, 0x64, 0x65, 0x66, 0x67, 0x68,
+            0x69, 0x6a, 0x73, 0x74, 0x75, 0x76, 0x77, 0x78, 0x79, 0x7a, 0x82, 0x83, 0x84, 0x85, 0x86, 0x87,
+            0x88, 0x89, 0x8a, 0x92, 0x93, 0x94, 0x95, 0x96, 0x97, 0x98, 0x99, 0x9a, 0xa2, 0xa3, 0xa4, 0xa5,
+            0xa6, 0xa7, 0xa8, 0xa9, 0xaa, 0xb2, 0xb3, 0xb4, 0xb5, 0xb6, 0xb7, 0xb8, 0xb9, 0xba, 0xc2, 0xc3,
+            0xc4, 0xc5, 0xc6, 0xc7, 0xc8, 0xc9, 0xca, 0xd2, 0xd3, 0xd4, 0xd5, 0xd6, 0xd7, 0xd8, 0xd9, 0xda,
+            0xe2, 0xe3, 0xe4, 0xe5, 0xe6, 0xe7, 0xe8, 0xe9, 0xea, 0xf2, 0xf3, 0xf4, 0xf5, 0xf6, 0xf7, 0xf8,
+            0xf9, 0xfa
+        ]
+    }
+};
+
+// Quantization table for a quality, scaled as the IJG library does
+function scaledQuantization(table, quality) {
+    const scale = quality < 50 ? 5000 / quality : 200 - quality * 2;
+    return table.map(value => Math.min(255, Math.max(1, Math.floor((value * scale + 50) / 100))));
+}
+
+// Code and length of each symbol of a canonical Huffman table
+function huffmanEncoder({ counts, symbols }) {
+    const codes = [];
+    let code = 0;
+    let index = 0;
+    for (let length = 1; length <= 16; length++) {
+        for (let i = 0; i < counts[length - 1]; i++) codes[symbols[index++]] = { code: code++, length };
+        code <<= 1;
+    }
+    return codes;
+}
+
+// Bits of entropy-coded data, with a 0x00 stuffed after each 0xFF byte
+function bitWriter() {
+    const bytes = [];
+    let value = 0;
+    let count = 0;
+    const writer = {
+        write(bits, length) {
+            for (let i = length - 1; i >= 0; i--) {
+                value = (value << 1) | ((bits >> i) & 1);
+                if (++count === 8) {
+                    bytes.push(value);
+                    if (value === 0xff) bytes.push(0);
+                    value = 0;
+                    count = 0;
+                }
+            }
+        },
+        // Pad the last byte with 1 bits
+        finish() {
+            if (count > 0) writer.write((1 << (8 - count)) - 1, 8 - count);
+            return Buffer.from(bytes);
+        }
+    };
+    return writer;
+}
+
+// Magnitude category of a coefficient and the bits that encode it
+function magnitude(value) {
+    const size = value === 0 ? 0 : 32 - Math.clz32(Math.abs(value));
+    return { size, bits: value < 0 ? value + (1 << size) - 1 : value };
+}
+
+// Forward DCT and quantization of an 8x8 block of samples, in zigzag order
+function quantizeBlock(block, quantization) {
+    const rows = new Float64Array(64);
+    for (let y = 0; y < 8; y++) {
+        for (let u = 0; u < 8; u++) {
+            let sum = 0;
+            for (let x = 0; x < 8; x++) sum += IDCT_BASIS[x * 8 + u] * (block[y * 8 + x] - 128);
+            rows[y * 8 + u] = sum;
+        }
+    }
+    const coefficients = new Int32Array(64);
+    for (let i = 0; i < 64; i++) {
+        const v = ZIGZAG[i] >> 3;
+        const u = ZIGZAG[i] & 7;
+        let sum = 0;
+        for (let y = 0; y < 8; y++) sum += IDCT_BASIS[y * 8 + v] * rows[y * 8 + u];
+        coefficients[i] = Math.round(sum / quantization[ZIGZAG[i]]);
+    }
+    return coefficients;
+}
+
+function encodeBlock(writer, coefficients, previousDc, dcCodes, acCodes) {
+    const dc = magnitude(coefficients[0] - previousDc);
+    writer.write(dcCodes[dc.size].code, dcCodes[dc.size].length);
+    writer.write(dc.bits, dc.size);
+
+    let run = 0;
+    for (let k = 1; k < 64; k++) {
+        if (coefficients[k] === 0) {
+            run++;
+            continue;
+        }
+        for (; run > 15; run -= 16) writer.write(acCodes[0xf0].code, acCodes[0xf0].length);
+        const ac = magnitude(coefficients[k]);
+        const symbol = (run << 4) | ac.size;
+        writer.write(acCodes[symbol].code, acCodes[symbol].length);
+        writer.write(ac.bits, ac.size);
+        run = 0;
+    }
+    if (run > 0) writer.write(acCodes[0].code, acCodes[0].length);
+    return coefficients[0];
+}
+
+function jpegSegment(marker, data) {
+    const header = Buffer.from([0xff, marker, 0, 0]);
+    header.writeUInt16BE(data.length + 2, 2);
+    return Buffer.concat([header, data]);
+}
+
+// An APP1 Exif segment holding only an orientation
+function orientationSegment(orientation) {
+    const exif = Buffer.from('Exif\0\0MM\0\x2a\0\0\0\x08\0\x01\x01\x12\0\x03\0\0\0\x01\0\0\0\0\0\0\0\0', 'latin1');
+    exif.writeUInt16BE(orientation, 24);
+    return jpegSegment(0xe1, exif);
+}
+
+// Encode 8-bit RGBA pixels (alpha ignored) as a baseline YCbCr JPEG with 4:2:0
+// chroma subsampling and the standard Huffman tables, keeping the orientation
+function encodeJpeg({ width, height, pixels, orientation = 1 }, quality = JPEG_QUALITY) {
+    const quantizations = [
+        scaledQuantization(LUMINANCE_QUANTIZATION, quality),
+        scaledQuantization(CHROMINANCE_QUANTIZATION, quality)
+    ];
+    const tables = [
+        [0x00, HUFFMAN_TABLES.luminanceDc], [0x10, HUFFMAN_TABLES.luminanceAc],
+        [0x01, HUFFMAN_TABLES.chrominanceDc], [0x11, HUFFMAN_TABLES.chrominanceAc]
+    ];
+    const [luminanceDc, luminanceAc, chrominanceDc, chrominanceAc] = tables.map(([, table]) => huffmanEncoder(table));
+
+    // Samples of a 16x16 macroblock, the edge pixels repeated past the image
+    const luma = new Float64Array(256);
+    const blue = new Float64Array(256);
+    const red = new Float64Array(256);
+    const block = new Float64Array(64);
+    const writer = bitWriter();
+    const previousDc = [0, 0, 0];
+    for (let top = 0; top < height; top += 16) {
+        for (let left = 0; left < width; left += 16) {
+            for (let i = 0; i < 256; i++) {
+                const x = Math.min(left + (i & 15), width - 1);
+                const y = Math.min(top + (i >> 4), height - 1);
+                const at = (y * width + x) * 4;
+                const [r, g, b] = [pixels[at], pixels[at + 1], pixels[at + 2]];
+                luma[i] = 0.299 * r + 0.587 * g + 0.114 * b;
+                blue[i] = -0.168736 * r - 0.331264 * g + 0.5 * b + 128;
+                red[i] = 0.5 * r - 0.418688 * g - 0.081312 * b + 128;
+            }
+            for (const [blockX, blockY] of [[0, 0], [8, 0], [0, 8], [8, 8]]) {
+                for (let i = 0; i < 64; i++) block[i] = luma[(blockY + (i >> 3)) * 16 + blockX + (i & 7)];
+                previousDc[0] = encodeBlock(writer, quantizeBlock(block, quantizations[0]), previousDc[0], luminanceDc, luminanceAc);
+            }
+            [blue, red].forEach((plane, c) => {
+                // Each chroma sample averages 2x2 pixels
+                for (let i = 0; i < 64; i++) {
+                    const at = (i >> 3) * 32 + (i & 7) * 2;
+                    block[i] = (plane[at] + plane[at + 1] + plane[at + 16] + plane[at + 17]) / 4;
+                }
+                previousDc[c + 1] = encodeBlock(writer, quantizeBlock(block, quantizations[1]), previousDc[c + 1], chrominanceDc, chrominanceAc);
+            });
+        }
+    }
+
+    const frame = Buffer.from([8, 0, 0, 0, 0, 3, 1, 0x22, 0, 2, 0x11, 1, 3, 0x11, 1]);
+    frame.writeUInt16BE(height, 1);
+    frame.writeUInt16BE(width, 3);
+    return Buffer.concat([
+        Buffer.from([0xff, 0xd8]),
+        jpegSegment(0xe0, Buffer.from('JFIF\0\x01\x01\0\0\x01\0\x01\0\0', 'latin1')),
+        orientation === 1 ? Buffer.alloc(0) : orientationSegment(orientation),
+        jpegSegment(0xdb, Buffer.concat(quantizations.map((table, id) =>
+            Buffer.from([id, ...ZIGZAG.map(position => table[position])])))),
+        jpegSegment(0xc4, Buffer.concat(tables.map(([id, table]) => Buffer.from([id, ...table.counts, ...table.symbols])))),
+        jpegSegment(0xc0, frame),
+        jpegSegment(0xda, Buffer.from([3, 1, 0x00, 2, 0x11, 3, 0x11, 0, 63, 0])),
+        writer.finish(),
+        Buffer.from([0xff, 0xd9])
+    ]);
+}
+
+// Area-average downscale, weighting colors by alpha so transparent pixels do not bleed
+function downscale(image, width, height) {
+    const pixels = Buffer.alloc(width * height * 4);
+    const xRatio = image.width / width;
+    const yRatio = image.height / height;
+
+    for (let y = 0; y < height; y++) {
+        const y0 = y * yRatio;
+        const y1 = y0 + yRatio;
+        for (let x = 0; x < width; x++) {
+            const x0 = x * xRatio;
+            const x1 = x0 + xRatio;
+            let r = 0, g = 0, b = 0, a = 0, area = 0;
+            for (let sy = Math.floor(y0); sy < Math.min(Math.ceil(y1), image.height); sy++) {
+                const wy = Math.min(sy + 1, y1) - Math.max(sy, y0);
+                for (let sx = Math.floor(x0); sx < Math.min(Math.ceil(x1), image.width); sx++) {
+                    const weight = wy * (Math.min(sx + 1, x1) - Math.max(sx, x0));
+                    const at = (sy * image.width + sx) * 4;
+                    const alpha = image.pixels[at + 3] * weight;
+                    r += image.pixels[at] * alpha;
+                    g += image.pixels[at + 1] * alpha;
+                    b += image.pixels[at + 2] * alpha;
+                    a += alpha;
+                    area += weight;
+                }
+            }
+            const out = (y * width + x) * 4;
+            if (a > 0) {
+                pixels[out] = Math.round(r / a);
+                pixels[out + 1] = Math.round(g / a);
+                pixels[out + 2] = Math.round(b / a);
+            }
+            pixels[out + 3] = Math.round(a / area);
+        }
+    }
+
+    return { width, height, pixels };
+}
+
+// Resize a PNG to the given width, keeping its aspect ratio; returns the new
+// PNG, or null when the image cannot be decoded or is not wider than width
+function resizePng(buffer, width) {
+    const image = decodePng(buffer);
+    if (!image || width >= image.width) return null;
+    const height = Math.max(1, Math.round(image.height * width / image.width));
+    return encodePng(downscale(image, width, height));
+}
+
+// Resize a JPEG like resizePng, to a baseline JPEG with the same orientation
+function resizeJpeg(buffer, width) {
+    const image = decodeJpeg(buffer);
+    if (!image || width >= image.width) return null;
+    const height = Math.max(1, Math.round(image.height * width / image.width));
+    return encodeJpeg(Object.assign(downscale(image, width, height), { orientation: image.orientation }));
+}
+
+module.exports = {
+    imageSize,
+    resizePng,
+    resizeJpeg
+};
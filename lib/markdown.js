@@ -0,0 +1,1614 @@
+// Markdown to HTML converter
+//
+// A two-phase parser following the CommonMark spec: lines are first grouped
+// into blocks (headings, lists, quotes, code, tables...), then the text of
+// each leaf block is parsed for inline syntax (emphasis, links, code spans...).
+// Supports the GFM extensions (tables, task lists, strikethrough, autolinks,
+// footnotes) and Obsidian wikilinks, embeds, tags, block ids and callouts.
+// Raw HTML is sanitized and unsafe link schemes dropped (see lib/html.js).
+// Fenced code is highlighted, ```mermaid blocks are drawn as SVG and $math$
+// is converted to MathML at build time (see lib/highlight.js, lib/diagrams.js
+// and lib/math.js).
+
+const { escapeHtml, escapeAttr, decodeEntity, isSafeUrl, sanitizeHtml } = require('./html');
+const { highlight } = require('./highlight');
+const { renderDiagram, DiagramError } = require('./diagrams');
+const { renderMath, MathError } = require('./math');
+
+// Inline HTML (used for both HTML blocks and raw inline HTML)
+const ATTRIBUTE_NAME = '[A-Za-z_:][A-Za-z0-9_.:-]*';
+const ATTRIBUTE_VALUE = '(?:[^"\'=<>`\\x00-\\x20]+|\'[^\']*\'|"[^"]*")';
+const ATTRIBUTE = '(?:\\s+' + ATTRIBUTE_NAME + '(?:\\s*=\\s*' + ATTRIBUTE_VALUE + ')?)';
+const OPEN_TAG = '<[A-Za-z][A-Za-z0-9-]*' + ATTRIBUTE + '*\\s*/?>';
+const CLOSE_TAG = '</[A-Za-z][A-Za-z0-9-]*\\s*>';
+const HTML_COMMENT = '<!-->|<!--->|<!--[\\s\\S]*?-->';
+const PROCESSING_INSTRUCTION = '<\\?[\\s\\S]*?\\?>';
+const DECLARATION = '<![A-Za-z][^>]*>';
+const CDATA = '<!\\[CDATA\\[[\\s\\S]*?\\]\\]>';
+const RE_INLINE_HTML = new RegExp('^(?:' + [OPEN_TAG, CLOSE_TAG, HTML_COMMENT, PROCESSING_INSTRUCTION, DECLARATION, CDATA].join('|') + ')');
+
+const HTML_BLOCK_TAGS = 'address|article|aside|base|basefont|blockquote|body|caption|center|col|colgroup|dd|details|dialog|dir|div|dl|dt|fieldset|figcaption|figure|footer|form|frame|frameset|h1|h2|h3|h4|h5|h6|head|header|hr|html|iframe|legend|li|link|main|menu|menuitem|nav|noframes|ol|optgroup|option|p|param|search|section|summary|table|tbody|td|tfoot|th|thead|title|tr|track|ul';
+
+// HTML block start conditions and their end conditions (null: ends at a blank line)
+const HTML_BLOCKS = [
+    { start: /^ {0,3}<(?:script|pre|style|textarea)(?:\s|>|$)/i, end: /<\/(?:script|pre|style|textarea)>/i },
+    { start: /^ {0,3}<!--/, end: /-->/ },
+    { start: /^ {0,3}<\?/, end: /\?>/ },
+    { start: /^ {0,3}<![A-Za-z]/, end: />/ },
+    { start: /^ {0,3}<!\[CDATA\[/, end: /\]\]>/ },
+    { start: new RegExp('^ {0,3}</?(?:' + HTML_BLOCK_TAGS + ')(?:\\s|/?>|$)', 'i'), end: null },
+    { start: new RegExp('^ {0,3}(?:' + OPEN_TAG + '|' + CLOSE_TAG + ')\\s*$'), end: null, cannotInterrupt: true }
+];
+
+// Block patterns
+const RE_ATX_HEADING = /^ {0,3}(#{1,6})(?=[ \t]|$)(.*)$/;
+const RE_SETEXT_UNDERLINE = /^ {0,3}(=+|-+)[ \t]*$/;
+const RE_THEMATIC_BREAK = /^ {0,3}(?:(?:-[ \t]*){3,}|(?:_[ \t]*){3,}|(?:\*[ \t]*){3,})$/;
+const RE_FENCE_OPEN = /^( {0,3})(`{3,}|~{3,})(.*)$/;
+const RE_FENCE_CLOSE = /^ {0,3}(`{3,}|~{3,})[ \t]*$/;
+const RE_MATH_OPEN = /^ {0,3}\$\$/;
+const RE_BLOCKQUOTE = /^ {0,3}>/;
+const RE_LIST_ITEM = /^( {0,3})([-+*]|\d{1,9}[.)])(?=[ \t]|$)/;
+const RE_TABLE_DELIMITER = /^ {0,3}\|?[ \t]*:?-+:?[ \t]*(?:\|[ \t]*:?-+:?[ \t]*)*\|?[ \t]*$/;
+const RE_FOOTNOTE_DEF = /^ {0,3}\[\^([^\]\s]+)\]:[ \t]*(.*)$/;
+const RE_BLOCK_ID = /[ \t]\^([A-Za-z0-9-]+)[ \t]*$/;
+const RE_CALLOUT = /^\[!([^\]\s]+)\]([+-]?)(?:[ \t]+(.*?))?[ \t]*$/;
+
+// Obsidian callout types and their aliases ("> [!tldr]" is styled as "abstract");
+// unknown types are styled as "note"
+const CALLOUT_ALIASES = {
+    note: [],
+    abstract: ['summary', 'tldr'],
+    info: [],
+    todo: [],
+    tip: ['hint', 'important'],
+    success: ['check', 'done'],
+    question: ['help', 'faq'],
+    warning: ['caution', 'attention'],
+    failure: ['fail', 'missing'],
+    danger: ['error'],
+    bug: [],
+    example: [],
+    quote: ['cite']
+};
+
+// Inline patterns
+const ESCAPABLE = /^[!"#$%&'()*+,\-./:;<=>?@[\\\]^_`{|}~]/;
+const RE_ENTITY = /^&(?:#[xX][0-9a-fA-F]{1,6}|#[0-9]{1,7}|[A-Za-z][A-Za-z0-9]{1,31});/;
+const RE_AUTOLINK = /^<([A-Za-z][A-Za-z0-9+.-]{1,31}:[^<>\x00-\x20]*)>/;
+const RE_EMAIL_AUTOLINK = /^<([a-zA-Z0-9.!#$%&'*+/=?^_`{|}~-]+@[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(?:\.[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*)>/;
+const RE_EXTENDED_AUTOLINK = /^(?:https?:\/\/|www\.)[^\s<]*/i;
+const RE_WIKILINK = /^\[\[([^[\]\n]+?)\]\]/;
+const RE_EMBED = /^!\[\[([^[\]\n]+?)\]\]/;
+const RE_URL_SCHEME = /^(?:[A-Za-z][A-Za-z0-9+.-]*:|\/\/)/;
+const RE_IMAGE_SIZE = /^(\d+)(?:x(\d+))?$/;
+const RE_FOOTNOTE_REF = /^\[\^([^\]\s]+)\]/;
+const RE_TAG = /^#([\p{L}\p{N}_/-]*[\p{L}_/-][\p{L}\p{N}_/-]*)/u;
+const RE_TEXT = /^[^\\`<&*_~[\]!#$\n]+/;
+const RE_PUNCTUATION = /[!-/:-@[-`{-~\p{P}\p{S}]/u;
+const RE_WHITESPACE = /\s/;
+
+// Resolve backslash escapes and entities (used for link destinations, titles and info strings)
+function unescapeString(text) {
+    return text.replace(/\\([!"#$%&'()*+,\-./:;<=>?@[\\\]^_`{|}~])|&(?:#[xX][0-9a-fA-F]{1,6}|#[0-9]{1,7}|[A-Za-z][A-Za-z0-9]{1,31});/g,
+        (match, escaped) => escaped || decodeEntity(match) || match);
+}
+
+// Percent-encode a link destination, keeping existing %XX sequences
+function normalizeUrl(url) {
+    return url.replace(/%(?![0-9a-fA-F]{2})|[^A-Za-z0-9\-._~:/?#@!$&'()*+,;=%]/gu, ch => encodeURIComponent(ch));
+}
+
+// Labels match case-insensitively with collapsed whitespace
+function normalizeLabel(label) {
+    return label.trim().replace(/\s+/g, ' ').toLowerCase().toUpperCase();
+}
+
+// Split the inside of a [[wikilink]] into target, heading, block id and alias
+function parseWikiLink(inner) {
+    let [target, alias] = inner.split('|');
+    let heading = '';
+    let block = '';
+
+    const hashIndex = target.indexOf('#');
+    if (hashIndex !== -1) {
+        const anchor = target.substring(hashIndex + 1).trim();
+        target = target.substring(0, hashIndex);
+        if (anchor.startsWith('^')) {
+            block = anchor.substring(1);
+        } else {
+            heading = anchor;
+        }
+    }
+
+    target = target.trim().replace(/\.md$/, '');
+    alias = alias ? alias.trim() : '';
+
+    // Obsidian displays heading links as "Note > Heading"
+    let display = alias;
+    if (!display) {
+        display = [target, heading || (block && '^' + block)].filter(Boolean).join(' > ');
+    }
+
+    return { target, heading, block, alias, display };
+}
+
+// Tags are matched case-insensitively: "#Era/First-Age/" -> "era/first-age"
+function normalizeTag(tag) {
+    return String(tag).trim().replace(/^#/, '').replace(/\/+$/, '').toLowerCase();
+}
+
+// "300" or "300x200" (Obsidian's image size syntax) to { width, height }, or null
+function parseImageSize(text) {
+    const match = text.trim().match(RE_IMAGE_SIZE);
+    return match ? { width: Number(match[1]), height: match[2] ? Number(match[2]) : null } : null;
+}
+
+// Block parsing
+
+function isBlank(line) {
+    return /^[ \t]*$/.test(line);
+}
+
+// Expand tabs in leading whitespace to the next multiple of 4 columns
+function expandIndent(line, column = 0) {
+    let i = 0;
+    let spaces = '';
+    while (i < line.length && (line[i] === ' ' || line[i] === '\t')) {
+        const width = line[i] === '\t' ? 4 - ((column + spaces.length) % 4) : 1;
+        spaces += ' '.repeat(width);
+        i++;
+    }
+    return spaces + line.slice(i);
+}
+
+function indentOf(line) {
+    return line.match(/^ */)[0].length;
+}
+
+function removeIndent(line, count) {
+    const indent = Math.min(indentOf(line), count);
+    return line.slice(indent);
+}
+
+// Strip a blockquote marker "> " from a line
+function stripQuoteMarker(line) {
+    const marker = line.match(/^ {0,3}>/)[0];
+    let rest = line.slice(marker.length);
+    if (rest[0] === '\t') {
+        // The tab is partly consumed as the optional space after ">"
+        const width = 4 - (marker.length % 4);
+        rest = ' '.repeat(width - 1) + rest.slice(1);
+    } else if (rest[0] === ' ') {
+        rest = rest.slice(1);
+    }
+    return expandIndent(rest, marker.length + 1);
+}
+
+// Parse a list marker; returns null when the line does not start a list item
+function parseListMarker(line) {
+    const match = line.match(RE_LIST_ITEM);
+    if (!match) return null;
+
+    const marker = match[2];
+    const markerEnd = match[0].length;
+    const rest = expandIndent(line.slice(markerEnd), markerEnd);
+    const spaces = indentOf(rest);
+    const content = rest.slice(spaces);
+    const ordered = /\d/.test(marker);
+
+    let contentOffset;
+    let firstLine;
+    if (!content) {
+        contentOffset = markerEnd + 1;
+        firstLine = '';
+    } else if (spaces > 4) {
+        // Content starting with 5+ spaces is indented code inside the item
+        contentOffset = markerEnd + 1;
+        firstLine = ' '.repeat(spaces - 1) + content;
+    } else {
+        contentOffset = markerEnd + spaces;
+        firstLine = content;
+    }
+
+    return {
+        ordered,
+        bullet: ordered ? marker.slice(-1) : marker,
+        start: ordered ? parseInt(marker, 10) : null,
+        contentOffset,
+        firstLine,
+        empty: !content
+    };
+}
+
+function htmlBlockStart(line, inParagraph) {
+    return HTML_BLOCKS.find(kind => kind.start.test(line) && !(inParagraph && kind.cannotInterrupt)) || null;
+}
+
+function splitTableRow(line) {
+    let text = line.trim();
+    if (text.startsWith('|')) text = text.slice(1);
+    if (text.endsWith('|') && !text.endsWith('\\|')) text = text.slice(0, -1);
+
+    const cells = [];
+    let cell = '';
+    let inWikiLink = false;
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (ch === '\\' && text[i + 1] === '|') {
+            cell += '|';
+            i++;
+        } else if (ch === '|' && !inWikiLink) {
+            cells.push(cell.trim());
+            cell = '';
+        } else {
+            if (ch === '[' && text[i + 1] === '[') inWikiLink = true;
+            if (ch === ']' && text[i + 1] === ']') inWikiLink = false;
+            cell += ch;
+        }
+    }
+    cells.push(cell.trim());
+    return cells;
+}
+
+function isTableStart(lines, i) {
+    if (i + 1 >= lines.length || !lines[i].includes('|') || !RE_TABLE_DELIMITER.test(lines[i + 1])) {
+        return false;
+    }
+    return splitTableRow(lines[i]).length === splitTableRow(lines[i + 1]).length;
+}
+
+// Whether a line starts a block that ends an open paragraph
+function interruptsParagraph(line) {
+    if (RE_ATX_HEADING.test(line) || RE_THEMATIC_BREAK.test(line) || RE_BLOCKQUOTE.test(line)) return true;
+    const fence = line.match(RE_FENCE_OPEN);
+    if (fence && !(fence[2][0] === '`' && fence[3].includes('`'))) return true;
+    if (htmlBlockStart(line, true)) return true;
+    const item = parseListMarker(line);
+    return Boolean(item && !item.empty && (!item.ordered || item.start === 1));
+}
+
+// Link destination "<...>" or a run of non-space characters with balanced parentheses
+function parseLinkDestination(text, pos) {
+    if (text[pos] === '<') {
+        let i = pos + 1;
+        while (i < text.length) {
+            const ch = text[i];
+            if (ch === '\\' && ESCAPABLE.test(text.slice(i + 1))) {
+                i += 2;
+            } else if (ch === '>') {
+                return { dest: unescapeString(text.slice(pos + 1, i)), end: i + 1 };
+            } else if (ch === '<' || ch === '\n') {
+                return null;
+            } else {
+                i++;
+            }
+        }
+        return null;
+    }
+
+    let i = pos;
+    let depth = 0;
+    while (i < text.length) {
+        const ch = text[i];
+        if (ch === '\\' && ESCAPABLE.test(text.slice(i + 1))) {
+            i += 2;
+            continue;
+        }
+        if (/[\x00-\x20\x7f]/.test(ch)) break;
+        if (ch === '(') depth++;
+        if (ch === ')') {
+            if (depth === 0) break;
+            depth--;
+        }
+        i++;
+    }
+    if (i === pos || depth !== 0) return null;
+    return { dest: unescapeString(text.slice(pos, i)), end: i };
+}
+
+function parseLinkTitle(text, pos) {
+    const open = text[pos];
+    const close = open === '(' ? ')' : open;
+    if (open !== '"' && open !== '\'' && open !== '(') return null;
+
+    let i = pos + 1;
+    while (i < text.length) {
+        const ch = text[i];
+        if (ch === '\\' && ESCAPABLE.test(text.slice(i + 1))) {
+            i += 2;
+        } else if (ch === close) {
+            return { title: unescapeString(text.slice(pos + 1, i)), end: i + 1 };
+        } else if (open === '(' && ch === '(') {
+            return null;
+        } else {
+            i++;
+        }
+    }
+    return null;
+}
+
+function skipSpaces(text, pos, allowNewline = true) {
+    let newlines = 0;
+    while (pos < text.length && (text[pos] === ' ' || text[pos] === '\t' || text[pos] === '\n')) {
+        if (text[pos] === '\n' && (!allowNewline || ++newlines > 1)) break;
+        pos++;
+    }
+    return pos;
+}
+
+// Consume link reference definitions at the start of a paragraph; returns the remaining text
+function extractReferenceDefinitions(text, refs) {
+    for (;;) {
+        const labelMatch = text.match(/^ {0,3}\[((?:[^\\[\]]|\\.){0,999})\]:/);
+        if (!labelMatch || !labelMatch[1].trim()) return text;
+
+        let pos = skipSpaces(text, labelMatch[0].length);
+        const destination = parseLinkDestination(text, pos);
+        if (!destination) return text;
+        pos = destination.end;
+
+        // An optional title must be separated from the destination by whitespace
+        let title = null;
+        let end = pos;
+        const afterDest = skipSpaces(text, pos);
+        if (afterDest > pos) {
+            const parsed = parseLinkTitle(text, afterDest);
+            if (parsed && /^[ \t]*(?:\n|$)/.test(text.slice(parsed.end))) {
+                title = parsed.title;
+                end = parsed.end;
+            }
+        }
+
+        const lineEnd = text.slice(end).match(/^[ \t]*(?:\n|$)/);
+        if (!lineEnd) return text;
+
+        const label = normalizeLabel(labelMatch[1]);
+        if (!(label in refs)) {
+            refs[label] = { dest: destination.dest, title };
+        }
+        text = text.slice(end + lineEnd[0].length);
+    }
+}
+
+function parseBlocks(lines, state) {
+    const blocks = [];
+    let sawBlank = false;
+    let i = 0;
+
+    const push = block => {
+        block.blankBefore = sawBlank && blocks.length > 0;
+        sawBlank = false;
+        blocks.push(block);
+    };
+
+    while (i < lines.length) {
+        const line = expandIndent(lines[i]);
+        let match;
+
+        if (isBlank(line)) {
+            sawBlank = true;
+            i++;
+            continue;
+        }
+
+        // Indented code block
+        if (indentOf(line) >= 4) {
+            const code = [];
+            while (i < lines.length && (isBlank(lines[i]) || indentOf(expandIndent(lines[i])) >= 4)) {
+                code.push(removeIndent(expandIndent(lines[i]), 4));
+                i++;
+            }
+            while (isBlank(code[code.length - 1])) code.pop();
+            push({ type: 'code', info: '', text: code.join('\n') + '\n' });
+            continue;
+        }
+
+        // Fenced code block
+        match = line.match(RE_FENCE_OPEN);
+        if (match && !(match[2][0] === '`' && match[3].includes('`'))) {
+            const fenceIndent = match[1].length;
+            const fence = match[2];
+            const code = [];
+            i++;
+            while (i < lines.length) {
+                const close = lines[i].match(RE_FENCE_CLOSE);
+                if (close && close[1][0] === fence[0] && close[1].length >= fence.length) {
+                    i++;
+                    break;
+                }
+                code.push(removeIndent(expandIndent(lines[i]), fenceIndent));
+                i++;
+            }
+            push({ type: 'code', info: unescapeString(match[3].trim()), text: code.length ? code.join('\n') + '\n' : '' });
+            continue;
+        }
+
+        // Display math: lines from "$$" to a line ending with "$$"
+        if (RE_MATH_OPEN.test(line)) {
+            const end = mathBlockEnd(lines, i);
+            if (end !== -1) {
+                const text = lines.slice(i, end + 1).join('\n').trim();
+                push({ type: 'math', text: text.slice(2, -2) });
+                i = end + 1;
+                continue;
+            }
+        }
+
+        // ATX heading
+        match = line.match(RE_ATX_HEADING);
+        if (match) {
+            const text = match[2].trim().replace(/(?:^|[ \t]+)#+$/, '').trim();
+            push({ type: 'heading', level: match[1].length, text });
+            i++;
+            continue;
+        }
+
+        if (RE_THEMATIC_BREAK.test(line)) {
+            push({ type: 'hr' });
+            i++;
+            continue;
+        }
+
+        // Blockquote, with lazy continuation of paragraph lines
+        if (RE_BLOCKQUOTE.test(line)) {
+            const quoteLines = [];
+            let inFence = false;
+            while (i < lines.length) {
+                const current = expandIndent(lines[i]);
+                const previous = quoteLines[quoteLines.length - 1];
+                if (RE_BLOCKQUOTE.test(current)) {
+                    const stripped = stripQuoteMarker(current);
+                    if (RE_FENCE_OPEN.test(stripped)) inFence = !inFence;
+                    quoteLines.push(stripped);
+                } else if (!isBlank(current) && !inFence && previous !== undefined && isLazyContinuable(previous) && !interruptsParagraph(current)) {
+                    quoteLines.push(lazyLine(current));
+                } else {
+                    break;
+                }
+                i++;
+            }
+            // "> [!type]+ Title" on the first line makes the quote a callout
+            const callout = quoteLines[0].match(RE_CALLOUT);
+            if (callout) {
+                push({
+                    type: 'callout',
+                    kind: callout[1].toLowerCase(),
+                    fold: callout[2],
+                    title: callout[3] || '',
+                    children: parseBlocks(quoteLines.slice(1), state)
+                });
+            } else {
+                push({ type: 'blockquote', children: parseBlocks(quoteLines, state) });
+            }
+            continue;
+        }
+
+        // List
+        if (parseListMarker(line)) {
+            const result = parseList(lines, i, state);
+            push(result.block);
+            i = result.next;
+            continue;
+        }
+
+        // HTML block
+        const htmlKind = htmlBlockStart(line, false);
+        if (htmlKind) {
+            const htmlLines = [];
+            while (i < lines.length) {
+                if (!htmlKind.end && isBlank(lines[i])) break;
+                htmlLines.push(lines[i]);
+                i++;
+                if (htmlKind.end && htmlKind.end.test(htmlLines[htmlLines.length - 1])) break;
+            }
+            push({ type: 'html', text: htmlLines.join('\n') });
+            continue;
+        }
+
+        // Footnote definition, with indented continuation lines
+        match = line.match(RE_FOOTNOTE_DEF);
+        if (match) {
+            const defLines = [match[2]];
+            i++;
+            while (i < lines.length) {
+                const current = expandIndent(lines[i]);
+                if (isBlank(current)) {
+                    defLines.push('');
+                } else if (indentOf(current) >= 4) {
+                    defLines.push(current.slice(4));
+                } else if (!isBlank(defLines[defLines.length - 1]) && !interruptsParagraph(current) && !RE_FOOTNOTE_DEF.test(current)) {
+                    defLines.push(current);
+                } else {
+                    break;
+                }
+                i++;
+            }
+            const label = normalizeLabel(match[1]);
+            if (!(label in state.footnotes)) {
+                state.footnotes[label] = { label: match[1], blocks: parseBlocks(defLines, state) };
+            }
+            continue;
+        }
+
+        // GFM table
+        if (isTableStart(lines, i)) {
+            const aligns = splitTableRow(lines[i + 1]).map(cell => {
+                const left = cell.startsWith(':');
+                const right = cell.endsWith(':');
+                return left && right ? 'center' : right ? 'right' : left ? 'left' : null;
+            });
+            const header = splitTableRow(lines[i]);
+            const rows = [];
+            i += 2;
+            while (i < lines.length && !isBlank(lines[i]) && !interruptsParagraph(expandIndent(lines[i]))) {
+                const cells = splitTableRow(lines[i]);
+                rows.push(aligns.map((align, index) => cells[index] || ''));
+                i++;
+            }
+            push({ type: 'table', aligns, header, rows });
+            continue;
+        }
+
+        // Paragraph (or setext heading)
+        const paraLines = [line.replace(/^[ \t]+/, '')];
+        let setextLevel = 0;
+        i++;
+        while (i < lines.length) {
+            const current = expandIndent(lines[i]);
+            if (isBlank(current)) break;
+            // Only paragraph text can be underlined, not reference definitions
+            const setext = current.match(RE_SETEXT_UNDERLINE);
+            if (setext && extractReferenceDefinitions(paraLines.join('\n'), {}).trim()) {
+                setextLevel = setext[1][0] === '=' ? 1 : 2;
+                i++;
+                break;
+            }
+            if (interruptsParagraph(current) || isTableStart(lines, i)) break;
+            paraLines.push(current.replace(/^[ \t]+/, ''));
+            i++;
+        }
+
+        const text = extractReferenceDefinitions(paraLines.join('\n'), state.refs).replace(/[ \t]+$/, '');
+        if (setextLevel) {
+            push({ type: 'heading', level: setextLevel, text: text.trim() });
+        } else if (text) {
+            push({ type: 'paragraph', text });
+        } else {
+            // Definitions render nothing but, as blocks, still make a list loose
+            push({ type: 'definitions' });
+        }
+    }
+
+    return blocks;
+}
+
+// Index of the line closing a display math block opened at lines[start], or -1
+function mathBlockEnd(lines, start) {
+    const first = lines[start].trim();
+    if (first.length > 4 && first.indexOf('$$', 2) === first.length - 2) return start;
+    for (let i = start + 1; i < lines.length && !isBlank(lines[i]); i++) {
+        if (lines[i].trimEnd().endsWith('$$')) return i;
+    }
+    return -1;
+}
+
+// Lazy continuation lines may only follow paragraph text
+function isLazyContinuable(previous) {
+    return !isBlank(previous) && indentOf(previous) < 4 && !RE_ATX_HEADING.test(previous) &&
+        !RE_THEMATIC_BREAK.test(previous) && !RE_FENCE_OPEN.test(previous);
+}
+
+// A lazy continuation line continues the paragraph, so one looking like a
+// setext underline is escaped to stay text ("bar\n===" is not a heading)
+function lazyLine(line) {
+    return RE_SETEXT_UNDERLINE.test(line) ? line.replace(/^( *)/, '$1\\') : line;
+}
+
+function parseList(lines, start, state) {
+    const first = parseListMarker(expandIndent(lines[start]));
+    const list = { type: 'list', ordered: first.ordered, start: first.start, tight: true, items: [] };
+    let i = start;
+
+    while (i < lines.length) {
+        const line = expandIndent(lines[i]);
+        const marker = parseListMarker(line);
+        if (!marker || marker.ordered !== first.ordered || marker.bullet !== first.bullet || RE_THEMATIC_BREAK.test(line)) {
+            break;
+        }
+
+        const itemLines = [marker.firstLine];
+        let fenceOpen = RE_FENCE_OPEN.test(marker.firstLine);
+        let closed = false;
+        i++;
+
+        while (i < lines.length) {
+            const current = expandIndent(lines[i]);
+            const previous = itemLines[itemLines.length - 1];
+
+            if (isBlank(current)) {
+                // An item can begin with at most one blank line
+                if (marker.empty && itemLines.every(isBlank)) closed = true;
+                itemLines.push('');
+            } else if (closed) {
+                break;
+            } else if (indentOf(current) >= marker.contentOffset) {
+                const content = current.slice(marker.contentOffset);
+                if (RE_FENCE_OPEN.test(content) || RE_FENCE_CLOSE.test(content)) fenceOpen = !fenceOpen;
+                itemLines.push(content);
+            } else if (!isBlank(previous) && !fenceOpen && isLazyContinuable(previous) &&
+                !interruptsParagraph(current) && !parseListMarker(current)) {
+                itemLines.push(lazyLine(current));
+            } else {
+                break;
+            }
+            i++;
+        }
+
+        // Trailing blank lines belong to the list only if another item follows
+        let trailingBlanks = 0;
+        while (itemLines.length > 1 && isBlank(itemLines[itemLines.length - 1])) {
+            itemLines.pop();
+            trailingBlanks++;
+        }
+
+        const children = parseBlocks(itemLines, state);
+        if (children.some(child => child.blankBefore)) {
+            list.tight = false;
+        }
+
+        // GFM task list item
+        let task = null;
+        const firstChild = children[0];
+        if (firstChild && firstChild.type === 'paragraph') {
+            const taskMatch = firstChild.text.match(/^\[([ xX])\][ \t]+/);
+            if (taskMatch) {
+                task = { checked: taskMatch[1] !== ' ' };
+                firstChild.text = firstChild.text.slice(taskMatch[0].length);
+            }
+        }
+
+        list.items.push({ children, task });
+
+        if (trailingBlanks > 0) {
+            const next = i < lines.length ? parseListMarker(expandIndent(lines[i])) : null;
+            if (next && next.ordered === first.ordered && next.bullet === first.bullet && !RE_THEMATIC_BREAK.test(expandIndent(lines[i]))) {
+                list.tight = false;
+            } else {
+                // Leave the blank lines for the parent container
+                i -= trailingBlanks;
+                break;
+            }
+        }
+    }
+
+    return { block: list, next: i };
+}
+
+// Inline parsing
+
+function isWhitespace(ch) {
+    return !ch || RE_WHITESPACE.test(ch);
+}
+
+function isPunctuation(ch) {
+    return Boolean(ch) && RE_PUNCTUATION.test(ch);
+}
+
+// Build a delimiter run node for "*", "_" or "~" with its flanking properties
+function delimiterRun(text, pos) {
+    const ch = text[pos];
+    let end = pos;
+    while (text[end] === ch) end++;
+
+    const before = pos > 0 ? String.fromCodePoint(text.codePointAt(pos - 1)) : '';
+    const after = text[end] || '';
+    const leftFlanking = !isWhitespace(after) && (!isPunctuation(after) || isWhitespace(before) || isPunctuation(before));
+    const rightFlanking = !isWhitespace(before) && (!isPunctuation(before) || isWhitespace(after) || isPunctuation(after));
+
+    let canOpen = leftFlanking;
+    let canClose = rightFlanking;
+    if (ch === '_') {
+        canOpen = leftFlanking && (!rightFlanking || isPunctuation(before));
+        canClose = rightFlanking && (!leftFlanking || isPunctuation(after));
+    }
+
+    const count = end - pos;
+    return {
+        node: { type: 'text', value: text.slice(pos, end), delim: { char: ch, count, origCount: count, canOpen, canClose } },
+        end
+    };
+}
+
+// Match emphasis delimiters (CommonMark "process emphasis" procedure)
+function processEmphasis(nodes) {
+    let c = 0;
+    while (c < nodes.length) {
+        const closer = nodes[c].delim;
+        if (!closer || !closer.canClose) {
+            c++;
+            continue;
+        }
+
+        let o = c - 1;
+        for (; o >= 0; o--) {
+            const opener = nodes[o].delim;
+            if (!opener || !opener.canOpen || opener.char !== closer.char) continue;
+            if (closer.char === '~') {
+                if (opener.count === closer.count) break;
+                continue;
+            }
+            const oddMatch = (opener.canClose || closer.canOpen) &&
+                (opener.origCount + closer.origCount) % 3 === 0 &&
+                !(opener.origCount % 3 === 0 && closer.origCount % 3 === 0);
+            if (!oddMatch) break;
+        }
+
+        if (o < 0) {
+            if (!closer.canOpen) nodes[c].delim = null;
+            c++;
+            continue;
+        }
+
+        const openerNode = nodes[o];
+        const closerNode = nodes[c];
+        const opener = openerNode.delim;
+        let type;
+        let use;
+        if (closer.char === '~') {
+            if (closer.count > 2) {
+                nodes[c].delim = null;
+                c++;
+                continue;
+            }
+            type = 'del';
+            use = closer.count;
+        } else {
+            use = closer.count >= 2 && opener.count >= 2 ? 2 : 1;
+            type = use === 2 ? 'strong' : 'em';
+        }
+
+        opener.count -= use;
+        closer.count -= use;
+        openerNode.value = openerNode.value.slice(use);
+        closerNode.value = closerNode.value.slice(use);
+
+        // Delimiters between opener and closer can no longer match
+        const inner = nodes.splice(o + 1, c - o - 1, { type, children: [] });
+        inner.forEach(node => { node.delim = null; });
+        nodes[o + 1].children = inner;
+        c = o + 2;
+
+        if (opener.count === 0) {
+            nodes.splice(o, 1);
+            c--;
+        }
+        if (closer.count === 0) {
+            nodes.splice(c, 1);
+        }
+    }
+
+    nodes.forEach(node => { node.delim = null; });
+    return nodes;
+}
+
+// Inline math at text[pos]: "$$...$$" (display) or "$...$", where the opening
+// "$" is not followed by a space and the closing one not preceded by a space
+// nor followed by a digit (so "$5 and $10" stay text); null when not closed
+function parseMathSpan(text, pos) {
+    const display = text.startsWith('$$', pos);
+    const start = pos + (display ? 2 : 1);
+    if (!display && /\s/.test(text[start] || ' ')) return null;
+    for (let i = start; i < text.length; i++) {
+        if (text[i] === '\\') {
+            i++;
+        } else if (display ? text.startsWith('$$', i) && i > start : text[i] === '$' && !/\s/.test(text[i - 1]) && !/[0-9]/.test(text[i + 1] || '')) {
+            return { value: text.slice(start, i), display, end: i + (display ? 2 : 1) };
+        }
+    }
+    return null;
+}
+
+// Plain text of inline nodes (for image alt text)
+function plainText(nodes) {
+    return nodes.map(node => {
+        if (node.type === 'text') return node.value;
+        if (node.type === 'code' || node.type === 'math') return node.value;
+        if (node.type === 'softbreak' || node.type === 'hardbreak') return '\n';
+        if (node.type === 'image') return node.alt;
+        if (node.children) return plainText(node.children);
+        if (node.type === 'wikilink' || node.type === 'embed') return node.link.display;
+        if (node.type === 'tag') return '#' + node.value;
+        return '';
+    }).join('');
+}
+
+function parseInlines(text, state) {
+    const nodes = [];
+    const brackets = [];
+    let pos = 0;
+
+    const pushText = value => {
+        const last = nodes[nodes.length - 1];
+        if (last && last.type === 'text' && !last.delim && !last.bracket) {
+            last.value += value;
+        } else {
+            nodes.push({ type: 'text', value });
+        }
+    };
+
+    while (pos < text.length) {
+        const ch = text[pos];
+        const rest = text.slice(pos);
+        let match;
+
+        if (ch === '\\') {
+            if (text[pos + 1] === '\n') {
+                nodes.push({ type: 'hardbreak' });
+                pos = skipSpaces(text, pos + 2, false);
+            } else if (ESCAPABLE.test(text.slice(pos + 1))) {
+                pushText(text[pos + 1]);
+                pos += 2;
+            } else {
+                pushText('\\');
+                pos++;
+            }
+        } else if (ch === '`') {
+            const run = rest.match(/^`+/)[0];
+            const closing = /`+/g;
+            closing.lastIndex = pos + run.length;
+            let closeAt = -1;
+            while ((match = closing.exec(text))) {
+                if (match[0].length === run.length) {
+                    closeAt = match.index;
+                    break;
+                }
+            }
+            if (closeAt === -1) {
+                pushText(run);
+                pos += run.length;
+            } else {
+                let code = text.slice(pos + run.length, closeAt).replace(/\n/g, ' ');
+                if (/^ [\s\S]*[^ ][\s\S]* $/.test(code)) code = code.slice(1, -1);
+                nodes.push({ type: 'code', value: code });
+                pos = closeAt + run.length;
+            }
+        } else if (ch === '$') {
+            // Math is kept as written, like code, then rendered as a whole
+            const math = parseMathSpan(text, pos);
+            if (math) {
+                nodes.push({ type: 'math', value: math.value, display: math.display });
+                pos = math.end;
+            } else {
+                const run = rest.match(/^\$+/)[0];
+                pushText(run);
+                pos += run.length;
+            }
+        } else if (ch === '<') {
+            if ((match = rest.match(RE_AUTOLINK))) {
+                nodes.push({ type: 'link', dest: match[1], title: null, children: [{ type: 'text', value: match[1] }], autolink: true });
+                pos += match[0].length;
+            } else if ((match = rest.match(RE_EMAIL_AUTOLINK))) {
+                nodes.push({ type: 'link', dest: 'mailto:' + match[1], title: null, children: [{ type: 'text', value: match[1] }], autolink: true });
+                pos += match[0].length;
+            } else if ((match = rest.match(RE_INLINE_HTML))) {
+                nodes.push({ type: 'html', value: match[0] });
+                pos += match[0].length;
+            } else {
+                pushText('<');
+                pos++;
+            }
+        } else if (ch === '&') {
+            match = rest.match(RE_ENTITY);
+            const decoded = match && decodeEntity(match[0]);
+            if (decoded) {
+                pushText(decoded);
+                pos += match[0].length;
+            } else if (match && match[0][1] !== '#') {
+                // Unknown named entities are left for the browser to decode
+                nodes.push({ type: 'html', value: match[0] });
+                pos += match[0].length;
+            } else {
+                pushText('&');
+                pos++;
+            }
+        } else if (ch === '*' || ch === '_' || ch === '~') {
+            const run = delimiterRun(text, pos);
+            nodes.push(run.node);
+            pos = run.end;
+        } else if (ch === '#' && (pos === 0 || RE_WHITESPACE.test(text[pos - 1])) && (match = rest.match(RE_TAG))) {
+            nodes.push({ type: 'tag', value: match[1] });
+            pos += match[0].length;
+        } else if (ch === '!' && (match = rest.match(RE_EMBED))) {
+            nodes.push({ type: 'embed', link: parseWikiLink(match[1]) });
+            pos += match[0].length;
+        } else if (ch === '[' && (match = rest.match(RE_WIKILINK))) {
+            nodes.push({ type: 'wikilink', link: parseWikiLink(match[1]) });
+            pos += match[0].length;
+        } else if (ch === '[' && (match = rest.match(RE_FOOTNOTE_REF)) && normalizeLabel(match[1]) in state.footnotes) {
+            nodes.push({ type: 'footnoteRef', label: normalizeLabel(match[1]) });
+            pos += match[0].length;
+        } else if (ch === '[' || (ch === '!' && text[pos + 1] === '[')) {
+            const node = { type: 'text', value: ch === '!' ? '![' : '[', bracket: true };
+            nodes.push(node);
+            brackets.push({ node, image: ch === '!', active: true, start: pos + node.value.length });
+            pos += node.value.length;
+        } else if (ch === ']') {
+            pos = closeBracket(text, pos, nodes, brackets, state);
+        } else if (ch === '\n') {
+            const last = nodes[nodes.length - 1];
+            let hard = false;
+            if (last && last.type === 'text' && !last.delim) {
+                hard = / {2,}$/.test(last.value);
+                last.value = last.value.replace(/ +$/, '');
+            }
+            nodes.push({ type: hard ? 'hardbreak' : 'softbreak' });
+            pos = skipSpaces(text, pos + 1, false);
+        } else if (ch !== '!' && isAutolinkBoundary(text, pos) && (match = rest.match(RE_EXTENDED_AUTOLINK)) && (match = trimAutolink(match[0]))) {
+            const dest = /^www\./i.test(match) ? 'http://' + match : match;
+            nodes.push({ type: 'link', dest, title: null, children: [{ type: 'text', value: match }], autolink: true });
+            pos += match.length;
+        } else {
+            match = rest.match(RE_TEXT);
+            let chunk = match ? match[0] : ch;
+            // Stop before an extended autolink inside the chunk (one at its
+            // start was handled above)
+            const autolinkAt = chunk.search(/(?<=[\s(])(?:https?:\/\/|www\.)/i);
+            if (autolinkAt !== -1) chunk = chunk.slice(0, autolinkAt);
+            pushText(chunk);
+            pos += chunk.length;
+        }
+    }
+
+    return processEmphasis(nodes).map(node => {
+        delete node.bracket;
+        return node;
+    });
+}
+
+function isAutolinkBoundary(text, pos) {
+    return pos === 0 || /[\s*_~(]/.test(text[pos - 1]);
+}
+
+// GFM extended autolinks drop trailing punctuation and unbalanced ")"
+function trimAutolink(url) {
+    let result = url;
+    for (;;) {
+        const previous = result;
+        result = result.replace(/[?!.,:*_~'"]+$/, '').replace(/&[A-Za-z0-9]+;$/, '');
+        if (result.endsWith(')')) {
+            const opens = (result.match(/\(/g) || []).length;
+            const closes = (result.match(/\)/g) || []).length;
+            if (closes > opens) result = result.slice(0, -1);
+        }
+        if (result === previous) break;
+    }
+    const domain = result.replace(/^(?:https?:\/\/|www\.)/i, '').split(/[/?#]/)[0];
+    return /\w/.test(domain) ? result : null;
+}
+
+// Handle "]": turn the matching "[" or "![" into a link or image if possible
+function closeBracket(text, pos, nodes, brackets, state) {
+    const opener = brackets.pop();
+    if (!opener) {
+        nodes.push({ type: 'text', value: ']' });
+        return pos + 1;
+    }
+    if (!opener.active) {
+        nodes.push({ type: 'text', value: ']' });
+        return pos + 1;
+    }
+
+    let after = pos + 1;
+    let dest = null;
+    let title = null;
+    let matched = false;
+
+    // Inline link: [text](dest "title")
+    if (text[after] === '(') {
+        let p = skipSpaces(text, after + 1);
+        let destination = { dest: '', end: p };
+        if (text[p] !== ')') {
+            destination = parseLinkDestination(text, p);
+        }
+        if (destination) {
+            p = destination.end;
+            const beforeTitle = p;
+            p = skipSpaces(text, p);
+            const parsedTitle = p > beforeTitle ? parseLinkTitle(text, p) : null;
+            if (parsedTitle) p = skipSpaces(text, parsedTitle.end);
+            if (text[p] === ')') {
+                dest = destination.dest;
+                title = parsedTitle ? parsedTitle.title : null;
+                after = p + 1;
+                matched = true;
+            }
+        }
+    }
+
+    // Reference link: [text][label], [text][] or [text]
+    if (!matched) {
+        const labelMatch = text.slice(after).match(/^\[((?:[^\\[\]]|\\.){0,999})\]/);
+        let label = text.slice(opener.start, pos);
+        let end = after;
+        if (labelMatch) {
+            if (labelMatch[1].trim()) label = labelMatch[1];
+            end = after + labelMatch[0].length;
+        }
+        const ref = state.refs[normalizeLabel(label)];
+        if (ref) {
+            dest = ref.dest;
+            title = ref.title;
+            after = end;
+            matched = true;
+        }
+    }
+
+    if (!matched) {
+        nodes.push({ type: 'text', value: ']' });
+        return pos + 1;
+    }
+
+    const index = nodes.indexOf(opener.node);
+    const children = processEmphasis(nodes.splice(index + 1));
+    nodes.pop();
+
+    if (opener.image) {
+        nodes.push({ type: 'image', dest, title, alt: plainText(children) });
+    } else {
+        nodes.push({ type: 'link', dest, title, children });
+        // Links may not contain other links
+        brackets.forEach(bracket => {
+            if (!bracket.image) bracket.active = false;
+        });
+    }
+    return after;
+}
+
+// Rendering
+
+// An attachment returned by options.resolveAttachment: images are lazy-loaded
+// (a thumbnail links to the original), other files become download links
+function renderAttachment(attachment, alt, title) {
+    if (!attachment.image) {
+        return `<a href="${escapeAttr(attachment.src)}" class="attachment" target="_blank" rel="noopener">${escapeHtml(alt)}</a>`;
+    }
+    const size = (attachment.width ? ` width="${attachment.width}"` : '') + (attachment.height ? ` height="${attachment.height}"` : '');
+    const img = `<img src="${escapeAttr(attachment.src)}" alt="${escapeHtml(alt)}"${title}${size} loading="lazy" decoding="async">`;
+    if (!attachment.original) return img;
+    return `<a href="${escapeAttr(attachment.original)}" class="image-link" target="_blank" rel="noopener">${img}</a>`;
+}
+
+// Raw HTML written in a note, sanitized unless options.sanitize is false
+function renderRawHtml(html, state) {
+    return state.options.sanitize === false ? html : sanitizeHtml(html);
+}
+
+// Whether a link or image URL may be used (any URL when options.sanitize is false)
+function isAllowedUrl(url, state, image) {
+    return state.options.sanitize === false || isSafeUrl(url, image);
+}
+
+function renderInlines(nodes, state) {
+    return nodes.map(node => {
+        switch (node.type) {
+            case 'text':
+                return escapeHtml(node.value);
+            case 'html':
+                return renderRawHtml(node.value, state);
+            case 'softbreak':
+                return '\n';
+            case 'hardbreak':
+                return '<br>\n';
+            case 'code':
+                return `<code>${escapeHtml(node.value)}</code>`;
+            case 'math':
+                return renderMathSource(node.value, node.display);
+            case 'em':
+            case 'strong':
+            case 'del':
+                return `<${node.type}>${renderInlines(node.children, state)}</${node.type}>`;
+            case 'link': {
+                const title = node.title !== null ? ` title="${escapeHtml(node.title)}"` : '';
+                // A link with an unsafe scheme ("javascript:") keeps its text only
+                if (!isAllowedUrl(node.dest, state, false)) return `<a${title}>${renderInlines(node.children, state)}</a>`;
+                const href = escapeHtml(normalizeUrl(node.dest));
+                const target = node.dest.startsWith('#') ? '' : ' target="_blank" rel="noopener"';
+                return `<a href="${href}"${title}${target}>${renderInlines(node.children, state)}</a>`;
+            }
+            case 'image': {
+                const title = node.title !== null ? ` title="${escapeHtml(node.title)}"` : '';
+                // "![alt|300](map.png)" sets the display size of a vault image
+                const sized = node.alt.match(/^(.*?)\|(\d+(?:x\d+)?)$/);
+                const resolve = state.options.resolveAttachment;
+                const attachment = resolve && !RE_URL_SCHEME.test(node.dest)
+                    ? resolve(node.dest, sized ? parseImageSize(sized[2]) : null)
+                    : null;
+                if (attachment) {
+                    return renderAttachment(attachment, sized ? sized[1] : node.alt, title);
+                }
+                if (!isAllowedUrl(node.dest, state, true)) return escapeHtml(node.alt);
+                return `<img src="${escapeHtml(normalizeUrl(node.dest))}" alt="${escapeHtml(node.alt)}"${title}>`;
+            }
+            case 'embed': {
+                // "![[map.png|300]]": the alias is a display size or alt text
+                const link = node.link;
+                const size = parseImageSize(link.alias);
+                const resolve = state.options.resolveAttachment;
+                const attachment = resolve ? resolve(link.target, size) : null;
+                if (attachment) {
+                    const alt = link.alias && !size ? link.alias : link.target.split('/').pop();
+                    return renderAttachment(attachment, alt, '');
+                }
+                // Anything else (notes, missing files) is shown as a link
+                return renderInlines([{ type: 'wikilink', link }], state);
+            }
+            case 'wikilink': {
+                const link = node.link;
+                const resolve = state.options.resolveWikiLink;
+                const noteId = resolve ? resolve(link) : undefined;
+                // Kept for the sentence passed to options.linkSentence
+                node.noteId = noteId;
+                if (noteId === false) {
+                    // Only the alias is shown, so the unpublished note's title does not leak
+                    return `<span class="wikilink private">${escapeHtml(redactedText(link))}</span>`;
+                }
+                if (noteId === null) {
+                    return `<a href="#" class="wikilink missing" data-link="${escapeAttr(link.target)}" title="Missing page">${escapeHtml(link.display)}</a>`;
+                }
+                const href = noteId && state.options.wikiLinkHref ? state.options.wikiLinkHref(link, noteId) : '#';
+                return `<a href="${escapeAttr(href)}" class="wikilink" data-link="${escapeAttr(link.target)}"` +
+                    (noteId ? ` data-note-id="${escapeAttr(noteId)}"` : '') +
+                    (link.heading ? ` data-heading="${escapeAttr(link.heading)}"` : '') +
+                    (link.block ? ` data-block="${escapeAttr(link.block)}"` : '') +
+                    `>${escapeHtml(link.display)}</a>`;
+            }
+            case 'tag': {
+                const tag = normalizeTag(node.value);
+                const href = state.options.tagHref ? state.options.tagHref(tag) : '#';
+                return `<a href="${escapeAttr(href)}" class="tag" data-tag="${escapeAttr(tag)}">#${escapeHtml(node.value)}</a>`;
+            }
+            case 'footnoteRef':
+                return renderFootnoteRef(node.label, state);
+            default:
+                return '';
+        }
+    }).join('');
+}
+
+// MathML of a formula; a formula that cannot be rendered is shown as written, with the reason
+function renderMathSource(tex, display) {
+    try {
+        return renderMath(tex, display);
+    } catch (err) {
+        if (!(err instanceof MathError)) throw err;
+        const delimiter = display ? '$$' : '$';
+        return `<code class="math-error" title="Math not rendered: ${escapeHtml(err.message)}">${escapeHtml(delimiter + tex + delimiter)}</code>`;
+    }
+}
+
+function footnoteId(label) {
+    return label.toLowerCase().replace(/[^a-z0-9_-]+/g, '-');
+}
+
+function renderFootnoteRef(label, state) {
+    let number = state.footnoteOrder.indexOf(label) + 1;
+    if (number === 0) {
+        state.footnoteOrder.push(label);
+        number = state.footnoteOrder.length;
+    }
+    const id = footnoteId(label);
+    return `<sup class="footnote-ref"><a href="#fn-${id}" id="fnref-${id}">${number}</a></sup>`;
+}
+
+function renderInlineText(text, state) {
+    const nodes = parseInlines(text, state);
+    const html = renderInlines(nodes, state);
+    if (state.options.linkSentence) reportLinkSentences(nodes, state);
+    return html;
+}
+
+// What a link to an unpublished note shows instead of the note's title
+function redactedText(link) {
+    return link.alias || '[redacted]';
+}
+
+// Pass each wikilink of rendered inline nodes to options.linkSentence with the
+// plain text of its sentence, the links in it shown as rendered
+function reportLinkSentences(nodes, state) {
+    let text = '';
+    const links = [];
+    const visit = list => list.forEach(node => {
+        if (node.type === 'wikilink') {
+            links.push({ node, at: text.length });
+            text += node.noteId === false ? redactedText(node.link) : node.link.display;
+        } else if (node.children) {
+            visit(node.children);
+        } else {
+            text += plainText([node]);
+        }
+    });
+    visit(nodes);
+
+    if (links.length === 0) return;
+
+    // Sentences end at ".", "!" or "?" followed by whitespace
+    const sentences = [{ start: 0 }];
+    const boundary = /(?<=[.!?])\s+/g;
+    let match;
+    while ((match = boundary.exec(text))) {
+        sentences[sentences.length - 1].end = match.index;
+        sentences.push({ start: match.index + match[0].length });
+    }
+    for (const { node, at } of links) {
+        const sentence = sentences.filter(candidate => candidate.start <= at).pop();
+        const context = text.slice(sentence.start, sentence.end).replace(/\s+/g, ' ').trim();
+        state.options.linkSentence(node.link, node.noteId, context);
+    }
+}
+
+// Paragraph text, with an Obsidian block id "^id" turned into an anchor; with
+// headingIds its id is "^id", so "page.html#^id" scrolls to it
+function renderParagraphText(text, state) {
+    const blockId = text.match(RE_BLOCK_ID);
+    if (!blockId) return renderInlineText(text, state);
+    const content = text.slice(0, blockId.index);
+    const id = state.options.headingIds ? ` id="^${blockId[1]}"` : '';
+    return renderInlineText(content, state) + `<span class="block-anchor"${id} data-block-id="${blockId[1]}"></span>`;
+}
+
+// ![[Note]] alone in a paragraph, transcluded by options.renderEmbed (null when not handled)
+function renderBlockEmbed(text, state) {
+    const match = text.trim().match(RE_EMBED);
+    if (!state.options.renderEmbed || !match || match[0].length !== text.trim().length) return null;
+    return state.options.renderEmbed(parseWikiLink(match[1]));
+}
+
+function renderBlocks(blocks, state, tight = false) {
+    return blocks.map(block => renderBlock(block, state, tight)).filter(html => html).join('\n');
+}
+
+function renderBlock(block, state, tight) {
+    switch (block.type) {
+        case 'heading': {
+            const content = renderInlineText(block.text, state);
+            if (!state.options.headingIds) return `<h${block.level}>${content}</h${block.level}>`;
+            const text = plainText(parseInlines(block.text, state)).replace(/\s+/g, ' ').trim();
+            const id = uniqueHeadingId(slugify(text), state);
+            state.headings.push({ level: block.level, text, id });
+            return `<h${block.level} id="${escapeHtml(id)}">${content}</h${block.level}>`;
+        }
+        case 'paragraph': {
+            // A note embed on its own line is block content, not part of a paragraph
+            const embed = renderBlockEmbed(block.text, state);
+            if (embed !== null) return embed;
+            const content = renderParagraphText(block.text, state);
+            return tight ? content : `<p>${content}</p>`;
+        }
+        case 'code': {
+            const language = block.info.split(/\s+/)[0];
+            const className = language ? ` class="language-${escapeHtml(language)}"` : '';
+            const code = `<pre><code${className}>${highlight(block.text, language) || escapeHtml(block.text)}</code></pre>`;
+            if (language !== 'mermaid') return code;
+            // A diagram that cannot be drawn is shown as code, with the reason
+            try {
+                return `<div class="diagram">${renderDiagram(block.text)}</div>`;
+            } catch (err) {
+                if (!(err instanceof DiagramError)) throw err;
+                return `<p class="diagram-error">Diagram not rendered: ${escapeHtml(err.message)}.</p>\n${code}`;
+            }
+        }
+        case 'math':
+            return `<div class="math">${renderMathSource(block.text, true)}</div>`;
+        case 'hr':
+            return '<hr>';
+        case 'blockquote':
+            return `<blockquote>\n${renderBlocks(block.children, state)}\n</blockquote>`.replace('\n\n</blockquote>', '\n</blockquote>');
+        case 'callout':
+            return renderCallout(block, state);
+        case 'list':
+            return renderList(block, state);
+        case 'html':
+            return renderRawHtml(block.text, state);
+        case 'table':
+            return renderTable(block, state);
+        default:
+            return '';
+    }
+}
+
+function calloutType(kind) {
+    return Object.keys(CALLOUT_ALIASES).find(type => type === kind || CALLOUT_ALIASES[type].includes(kind)) || 'note';
+}
+
+// Callouts without a title are titled with their type; foldable ones ("+"
+// open, "-" collapsed) are <details> elements so they work without JavaScript
+function renderCallout(callout, state) {
+    const title = callout.title
+        ? renderInlineText(callout.title, state)
+        : escapeHtml(callout.kind.charAt(0).toUpperCase() + callout.kind.slice(1));
+    const content = callout.children.length > 0
+        ? `\n<div class="callout-content">\n${renderBlocks(callout.children, state)}\n</div>`
+        : '';
+    const attributes = `class="callout callout-${calloutType(callout.kind)}" data-callout="${escapeHtml(callout.kind)}"`;
+    if (!callout.fold) {
+        return `<div ${attributes}>\n<div class="callout-title">${title}</div>${content}\n</div>`;
+    }
+    const open = callout.fold === '+' ? ' open' : '';
+    return `<details ${attributes}${open}>\n<summary class="callout-title">${title}</summary>${content}\n</details>`;
+}
+
+function renderList(list, state) {
+    const tag = list.ordered ? 'ol' : 'ul';
+    const start = list.ordered && list.start !== 1 ? ` start="${list.start}"` : '';
+    const items = list.items.map(item => {
+        let content = renderBlocks(item.children, state, list.tight);
+        const first = item.children[0];
+        const last = item.children[item.children.length - 1];
+        const opensInline = first && first.type === 'paragraph' && list.tight;
+        const closesInline = last && last.type === 'paragraph' && list.tight;
+        let className = '';
+        if (item.task) {
+            const checkbox = `<input type="checkbox" disabled${item.task.checked ? ' checked' : ''}> `;
+            content = list.tight ? checkbox + content : content.replace(/^<p>/, '<p>' + checkbox);
+            className = ' class="task-list-item"';
+        }
+        if (!content) return `<li${className}></li>`;
+        return `<li${className}>${opensInline ? '' : '\n'}${content}${closesInline ? '' : '\n'}</li>`;
+    });
+    return `<${tag}${start}>\n${items.join('\n')}\n</${tag}>`;
+}
+
+function renderTable(table, state) {
+    const cell = (tag, text, index) => {
+        const align = table.aligns[index] ? ` align="${table.aligns[index]}"` : '';
+        return `<${tag}${align}>${renderInlineText(text, state)}</${tag}>`;
+    };
+    const header = `<thead>\n<tr>\n${table.aligns.map((align, index) => cell('th', table.header[index] || '', index)).join('\n')}\n</tr>\n</thead>`;
+    if (table.rows.length === 0) {
+        return `<table>\n${header}\n</table>`;
+    }
+    const rows = table.rows.map(row => `<tr>\n${row.map((text, index) => cell('td', text, index)).join('\n')}\n</tr>`);
+    return `<table>\n${header}\n<tbody>\n${rows.join('\n')}\n</tbody>\n</table>`;
+}
+
+function renderFootnotes(state) {
+    if (state.footnoteOrder.length === 0) return '';
+
+    // Footnotes referenced from other footnotes are appended while rendering
+    const items = [];
+    for (let n = 0; n < state.footnoteOrder.length; n++) {
+        const label = state.footnoteOrder[n];
+        const id = footnoteId(label);
+        const backref = ` <a href="#fnref-${id}" class="footnote-backref">↩</a>`;
+        let content = renderBlocks(state.footnotes[label].blocks, state);
+        if (content.endsWith('</p>')) {
+            content = content.slice(0, -4) + backref + '</p>';
+        } else {
+            content += backref;
+        }
+        items.push(`<li id="fn-${id}">\n${content}\n</li>`);
+    }
+    return `<section class="footnotes">\n<ol>\n${items.join('\n')}\n</ol>\n</section>`;
+}
+
+// Lines of a note outside fenced code, as [{ text, index }]
+function unfencedLines(lines) {
+    const result = [];
+    let fence = null;
+    lines.forEach((text, index) => {
+        const open = text.match(RE_FENCE_OPEN);
+        if (fence) {
+            const close = text.match(RE_FENCE_CLOSE);
+            if (close && close[1][0] === fence[0] && close[1].length >= fence.length) fence = null;
+        } else if (open && !(open[2][0] === '`' && open[3].includes('`'))) {
+            fence = open[2];
+        } else {
+            result.push({ text, index });
+        }
+    });
+    return result;
+}
+
+function headingText(text) {
+    return text.replace(/[ \t]+#+[ \t]*$|^[ \t]*#+[ \t]*$/, '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+// Remove Obsidian %% comments %%, inline or spanning lines, outside code.
+// Lines left empty by a comment are dropped so the text around it still joins.
+function stripComments(markdown) {
+    const result = [];
+    let fence = null;
+    let inComment = false;
+    for (const line of markdown.replace(/\r\n?/g, '\n').split('\n')) {
+        if (!inComment) {
+            const open = line.match(RE_FENCE_OPEN);
+            if (fence) {
+                const close = line.match(RE_FENCE_CLOSE);
+                if (close && close[1][0] === fence[0] && close[1].length >= fence.length) fence = null;
+                result.push(line);
+                continue;
+            }
+            if (open && !(open[2][0] === '`' && open[3].includes('`'))) {
+                fence = open[2];
+                result.push(line);
+                continue;
+            }
+        }
+
+        let text = '';
+        let commented = inComment;
+        for (let i = 0; i < line.length; i++) {
+            if (line.startsWith('%%', i)) {
+                inComment = !inComment;
+                commented = true;
+                i++;
+            } else if (!inComment && line[i] === '`') {
+                // Code spans are kept as written
+                const ticks = line.slice(i).match(/^`+/)[0];
+                const end = line.indexOf(ticks, i + ticks.length);
+                const span = end === -1 ? ticks : line.slice(i, end + ticks.length);
+                text += span;
+                i += span.length - 1;
+            } else if (!inComment) {
+                text += line[i];
+            }
+        }
+        if (!commented) {
+            result.push(line);
+        } else if (text.trim() !== '') {
+            result.push(text.trimEnd());
+        }
+    }
+    return result.join('\n');
+}
+
+// Inline #tags outside code, normalized and without duplicates
+function extractTags(markdown) {
+    const tags = [];
+    const lines = markdown.replace(/\r\n?/g, '\n').split('\n');
+    for (const { text } of unfencedLines(lines)) {
+        // Indented code blocks and code spans hold no tags
+        if (/^(?: {4}|\t)/.test(text)) continue;
+        const prose = text.replace(/(`+)[\s\S]*?\1/g, ' ');
+        const pattern = /(^|\s)(#[\p{L}\p{N}_/-]+)/gu;
+        let match;
+        while ((match = pattern.exec(prose))) {
+            const tagMatch = match[2].match(RE_TAG);
+            const tag = tagMatch && normalizeTag(tagMatch[1]);
+            if (tag && !tags.includes(tag)) tags.push(tag);
+        }
+    }
+    return tags;
+}
+
+// The markdown of the section under an ATX heading (up to the next heading of
+// the same or a higher level), for ![[Note#Heading]]; null when not found
+function extractSection(markdown, heading) {
+    const lines = markdown.replace(/\r\n?/g, '\n').split('\n');
+    const wanted = heading.trim().replace(/\s+/g, ' ').toLowerCase();
+    let start = null;
+    let level = 0;
+    for (const { text, index } of unfencedLines(lines)) {
+        const match = text.match(RE_ATX_HEADING);
+        if (!match) continue;
+        if (start !== null && match[1].length <= level) {
+            return lines.slice(start, index).join('\n').trim();
+        }
+        if (start === null && headingText(match[2]) === wanted) {
+            start = index;
+            level = match[1].length;
+        }
+    }
+    return start === null ? null : lines.slice(start).join('\n').trim();
+}
+
+// The markdown of the block marked "^id", for ![[Note#^id]]: a list item, the
+// paragraph ending with the id, or the block before an id on its own line
+function extractBlock(markdown, blockId) {
+    const lines = markdown.replace(/\r\n?/g, '\n').split('\n');
+    const marker = unfencedLines(lines).find(({ text }) => {
+        const match = (' ' + text).match(RE_BLOCK_ID);
+        return match && match[1] === blockId;
+    });
+    if (!marker) return null;
+
+    let start = marker.index;
+    let end = marker.index + 1;
+    const startsBlock = line => isBlank(line) || RE_ATX_HEADING.test(line) || RE_LIST_ITEM.test(line) ||
+        RE_FENCE_CLOSE.test(line) || RE_THEMATIC_BREAK.test(line);
+    if (/^[ \t]*\^[A-Za-z0-9-]+[ \t]*$/.test(lines[start])) {
+        end = start;
+        while (end > 0 && isBlank(lines[end - 1])) end--;
+        start = end;
+        while (start > 0 && !isBlank(lines[start - 1])) start--;
+    } else if (RE_LIST_ITEM.test(lines[start])) {
+        const indent = lines[start].match(/^[ \t]*/)[0].length;
+        while (end < lines.length && !isBlank(lines[end]) && lines[end].match(/^[ \t]*/)[0].length > indent) end++;
+    } else {
+        while (start > 0 && !startsBlock(lines[start]) && !startsBlock(lines[start - 1])) start--;
+    }
+    return lines.slice(start, end).join('\n').replace(/^[ \t]*\^[A-Za-z0-9-]+[ \t]*$/m, '').trim();
+}
+
+// Heading id: lowercase words joined by "-" ("The First Age!" -> "the-first-age")
+function slugify(text) {
+    return text.toLowerCase()
+        .replace(/[^\p{L}\p{N}\s_-]/gu, '')
+        .trim()
+        .replace(/\s+/g, '-') || 'section';
+}
+
+// Repeated headings get "-1", "-2"... suffixes, as on GitHub
+function uniqueHeadingId(slug, state) {
+    let id = slug;
+    for (let n = 1; state.headingIds.has(id); n++) {
+        id = `${slug}-${n}`;
+    }
+    state.headingIds.add(id);
+    return id;
+}
+
+function createState(options) {
+    return { options, refs: {}, footnotes: {}, footnoteOrder: [], headingIds: new Set(), headings: [] };
+}
+
+function parseDocument(md, state) {
+    const lines = md.replace(/\r\n?/g, '\n').replace(/\0/g, '�').replace(/\n$/, '').split('\n');
+    return parseBlocks(lines, state);
+}
+
+// Options:
+//   resolveWikiLink(link) - returns the note id a wikilink points to, null when
+//                           the target does not exist (rendered as missing), or
+//                           false when it is not published (rendered as plain text)
+//   wikiLinkHref(link, noteId) - href for a resolved wikilink (default "#")
+//   resolveAttachment(target, size) - for a vault file embedded with ![[target]] or
+//                           ![](target), returns { src, image, width, height, original }
+//                           or null; size is the requested { width, height } or null
+//   tagHref(tag)          - href for a #tag (default "#")
+//   renderEmbed(link)     - HTML for a ![[Note]] embed on its own line, or null to
+//                           render it inline (as an attachment or a link)
+//   linkSentence(link, noteId, sentence) - called for each wikilink rendered, with
+//                           what resolveWikiLink returned and the plain text of the
+//                           sentence around the link (for backlinks)
+//   headingIds            - give headings unique ids (see extractHeadings) and
+//                           block anchors their "^id"
+//   sanitize              - pass raw HTML through the allowlist of lib/html.js and
+//                           drop unsafe link schemes (default true; false keeps
+//                           them as written, for trusted markdown only)
+function markdownToHtml(md, options = {}) {
+    const state = createState(options);
+    const blocks = parseDocument(md, state);
+    const html = renderBlocks(blocks, state);
+    const footnotes = renderFootnotes(state);
+    return footnotes ? html + '\n' + footnotes : html;
+}
+
+// Render a single line of inline markdown, without a paragraph wrapper
+function inlineMarkdownToHtml(text, options = {}) {
+    return renderInlineText(text, createState(options));
+}
+
+// The headings of a document as [{ level, text, id }], with the ids
+// markdownToHtml gives them when headingIds is set
+function extractHeadings(md) {
+    const state = createState({ headingIds: true });
+    renderBlocks(parseDocument(md, state), state);
+    renderFootnotes(state);
+    return state.headings;
+}
+
+module.exports = {
+    markdownToHtml,
+    inlineMarkdownToHtml,
+    parseWikiLink,
+    extractSection,
+    extractBlock,
+    extractHeadings,
+    slugify,
+    extractTags,
+    normalizeTag,
+    stripComments,
+    escapeHtml
+};
@@ -0,0 +1,524 @@
+// LaTeX math to MathML at build time
+//
+// Covers the LaTeX used in notes: fractions, roots, scripts and limits,
+// Greek letters and symbols, fonts (\mathbb, \mathcal...), accents, \text,
+// \left...\right delimiters and the matrix, cases and aligned environments.
+// Browsers render MathML natively, so formulas need no script or font
+// download at view time. Anything else throws a MathError, and the formula
+// is shown as written.
+
+const { escapeHtml } = require('./html');
+
+class MathError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'MathError';
+    }
+}
+
+const GREEK = {
+    alpha: 'α', beta: 'β', gamma: 'γ', delta: 'δ', epsilon: 'ϵ', varepsilon: 'ε', zeta: 'ζ', eta: 'η', theta: 'θ',
+    vartheta: 'ϑ', iota: 'ι', kappa: 'κ', lambda: 'λ', mu: 'μ', nu: 'ν', xi: 'ξ', omicron: 'ο', pi: 'π', varpi: 'ϖ',
+    rho: 'ρ', varrho: 'ϱ', sigma: 'σ', varsigma: 'ς', tau: 'τ', upsilon: 'υ', phi: 'ϕ', varphi: 'φ', chi: 'χ',
+    psi: 'ψ', omega: 'ω', Gamma: 'Γ', Delta: 'Δ', Theta: 'Θ', Lambda: 'Λ', Xi: 'Ξ', Pi: 'Π', Sigma: 'Σ',
+    Upsilon: 'Υ', Phi: 'Φ', Psi: 'Ψ', Omega: 'Ω'
+};
+
+// Commands rendered as identifiers (<mi>)
+const IDENTIFIERS = {
+    ...GREEK,
+    infty: '∞', partial: '∂', nabla: '∇', hbar: 'ℏ', ell: 'ℓ', emptyset: '∅', varnothing: '∅', aleph: 'ℵ',
+    Re: 'ℜ', Im: 'ℑ', wp: '℘', imath: 'ı', jmath: 'ȷ', top: '⊤', bot: '⊥', angle: '∠', triangle: '△',
+    prime: '′', degree: '°', checkmark: '✓', dagger: '†', ddagger: '‡', S: '§', P: '¶'
+};
+
+// Commands rendered as operators (<mo>)
+const OPERATORS = {
+    times: '×', cdot: '⋅', div: '÷', pm: '±', mp: '∓', ast: '∗', star: '⋆', circ: '∘', bullet: '∙',
+    oplus: '⊕', ominus: '⊖', otimes: '⊗', odot: '⊙', setminus: '∖', wedge: '∧', land: '∧', vee: '∨', lor: '∨',
+    cap: '∩', cup: '∪', sqcap: '⊓', sqcup: '⊔', uplus: '⊎', neg: '¬', lnot: '¬',
+    leq: '≤', le: '≤', geq: '≥', ge: '≥', neq: '≠', ne: '≠', ll: '≪', gg: '≫', approx: '≈', equiv: '≡',
+    sim: '∼', simeq: '≃', cong: '≅', propto: '∝', doteq: '≐', prec: '≺', succ: '≻', preceq: '⪯', succeq: '⪰',
+    in: '∈', notin: '∉', ni: '∋', subset: '⊂', supset: '⊃', subseteq: '⊆', supseteq: '⊇', mid: '∣',
+    parallel: '∥', perp: '⊥', vdash: '⊢', dashv: '⊣', models: '⊨', forall: '∀', exists: '∃', nexists: '∄',
+    to: '→', rightarrow: '→', leftarrow: '←', gets: '←', leftrightarrow: '↔', Rightarrow: '⇒', Leftarrow: '⇐',
+    Leftrightarrow: '⇔', implies: '⟹', impliedby: '⟸', iff: '⟺', mapsto: '↦', longrightarrow: '⟶',
+    longleftarrow: '⟵', longmapsto: '⟼', uparrow: '↑', downarrow: '↓', updownarrow: '↕', Uparrow: '⇑',
+    Downarrow: '⇓', nearrow: '↗', searrow: '↘', nwarrow: '↖', swarrow: '↙', rightleftharpoons: '⇌',
+    hookrightarrow: '↪', hookleftarrow: '↩', therefore: '∴', because: '∵',
+    ldots: '…', cdots: '⋯', vdots: '⋮', ddots: '⋱', dots: '…', colon: ':',
+    langle: '⟨', rangle: '⟩', lfloor: '⌊', rfloor: '⌋', lceil: '⌈', rceil: '⌉', vert: '|', Vert: '‖',
+    lbrace: '{', rbrace: '}', lbrack: '[', rbrack: ']', backslash: '∖'
+};
+
+// Big operators, with limits below and above in display math
+const LARGE_OPERATORS = {
+    sum: '∑', prod: '∏', coprod: '∐', bigcup: '⋃', bigcap: '⋂', bigvee: '⋁', bigwedge: '⋀',
+    bigoplus: '⨁', bigotimes: '⨂', bigodot: '⨀', bigsqcup: '⨆', biguplus: '⨄'
+};
+
+// Integrals, with limits as scripts
+const INTEGRALS = { int: '∫', iint: '∬', iiint: '∭', oint: '∮' };
+
+// Named functions: upright names, limits below for the LIMIT_FUNCTIONS in display math
+const FUNCTIONS = ['sin', 'cos', 'tan', 'cot', 'sec', 'csc', 'arcsin', 'arccos', 'arctan', 'sinh', 'cosh', 'tanh', 'coth',
+    'log', 'ln', 'lg', 'exp', 'deg', 'dim', 'hom', 'ker', 'arg'];
+const LIMIT_FUNCTIONS = ['lim', 'liminf', 'limsup', 'max', 'min', 'sup', 'inf', 'det', 'gcd', 'Pr'];
+
+// Characters written directly that are operators; parentheses do not stretch
+// unless written with \left and \right
+const OPERATOR_CHARS = '+-=<>*/!,;:?|()[].@';
+const FENCE_CHARS = '()[]|';
+const CHAR_OPERATORS = { '-': '−', '*': '∗' };
+
+const SPACES = { ',': '0.1667em', ':': '0.2222em', '>': '0.2222em', ';': '0.2778em', ' ': '0.3333em', quad: '1em', qquad: '2em' };
+
+// Accents over (or under) their argument: [character, stretchy, under]
+const ACCENTS = {
+    hat: ['^', false], widehat: ['^', true], check: ['ˇ', false], tilde: ['~', false], widetilde: ['~', true],
+    bar: ['¯', false], overline: ['‾', true], underline: ['‾', true, true], vec: ['→', false], dot: ['˙', false],
+    ddot: ['¨', false], acute: ['´', false], grave: ['`', false], breve: ['˘', false],
+    overrightarrow: ['→', true], overleftarrow: ['←', true], overbrace: ['⏞', true], underbrace: ['⏟', true, true]
+};
+
+const FONTS = {
+    mathbb: 'double-struck', mathbf: 'bold', boldsymbol: 'bold', bm: 'bold', mathcal: 'script', mathscr: 'script',
+    mathfrak: 'fraktur', mathsf: 'sans-serif', mathtt: 'monospace', mathrm: 'normal', mathit: 'italic'
+};
+const TEXT_COMMANDS = ['text', 'textrm', 'textnormal', 'textit', 'textbf', 'mbox', 'hbox'];
+
+// Mathematical alphanumeric symbols: the first capital, small letter and digit
+// of each font, and the letters encoded elsewhere in Unicode
+const FONT_OFFSETS = {
+    bold: [0x1d400, 0x1d41a, 0x1d7ce], 'double-struck': [0x1d538, 0x1d552, 0x1d7d8],
+    script: [0x1d49c, 0x1d4b6], fraktur: [0x1d504, 0x1d51e], 'sans-serif': [0x1d5a0, 0x1d5ba, 0x1d7e2],
+    monospace: [0x1d670, 0x1d68a, 0x1d7f6]
+};
+const FONT_EXCEPTIONS = {
+    'double-struck': { C: 'ℂ', H: 'ℍ', N: 'ℕ', P: 'ℙ', Q: 'ℚ', R: 'ℝ', Z: 'ℤ' },
+    script: { B: 'ℬ', E: 'ℰ', F: 'ℱ', H: 'ℋ', I: 'ℐ', L: 'ℒ', M: 'ℳ', R: 'ℛ', e: 'ℯ', g: 'ℊ', o: 'ℴ' },
+    fraktur: { C: 'ℭ', H: 'ℌ', I: 'ℑ', R: 'ℜ', Z: 'ℨ' }
+};
+
+// Delimiters of the matrix environments
+const MATRICES = { matrix: ['', ''], smallmatrix: ['', ''], pmatrix: ['(', ')'], bmatrix: ['[', ']'], Bmatrix: ['{', '}'], vmatrix: ['|', '|'], Vmatrix: ['‖', '‖'] };
+const ALIGNED = ['aligned', 'align', 'align*', 'alignat', 'alignat*', 'split', 'gathered', 'gather', 'gather*', 'eqnarray', 'eqnarray*'];
+
+// Sizes of \big, \Big, \bigg and \Bigg delimiters
+const BIG_SIZES = { big: '1.2em', Big: '1.623em', bigg: '2.047em', Bigg: '2.470em' };
+
+// A letter or digit in a font ("double-struck" R is ℝ); normal and italic
+// letters are left to <mi>, which renders them
+function fontChar(ch, font) {
+    const offsets = FONT_OFFSETS[font];
+    if (!offsets) return ch;
+    if (FONT_EXCEPTIONS[font] && FONT_EXCEPTIONS[font][ch]) return FONT_EXCEPTIONS[font][ch];
+    const code = ch.charCodeAt(0);
+    if (ch >= 'A' && ch <= 'Z') return String.fromCodePoint(offsets[0] + code - 65);
+    if (ch >= 'a' && ch <= 'z') return String.fromCodePoint(offsets[1] + code - 97);
+    if (ch >= '0' && ch <= '9' && offsets[2]) return String.fromCodePoint(offsets[2] + code - 48);
+    return ch;
+}
+
+function mrow(items) {
+    return items.length === 1 ? items[0] : `<mrow>${items.join('')}</mrow>`;
+}
+
+function mo(text, attributes = '') {
+    return `<mo${attributes}>${escapeHtml(text)}</mo>`;
+}
+
+// Recursive descent parser over the TeX source. Atoms are { xml, limits,
+// apply }: limits puts scripts below and above, apply adds the invisible
+// function application operator after a function name and its scripts.
+class Parser {
+    constructor(tex) {
+        this.tex = tex;
+        this.pos = 0;
+        this.font = null;
+    }
+
+    fail(message) {
+        throw new MathError(message);
+    }
+
+    skipSpaces() {
+        while (this.pos < this.tex.length && /\s/.test(this.tex[this.pos])) this.pos++;
+    }
+
+    peek() {
+        this.skipSpaces();
+        return this.tex[this.pos];
+    }
+
+    // The name of the command at the current position ("\frac" -> "frac", "\," -> ",")
+    peekCommand() {
+        if (this.peek() !== '\\') return null;
+        const match = this.tex.slice(this.pos + 1).match(/^(?:operatorname\*|[A-Za-z]+|[\s\S])/);
+        return match ? match[0] : this.fail('a command is missing after "\\"');
+    }
+
+    readCommand() {
+        const name = this.peekCommand();
+        this.pos += 1 + name.length;
+        return name;
+    }
+
+    expect(ch) {
+        if (this.peek() !== ch) this.fail(`"${ch}" expected${this.pos < this.tex.length ? ` at "${this.tex.slice(this.pos, this.pos + 10)}"` : ' at the end'}`);
+        this.pos++;
+    }
+
+    // Raw text in braces, for \text, \operatorname and environment names
+    readBraced() {
+        this.expect('{');
+        let depth = 1;
+        const start = this.pos;
+        while (this.pos < this.tex.length) {
+            const ch = this.tex[this.pos];
+            if (ch === '\\') {
+                this.pos += 2;
+                continue;
+            }
+            if (ch === '{') depth++;
+            if (ch === '}' && --depth === 0) return this.tex.slice(start, this.pos++);
+            this.pos++;
+        }
+        return this.fail('unbalanced braces');
+    }
+
+    // Optional argument in brackets, \sqrt[3]{x}
+    readOptional() {
+        if (this.peek() !== '[') return null;
+        this.pos++;
+        const items = this.parseRow(']');
+        this.expect(']');
+        return mrow(items);
+    }
+
+    // Rows of cells separated by "\\" and "&", up to the end or \end
+    parseTable() {
+        const rows = [[]];
+        for (;;) {
+            rows[rows.length - 1].push(this.parseRow());
+            const command = this.peekCommand();
+            if (this.peek() === '&') {
+                this.pos++;
+            } else if (command === '\\') {
+                this.pos += 2;
+                // Row spacing "\\[4pt]" is ignored
+                if (this.peek() === '[') this.pos = this.tex.indexOf(']', this.pos) + 1 || this.tex.length;
+                rows.push([]);
+            } else {
+                break;
+            }
+        }
+        // A trailing "\\" leaves an empty last row
+        const last = rows[rows.length - 1];
+        if (rows.length > 1 && last.length === 1 && last[0].length === 0) rows.pop();
+        return rows;
+    }
+
+    renderTable(rows, className, columnAlign) {
+        const align = columnAlign ? ` columnalign="${columnAlign}"` : '';
+        const body = rows.map(row => `<mtr>${row.map(cell => `<mtd>${mrow(cell)}</mtd>`).join('')}</mtr>`).join('');
+        return `<mtable class="${className}"${align}>${body}</mtable>`;
+    }
+
+    // Atoms up to a closing brace, "&", "\\", \right, \end or the given character
+    parseRow(stop = null) {
+        const items = [];
+        for (;;) {
+            const ch = this.peek();
+            const command = this.peekCommand();
+            if (ch === undefined || ch === '}' || ch === '&' || ch === stop) break;
+            if (command === '\\' || command === 'right' || command === 'end') break;
+            const atom = this.parseAtom();
+            if (atom) items.push(this.parseScripts(atom));
+        }
+        return items;
+    }
+
+    // Subscripts, superscripts and primes after an atom; \limits and
+    // \nolimits choose where the scripts of an operator go
+    parseScripts(atom) {
+        let { xml, limits } = atom;
+        let sub = null;
+        let sup = null;
+        let primes = 0;
+        for (;;) {
+            const ch = this.peek();
+            const command = this.peekCommand();
+            if (command === 'limits' || command === 'nolimits') {
+                this.readCommand();
+                limits = command === 'limits';
+                xml = xml.replace('movablelimits="true"', 'movablelimits="false"');
+            } else if (ch === '^' || ch === '_') {
+                this.pos++;
+                if ((ch === '^' ? sup : sub) !== null) this.fail(`double ${ch === '^' ? 'superscript' : 'subscript'}`);
+                const argument = this.parseArgument();
+                if (ch === '^') sup = argument;
+                else sub = argument;
+            } else if (ch === '\'' && sup === null) {
+                while (this.tex[this.pos] === '\'') {
+                    primes++;
+                    this.pos++;
+                }
+            } else {
+                break;
+            }
+        }
+        // f'^2: the primes come first in the superscript
+        if (primes > 0) {
+            const prime = mo(['′', '″', '‴'][primes - 1] || '′'.repeat(primes));
+            sup = sup === null ? prime : `<mrow>${prime}${sup}</mrow>`;
+        }
+
+        if (sub !== null || sup !== null) {
+            const [under, over, both] = limits ? ['munder', 'mover', 'munderover'] : ['msub', 'msup', 'msubsup'];
+            if (sub !== null && sup !== null) xml = `<${both}>${xml}${sub}${sup}</${both}>`;
+            else if (sub !== null) xml = `<${under}>${xml}${sub}</${under}>`;
+            else xml = `<${over}>${xml}${sup}</${over}>`;
+        }
+        return atom.apply ? xml + '<mo>&#x2061;</mo>' : xml;
+    }
+
+    // A script or command argument: a group, a command or a single character
+    parseArgument() {
+        const ch = this.peek();
+        if (ch === undefined) this.fail('an argument is missing at the end');
+        if (ch === '{') return this.parseGroup();
+        if (ch === '\\') {
+            const atom = this.parseAtom();
+            return atom ? atom.xml : '<mrow></mrow>';
+        }
+        this.pos++;
+        // x^23 is x squared then 3: a script takes one digit
+        return this.renderChar(ch, false).xml;
+    }
+
+    parseGroup() {
+        this.expect('{');
+        const items = this.parseRow();
+        this.expect('}');
+        return `<mrow>${items.join('')}</mrow>`;
+    }
+
+    // A group in a font: \mathbb{R}, \mathrm{kg}
+    parseFont(font) {
+        const outer = this.font;
+        this.font = font;
+        const xml = this.parseArgument();
+        this.font = outer;
+        return xml;
+    }
+
+    renderChar(ch, wholeNumber = true) {
+        if (/[0-9]/.test(ch)) {
+            // Numbers are read whole, with their decimal part
+            const number = wholeNumber ? ch + this.tex.slice(this.pos).match(/^[0-9]*(?:\.[0-9]+)?/)[0] : ch;
+            this.pos += number.length - 1;
+            const text = this.font ? Array.from(number, digit => fontChar(digit, this.font)).join('') : number;
+            return { xml: `<mn>${text}</mn>` };
+        }
+        if (/\p{L}/u.test(ch)) {
+            if (this.font === 'normal') {
+                // Upright letters are read as one word, \mathrm{kg}
+                const word = ch + this.tex.slice(this.pos).match(/^[A-Za-z]*/)[0];
+                this.pos += word.length - 1;
+                return { xml: `<mi mathvariant="normal">${escapeHtml(word)}</mi>` };
+            }
+            return { xml: `<mi>${escapeHtml(this.font ? fontChar(ch, this.font) : ch)}</mi>` };
+        }
+        if (ch === '{' || ch === '}') this.fail('unbalanced braces');
+        if (ch === '~') return { xml: `<mspace width="${SPACES[' ']}"></mspace>` };
+        if (OPERATOR_CHARS.includes(ch)) {
+            return { xml: mo(CHAR_OPERATORS[ch] || ch, FENCE_CHARS.includes(ch) ? ' stretchy="false"' : '') };
+        }
+        if (ch === '^' || ch === '_') this.fail(`"${ch}" has no base`);
+        return { xml: mo(ch) };
+    }
+
+    // A delimiter after \left, \right or \big: "(", "\{", "\langle", "." (none)
+    readDelimiter(command) {
+        const ch = this.peek();
+        if (ch === undefined) this.fail(`a delimiter is missing after \\${command}`);
+        if (ch !== '\\') {
+            this.pos++;
+            if (ch === '.') return '';
+            if (!'()[]|/<>'.includes(ch)) this.fail(`"${ch}" is not a delimiter`);
+            return ch === '<' ? '⟨' : ch === '>' ? '⟩' : ch;
+        }
+        const name = this.readCommand();
+        if (name === '{' || name === '}') return name;
+        if (name === '|') return '‖';
+        if (OPERATORS[name] && /^[⟨⟩⌊⌋⌈⌉|‖{}[\]↑↓↕⇑⇓∖]$/.test(OPERATORS[name])) return OPERATORS[name];
+        return this.fail(`\\${name} is not a delimiter`);
+    }
+
+    parseEnvironment() {
+        const name = this.readBraced().trim();
+        // The column specification of array and alignat is not used
+        if (name === 'array' || name.startsWith('alignat')) this.readBraced();
+        const rows = this.parseTable();
+        if (this.peekCommand() !== 'end') this.fail(`\\begin{${name}} is not closed`);
+        this.readCommand();
+        const end = this.readBraced().trim();
+        if (end !== name) this.fail(`\\begin{${name}} is closed by \\end{${end}}`);
+
+        if (MATRICES[name] || name === 'array') {
+            const [open, close] = MATRICES[name] || ['', ''];
+            const table = this.renderTable(rows, 'math-matrix');
+            return open ? mrow([mo(open), table, mo(close)]) : table;
+        }
+        if (name === 'cases') {
+            return mrow([mo('{'), this.renderTable(rows, 'math-cases', 'left left')]);
+        }
+        if (ALIGNED.includes(name)) {
+            const gathered = name.startsWith('gather');
+            return this.renderTable(rows, gathered ? 'math-gathered' : 'math-aligned', gathered ? null : 'right left right left right left');
+        }
+        return this.fail(`the ${name} environment is not supported`);
+    }
+
+    // One atom; null for commands that render nothing (\displaystyle)
+    parseAtom() {
+        if (this.peek() === '{') return { xml: this.parseGroup() };
+        if (this.peek() !== '\\') {
+            const ch = this.tex[this.pos++];
+            return this.renderChar(ch);
+        }
+
+        const command = this.readCommand();
+        if (Object.hasOwn(IDENTIFIERS, command)) {
+            // Capital Greek letters are upright
+            const upright = /^[A-Z]/.test(command) && GREEK[command] ? ' mathvariant="normal"' : '';
+            return { xml: `<mi${upright}>${IDENTIFIERS[command]}</mi>` };
+        }
+        if (Object.hasOwn(OPERATORS, command)) return { xml: mo(OPERATORS[command]) };
+        if (Object.hasOwn(LARGE_OPERATORS, command)) return { xml: mo(LARGE_OPERATORS[command], ' movablelimits="true"'), limits: true };
+        if (Object.hasOwn(INTEGRALS, command)) return { xml: mo(INTEGRALS[command]) };
+        if (FUNCTIONS.includes(command)) return { xml: `<mi>${command}</mi>`, apply: true };
+        if (LIMIT_FUNCTIONS.includes(command)) {
+            const name = command.replace(/^lim(inf|sup)$/, 'lim $1');
+            return { xml: mo(name, ' movablelimits="true"'), limits: true, apply: true };
+        }
+        if (Object.hasOwn(SPACES, command)) return { xml: `<mspace width="${SPACES[command]}"></mspace>` };
+        if (Object.hasOwn(FONTS, command)) return { xml: this.parseFont(FONTS[command]) };
+        if (Object.hasOwn(ACCENTS, command)) {
+            const [accent, stretchy, under] = ACCENTS[command];
+            const base = this.parseArgument();
+            const symbol = mo(accent, ` stretchy="${stretchy}"`);
+            const braces = command === 'overbrace' || command === 'underbrace';
+            if (under) return { xml: `<munder${braces ? '' : ' accentunder="true"'}>${base}${symbol}</munder>`, limits: braces };
+            return { xml: `<mover${braces ? '' : ' accent="true"'}>${base}${symbol}</mover>`, limits: braces };
+        }
+        if (Object.hasOwn(BIG_SIZES, command.replace(/[lmr]$/, ''))) {
+            const size = BIG_SIZES[command.replace(/[lmr]$/, '')];
+            const delimiter = this.readDelimiter(command);
+            return { xml: delimiter ? mo(delimiter, ` stretchy="true" minsize="${size}" maxsize="${size}"`) : '' };
+        }
+
+        switch (command) {
+            case '!':
+            case 'displaystyle':
+            case 'textstyle':
+            case 'scriptstyle':
+            case 'hline':
+                return null;
+            case '{':
+            case '}':
+                return { xml: mo(command, ' stretchy="false"') };
+            case '|':
+                return { xml: mo('‖', ' stretchy="false"') };
+            case '%':
+            case '$':
+            case '#':
+            case '&':
+            case '_':
+                return { xml: mo(command) };
+            case 'frac':
+            case 'dfrac':
+            case 'tfrac':
+            case 'cfrac': {
+                const numerator = this.parseArgument();
+                return { xml: `<mfrac>${numerator}${this.parseArgument()}</mfrac>` };
+            }
+            case 'binom':
+            case 'dbinom':
+            case 'tbinom': {
+                const top = this.parseArgument();
+                return { xml: mrow([mo('('), `<mfrac linethickness="0">${top}${this.parseArgument()}</mfrac>`, mo(')')]) };
+            }
+            case 'sqrt': {
+                const index = this.readOptional();
+                const radicand = this.parseArgument();
+                return { xml: index ? `<mroot>${radicand}${index}</mroot>` : `<msqrt>${radicand}</msqrt>` };
+            }
+            case 'not': {
+                const atom = this.parseAtom();
+                if (!atom || !/^<mo[^>]*>[^<]+<\/mo>$/.test(atom.xml)) this.fail('\\not must be followed by a relation');
+                return { xml: atom.xml.replace('</mo>', '̸</mo>') };
+            }
+            case 'left': {
+                const open = this.readDelimiter(command);
+                const items = this.parseRow();
+                if (this.peekCommand() !== 'right') this.fail('\\left without \\right');
+                this.readCommand();
+                const close = this.readDelimiter('right');
+                return { xml: `<mrow>${mo(open, ' fence="true"')}${items.join('')}${mo(close, ' fence="true"')}</mrow>` };
+            }
+            case 'middle':
+                return { xml: mo(this.readDelimiter(command), ' stretchy="true"') };
+            case 'operatorname':
+            case 'operatorname*': {
+                const name = this.readBraced().replace(/\\,/g, ' ').trim();
+                if (command === 'operatorname*') return { xml: mo(name, ' movablelimits="true"'), limits: true, apply: true };
+                return { xml: `<mi>${escapeHtml(name)}</mi>`, apply: true };
+            }
+            case 'begin':
+                return { xml: this.parseEnvironment() };
+            case 'mod':
+            case 'bmod':
+                return { xml: mo('mod') };
+            case 'pmod':
+                return { xml: mrow([mo('('), mo('mod'), this.parseArgument(), mo(')')]) };
+            default:
+                break;
+        }
+
+        if (TEXT_COMMANDS.includes(command)) {
+            const text = this.readBraced().replace(/\\([{}$%&#_ ])/g, '$1');
+            const variant = command === 'textit' ? ' mathvariant="italic"' : command === 'textbf' ? ' mathvariant="bold"' : '';
+            return { xml: `<mtext${variant}>${escapeHtml(text)}</mtext>` };
+        }
+        return this.fail(`\\${command} is not supported`);
+    }
+
+    // The whole formula; lines split by "\\" are stacked, centered
+    parse() {
+        const rows = this.parseTable();
+        if (this.pos < this.tex.length) {
+            const rest = this.tex.slice(this.pos, this.pos + 10);
+            this.fail(rest.startsWith('}') ? 'unbalanced braces' : `unexpected "${rest}"`);
+        }
+        if (rows.length === 1 && rows[0].length === 1) return mrow(rows[0][0]);
+        return this.renderTable(rows, 'math-gathered');
+    }
+}
+
+// MathML of a formula, written inline ($...$) or as a block ($$...$$); throws
+// a MathError when it cannot be rendered. The TeX source is kept as an
+// annotation, so copying the formula copies its source.
+function renderMath(tex, display = false) {
+    if (!tex.trim()) throw new MathError('the formula is empty');
+    const xml = new Parser(tex).parse();
+    const body = xml.startsWith('<mrow>') ? xml : `<mrow>${xml}</mrow>`;
+    return `<math xmlns="http://www.w3.org/1998/Math/MathML"${display ? ' display="block"' : ''}>` +
+        `<semantics>${body}<annotation encoding="application/x-tex">${escapeHtml(tex.trim())}</annotation></semantics></math>`;
+}
+
+module.exports = {
+    renderMath,
+    MathError
+};
@@ -0,0 +1,64 @@
+// Full-text search index
+//
+// Built once at build time and shipped with the page: an inverted index from
+// each term to the notes containing it, scored by the field it appears in.
+
+const FIELD_WEIGHTS = { title: 10, tags: 5, headings: 5, body: 1 };
+
+// Lowercase, strip diacritics and split into words (the page uses the same rules)
+function tokenize(text) {
+    return text.toLowerCase()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(token => token.length > 1);
+}
+
+function htmlToText(html) {
+    return html
+        .replace(/<(script|style|annotation)[\s\S]*?<\/\1>/gi, ' ')
+        .replace(/<[^>]+>/g, ' ')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, '\'')
+        .replace(/&amp;/g, '&')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// Returns { docs: [{ id, title, path, text }], terms: { term: [[docIndex, score], ...] } }
+function buildSearchIndex(notes) {
+    const docs = [];
+    const terms = Object.create(null);
+
+    Object.keys(notes).forEach((noteId, docIndex) => {
+        const note = notes[noteId];
+        const headings = (note.content.match(/<h[1-6][^>]*>[\s\S]*?<\/h[1-6]>/g) || []).map(htmlToText);
+        const body = htmlToText(note.content);
+        const fields = { title: note.name, tags: note.tags.join(' '), headings: headings.join(' '), body };
+
+        // Score = field weight scaled by the log of the term frequency
+        const scores = Object.create(null);
+        for (const field in fields) {
+            const counts = Object.create(null);
+            tokenize(fields[field]).forEach(token => { counts[token] = (counts[token] || 0) + 1; });
+            for (const token in counts) {
+                scores[token] = (scores[token] || 0) + FIELD_WEIGHTS[field] * (1 + Math.log(counts[token]));
+            }
+        }
+        for (const token in scores) {
+            (terms[token] = terms[token] || []).push([docIndex, Math.round(scores[token] * 100) / 100]);
+        }
+
+        docs.push({ id: noteId, title: note.name, path: note.path, text: body });
+    });
+
+    return { docs, terms };
+}
+
+module.exports = {
+    buildSearchIndex,
+    tokenize,
+    htmlToText
+};
@@ -0,0 +1,440 @@
+// Page output
+//
+// renderSite turns a rendered vault (see lib/vault.js) into the files of the
+// single-file wiki or of the multi-page site, kept in memory until writeSite
+// writes them with the attachments the notes use.
+
+const fs = require('fs');
+const path = require('path');
+const { escapeHtml } = require('./markdown');
+const { buildSearchIndex, htmlToText } = require('./search');
+const { loadGraphSettings, buildGraph } = require('./graph');
+const { writeMedia } = require('./attachments');
+const { saveCache } = require('./cache');
+const { MEDIA_DIR, SILENT_LOGGER, renderVault, buildTagIndex, renderTagChip, pageRoot, pageUrl, tagPageUrl } = require('./vault');
+
+const CLIENT_DIR = path.join(__dirname, 'client');
+
+// Changes listed on the "Recently changed" page
+const MAX_RECENT_CHANGES = 50;
+
+// Written into the multi-page site's folder by writeSite only, so that the folder
+// of an earlier build, and no other, can be replaced
+const OUTPUT_MARKER = '.build-wiki';
+
+// Read a stylesheet or script shared by both output modes
+function readClientAsset(name) {
+    return fs.readFileSync(path.join(CLIENT_DIR, name), 'utf-8');
+}
+
+// JSON that is safe inside a <script> element
+function scriptJson(value) {
+    return JSON.stringify(value).replace(/</g, '\\u003c');
+}
+
+function indent(text, spaces) {
+    const padding = ' '.repeat(spaces);
+    return text.replace(/^(?=.)/gm, padding);
+}
+
+// Stylesheet of the configured fonts, connecting early to Google Fonts' servers
+function renderFontLinks(config) {
+    const url = config.fonts.url;
+    if (!url) return '';
+    const preconnect = new URL(url).hostname === 'fonts.googleapis.com'
+        ? '\n    <link rel="preconnect" href="https://fonts.googleapis.com">\n    <link rel="preconnect" href="https://fonts.gstatic.com" crossorigin>'
+        : '';
+    return `${preconnect}\n    <link href="${escapeHtml(url)}" rel="stylesheet">`;
+}
+
+// Configured fonts and theme colors, overriding the variables of wiki.css
+function renderThemeStyle(config) {
+    const variables = values => Object.keys(values).map(name => `--${name}: ${values[name]};`).join(' ');
+    const light = Object.assign({ 'font-body': config.fonts.body, 'font-heading': config.fonts.heading }, config.theme.light);
+    let rules = `        :root { ${variables(light)} }`;
+    if (Object.keys(config.theme.dark).length > 0) {
+        rules += `\n        [data-theme="dark"] { ${variables(config.theme.dark)} }`;
+    }
+    return `    <style>\n${rules}\n    </style>`;
+}
+
+// Page skeleton shared by the single-file wiki and the multi-page site
+function renderPage(config, page) {
+    const description = page.description ? `\n    <meta name="description" content="${escapeHtml(page.description)}">` : '';
+    const siteName = page.home ? `<a href="${page.home}">${escapeHtml(config.title)}</a>` : escapeHtml(config.title);
+    const canonical = config.baseUrl && page.url !== undefined ? `\n    <link rel="canonical" href="${escapeHtml(config.baseUrl + page.url)}">` : '';
+    const tagOptions = Object.keys(page.tagIndex).map(tag =>
+        `<option value="${escapeHtml(tag)}">#${escapeHtml(tag)} (${page.tagIndex[tag].length})</option>`);
+    const recentLink = page.recentUrl ? `\n        <a class="recent-link" id="recentLink" href="${page.recentUrl}">Recently changed</a>` : '';
+    const tagFilter = tagOptions.length === 0 ? '' : `
+        <select class="tag-filter" id="tagFilter" aria-label="Filter notes by tag">
+            <option value="">All notes</option>
+            ${tagOptions.join('\n            ')}
+        </select>`;
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(page.title)}</title>${description}${canonical}${renderFontLinks(config)}
+${page.styles}
+${renderThemeStyle(config)}
+</head>
+<body data-theme="light"${page.bodyAttributes || ''}>
+    <header>
+        <div class="header-left">
+            <button class="sidebar-toggle" id="sidebarToggle" aria-label="Toggle sidebar">☰</button>
+            <h1>${siteName}</h1>
+        </div>
+        <div class="search">
+            <input type="search" id="searchInput" placeholder="Search notes..." aria-label="Search notes" autocomplete="off">
+            <ul class="search-results" id="searchResults"></ul>
+        </div>
+        <div class="header-right">
+            <button class="graph-toggle" id="graphToggle" aria-label="Toggle graph view" title="Graph view">🕸️</button>
+            <button class="theme-toggle" id="themeToggle" aria-label="Toggle theme">🌙</button>
+        </div>
+    </header>
+
+    <aside class="sidebar" id="sidebar">
+        <h2>Vault</h2>${recentLink}${tagFilter}
+        <ul class="file-tree" id="fileTree">${page.tree || ''}</ul>
+    </aside>
+
+    <div class="graph-view" id="graphView">
+        <canvas id="graphCanvas"></canvas>
+        <div class="graph-controls">
+            <label><input type="checkbox" id="graphLocal"> Local graph</label>
+        </div>
+    </div>
+
+    <main class="main-content" id="mainContent">
+${page.main}
+    </main>
+
+${page.scripts}
+</body>
+</html>`;
+}
+
+const EMPTY_STATE = `        <div class="empty-state" id="emptyState">
+            <h2>Welcome</h2>
+            <p>Select a note from the sidebar to begin.</p>
+        </div>`;
+
+// What the client script needs of each note: the markdown and properties stay
+// out of the page, so nothing hidden from the rendered note (unpublished link
+// targets...) is shipped with it. The dates and changelog are HTML, empty for
+// notes without history.
+function clientNotes(vault) {
+    const { notes, history } = vault;
+    const result = {};
+    for (const noteId in notes) {
+        const { name, path: notePath, content, tags, backlinks } = notes[noteId];
+        const dates = history[noteId] ? renderPageDates(history[noteId]) : '';
+        const changelog = history[noteId] ? renderChangelog(history[noteId]) : '';
+        result[noteId] = { name, path: notePath, content, tags, backlinks, dates, changelog };
+    }
+    return result;
+}
+
+// Latest changes to the notes, newest first: [{ noteId, date, author, added, removed }]
+function recentChanges(vault) {
+    const changes = [];
+    for (const noteId in vault.history) {
+        vault.history[noteId].changes.forEach(({ date, author, added, removed }) => changes.push({ noteId, date, author, added, removed }));
+    }
+    return changes
+        .sort((a, b) => Date.parse(b.date) - Date.parse(a.date) || a.noteId.localeCompare(b.noteId))
+        .slice(0, MAX_RECENT_CHANGES);
+}
+
+// Single-file wiki: every note is embedded and shown by the client script
+function generateHTML(vault) {
+    const { config, notes } = vault;
+    const searchIndex = buildSearchIndex(notes);
+    const graph = buildGraph(notes, loadGraphSettings(config.vault, vault.logger));
+    const recent = recentChanges(vault);
+
+    return renderPage(config, {
+        title: config.title,
+        url: '',
+        recentUrl: recent.length > 0 ? '#recent' : null,
+        tagIndex: buildTagIndex(vault),
+        styles: `    <style>\n${indent(readClientAsset('wiki.css'), 8)}    </style>`,
+        main: `${EMPTY_STATE}\n        <div id="notesContainer"></div>`,
+        scripts: `    <script>
+        const notes = ${scriptJson(clientNotes(vault))};
+        const structure = ${scriptJson(vault.structure)};
+        const searchIndex = ${scriptJson(searchIndex)};
+        const graph = ${scriptJson(graph)};
+        const recentChanges = ${scriptJson(recent)};
+${indent(readClientAsset('wiki.js'), 8)}    </script>`
+    });
+}
+
+// Sidebar tree as plain links, so the site can be browsed without JavaScript
+function renderTree(vault, items, currentNoteId, root) {
+    return items.map(item => {
+        if (item.type === 'folder') {
+            return `<li class="folder" data-path="${escapeHtml(item.path)}">${escapeHtml(item.name)}<ul>${renderTree(vault, item.children, currentNoteId, root)}</ul></li>`;
+        }
+        const active = item.noteId === currentNoteId ? ' active' : '';
+        return `<li class="file${active}" data-note-id="${escapeHtml(item.noteId)}" data-tags="${escapeHtml(vault.notes[item.noteId].tags.join(' '))}" title="${escapeHtml(item.path)}">` +
+            `<a href="${root}${pageUrl(vault, item.noteId)}">${escapeHtml(item.name)}</a></li>`;
+    }).join('');
+}
+
+// Tag page listing the notes tagged with it (or a nested tag), the static
+// counterpart of renderTagPage in the client script
+function renderTagPage(vault, tag, tagIndex, root) {
+    const { notes } = vault;
+    const noteIds = tagIndex[tag].slice().sort((a, b) => notes[a].name.localeCompare(notes[b].name));
+    const items = noteIds.map(noteId => `<li><a href="${root}${pageUrl(vault, noteId)}" class="wikilink" data-note-id="${escapeHtml(noteId)}">` +
+        `${escapeHtml(notes[noteId].name)}</a> <span class="tag-page-path">${escapeHtml(notes[noteId].path)}</span></li>`);
+    const nested = Object.keys(tagIndex).filter(other => other.startsWith(tag + '/'));
+    const nestedChips = nested.length === 0 ? ''
+        : `\n<div class="tags">Nested tags: ${nested.map(other => renderTagChip(other, { tagHref: t => root + tagPageUrl(t) })).join(' ')}</div>`;
+    return `<h1>#${escapeHtml(tag)}</h1>\n<p class="tag-page-count">${noteIds.length} note${noteIds.length === 1 ? '' : 's'}</p>` +
+        `\n<ul class="tag-page-notes">\n${items.join('\n')}\n</ul>${nestedChips}`;
+}
+
+// "Linked from" section, the static counterpart of renderBacklinks in the client script
+function renderBacklinks(vault, note, root) {
+    if (note.backlinks.length === 0) return '';
+    const items = note.backlinks.map(backlink => `<li><a href="${root}${pageUrl(vault, backlink.noteId)}" class="wikilink" ` +
+        `data-note-id="${escapeHtml(backlink.noteId)}" title="${escapeHtml(backlink.noteId)}">${escapeHtml(vault.notes[backlink.noteId].name)}</a>` +
+        `<div class="backlink-context">${escapeHtml(backlink.context)}</div></li>`);
+    return `\n<section class="backlinks">\n<div class="backlinks-title">Linked from</div>\n<ul>\n${items.join('\n')}\n</ul>\n</section>`;
+}
+
+// Day of an ISO 8601 date, as its author saw it
+function renderDate(date) {
+    return `<time datetime="${escapeHtml(date)}">${escapeHtml(date.slice(0, 10))}</time>`;
+}
+
+function renderDiffStat(change) {
+    return `<span class="diff-stat"><span class="diff-added">+${change.added}</span> <span class="diff-removed">−${change.removed}</span></span>`;
+}
+
+// Created and last updated dates and contributors, above a note's content
+function renderPageDates(history) {
+    const updated = history.updated !== history.created ? ` · Updated ${renderDate(history.updated)}` : '';
+    const authors = history.authors.map(author => escapeHtml(author.name)).join(', ');
+    return `<p class="page-dates">Created ${renderDate(history.created)}${updated} · By ${authors}</p>\n`;
+}
+
+const DIFF_LINE_CLASSES = { ' ': '', '-': ' diff-del', '+': ' diff-add' };
+
+// Changes of a note's latest revisions, each with its diff in a collapsed section
+function renderChangelog(history) {
+    if (history.changes.length === 0) return '';
+    const items = history.changes.map(change => {
+        const lines = change.hunks.flatMap(hunk => [
+            `<span class="diff-line diff-hunk">@@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@</span>`,
+            ...hunk.lines.map(([type, line]) => `<span class="diff-line${DIFF_LINE_CLASSES[type]}">${type}${escapeHtml(line)}</span>`)
+        ]);
+        return `<li><details><summary>${renderDate(change.date)} · ${escapeHtml(change.author)} ${renderDiffStat(change)}</summary>` +
+            `<pre class="diff"><code>${lines.join('\n')}</code></pre></details></li>`;
+    });
+    return `\n<section class="changelog">\n<div class="changelog-title">History</div>\n<ul>\n${items.join('\n')}\n</ul>\n</section>`;
+}
+
+// "Recently changed" page, the changes grouped by day; the static counterpart
+// of showRecent in the client script
+function renderRecentPage(vault, changes, root) {
+    const days = [];
+    changes.forEach(change => {
+        const day = change.date.slice(0, 10);
+        if (days.length === 0 || days[days.length - 1].day !== day) days.push({ day, changes: [] });
+        days[days.length - 1].changes.push(change);
+    });
+    const sections = days.map(({ day, changes: dayChanges }) => `<h2 class="recent-day">${escapeHtml(day)}</h2>\n<ul class="recent-changes">\n` +
+        dayChanges.map(change => `<li><a href="${root}${pageUrl(vault, change.noteId)}" class="wikilink" data-note-id="${escapeHtml(change.noteId)}">` +
+            `${escapeHtml(vault.notes[change.noteId].name)}</a> <span class="recent-author">by ${escapeHtml(change.author)}</span> ${renderDiffStat(change)}</li>`).join('\n') +
+        '\n</ul>');
+    return `<h1>Recently changed</h1>\n${sections.join('\n')}`;
+}
+
+// Navigation manifest for tools and crawlers: every note and the folder tree with page URLs
+function buildManifest(vault, tagIndex, recent) {
+    const { notes, history } = vault;
+    const withUrls = items => items.map(item => item.type === 'folder'
+        ? { type: 'folder', name: item.name, path: item.path, children: withUrls(item.children) }
+        : { type: 'file', name: item.name, path: item.path, noteId: item.noteId, url: pageUrl(vault, item.noteId) });
+
+    return {
+        title: vault.config.title,
+        notes: Object.keys(notes).map(noteId => Object.assign(
+            { id: noteId, name: notes[noteId].name, url: pageUrl(vault, noteId), tags: notes[noteId].tags },
+            history[noteId] && { created: history[noteId].created, updated: history[noteId].updated })),
+        tags: Object.entries(tagIndex).map(([tag, noteIds]) => ({ tag, url: tagPageUrl(tag), notes: noteIds })),
+        recent: recent.length > 0 ? 'recent.html' : null,
+        tree: withUrls(vault.structure)
+    };
+}
+
+class SiteError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SiteError';
+    }
+}
+
+// Notes whose page would take the path of a page the site generates or fall in
+// its assets folder (compared without case, as on case-insensitive file
+// systems), as "path (page)" strings
+function findPageConflicts(vault, tagIndex, recent) {
+    const generated = new Map([['index.html', 'the home page']]);
+    if (recent.length > 0) generated.set('recent.html', 'the recently changed page');
+    Object.keys(tagIndex).forEach(tag => generated.set(`tags/${tag}.html`.toLowerCase(), `the page of #${tag}`));
+    const generatedPage = noteId => {
+        const file = `${noteId}.html`.toLowerCase();
+        return generated.get(file) || (file.startsWith('assets/') ? 'the assets folder' : null);
+    };
+    return Object.keys(vault.notes)
+        .filter(generatedPage)
+        .map(noteId => `${vault.notes[noteId].path} (${generatedPage(noteId)})`);
+}
+
+// An output directory can be replaced if it is empty or holds a previous build
+function isReplaceableOutputDir(outputDir) {
+    if (!fs.existsSync(outputDir)) return true;
+    return fs.readdirSync(outputDir).length === 0 || fs.existsSync(path.join(outputDir, OUTPUT_MARKER));
+}
+
+// Multi-page site: one static page per note sharing the client assets, as a Map
+// of site-relative path -> contents. Fails with a SiteError when a note's page
+// would replace a generated one.
+function generatePages(vault) {
+    const { config, notes, structure } = vault;
+    const files = new Map();
+    const searchIndex = buildSearchIndex(notes);
+    const graph = buildGraph(notes, loadGraphSettings(config.vault, vault.logger));
+    const tagIndex = buildTagIndex(vault);
+    const recent = recentChanges(vault);
+
+    const conflicts = findPageConflicts(vault, tagIndex, recent);
+    if (conflicts.length > 0) {
+        throw new SiteError(`${conflicts.length} note(s) have the path of a generated page, rename or exclude them:\n` +
+            conflicts.map(conflict => `  - ${conflict}`).join('\n'));
+    }
+
+    files.set('assets/wiki.css', readClientAsset('wiki.css'));
+    files.set('assets/wiki.js', readClientAsset('wiki.js'));
+    files.set('assets/search-index.js', `const searchIndex = ${scriptJson(searchIndex)};\n`);
+    files.set('assets/graph.js', `const graph = ${scriptJson(graph)};\n`);
+    files.set('manifest.json', JSON.stringify(buildManifest(vault, tagIndex, recent), null, 2) + '\n');
+
+    const addPage = (file, root, noteId, page) => {
+        const noteAttribute = noteId ? ` data-note-id="${escapeHtml(noteId)}"` : '';
+        files.set(file, renderPage(config, Object.assign({
+            home: `${root}index.html`,
+            bodyAttributes: ` data-root="${root}"${noteAttribute}`,
+            styles: `    <link rel="stylesheet" href="${root}assets/wiki.css">`,
+            tree: renderTree(vault, structure, noteId, root),
+            recentUrl: recent.length > 0 ? `${root}recent.html` : null,
+            tagIndex,
+            scripts: ['search-index.js', 'graph.js', 'wiki.js']
+                .map(asset => `    <script src="${root}assets/${asset}"></script>`)
+                .join('\n')
+        }, page)));
+    };
+
+    addPage('index.html', '', null, { title: config.title, url: '', main: EMPTY_STATE });
+
+    for (const noteId in notes) {
+        const note = notes[noteId];
+        const root = pageRoot(noteId);
+        const text = htmlToText(note.content);
+        const history = vault.history[noteId];
+        const dates = history ? renderPageDates(history) : '';
+        const changelog = history ? renderChangelog(history) : '';
+        addPage(noteId + '.html', root, noteId, {
+            title: `${note.name} - ${config.title}`,
+            url: pageUrl(vault, noteId),
+            description: text.length > 160 ? text.slice(0, 159) + '…' : text,
+            main: `        <div class="note-content active">\n${dates}${note.content}${renderBacklinks(vault, note, root)}${changelog}\n        </div>`
+        });
+    }
+
+    if (recent.length > 0) {
+        addPage('recent.html', '', null, {
+            title: `Recently changed - ${config.title}`,
+            url: 'recent.html',
+            main: `        <div class="note-content active recent-page">\n${renderRecentPage(vault, recent, '')}\n        </div>`
+        });
+    }
+
+    for (const tag in tagIndex) {
+        const root = pageRoot('tags/' + tag);
+        addPage(`tags/${tag}.html`, root, null, {
+            title: `#${tag} - ${config.title}`,
+            url: tagPageUrl(tag),
+            main: `        <div class="note-content active tag-page">\n${renderTagPage(vault, tag, tagIndex, root)}\n        </div>`
+        });
+    }
+
+    return files;
+}
+
+// The single-file wiki (by default) or, with pages, the multi-page site:
+// { pages, dir, files, media, cache } with files a Map of dir-relative path ->
+// contents, media the published attachments and cache the vault's build cache,
+// if any (see writeSite). Notes are (re-)rendered first unless they already
+// were for this output mode.
+function renderSite(vault, options = {}) {
+    const pages = Boolean(options.pages);
+    if (vault.pages !== pages) renderVault(vault, { pages });
+
+    const { config } = vault;
+    const files = pages ? generatePages(vault) : new Map([[path.basename(config.output), generateHTML(vault)]]);
+    return {
+        pages,
+        dir: pages ? config.outputDir : path.dirname(config.output),
+        files,
+        media: vault.media,
+        cache: vault.cache
+    };
+}
+
+// Write a rendered site, and save the build cache. The multi-page site replaces
+// its folder, which must be empty or hold a previous build (with OUTPUT_MARKER);
+// the single-file wiki only replaces its file.
+function writeSite(site, logger = SILENT_LOGGER) {
+    if (site.pages) {
+        if (!isReplaceableOutputDir(site.dir)) {
+            throw new SiteError(`${site.dir} is not empty and was not generated by build-wiki.js`);
+        }
+        fs.rmSync(site.dir, { recursive: true, force: true });
+        fs.mkdirSync(site.dir, { recursive: true });
+        fs.writeFileSync(path.join(site.dir, OUTPUT_MARKER), 'Generated by build-wiki.js, replaced on every build\n', 'utf-8');
+    }
+
+    site.files.forEach((contents, file) => {
+        const fullPath = path.join(site.dir, file);
+        fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+        fs.writeFileSync(fullPath, contents, 'utf-8');
+    });
+    if (site.pages) {
+        const pageCount = Array.from(site.files.keys()).filter(file => file.endsWith('.html')).length;
+        logger.log(`✓ Generated ${pageCount} pages in ${site.dir}`);
+    } else {
+        logger.log(`✓ Generated ${path.join(site.dir, site.files.keys().next().value)}`);
+    }
+
+    writeMedia(path.join(site.dir, MEDIA_DIR), site.media);
+    if (site.media.size > 0) {
+        logger.log(`✓ Published ${site.media.size} attachment file(s)`);
+    }
+    if (site.cache) saveCache(site.cache);
+}
+
+module.exports = {
+    CLIENT_DIR,
+    SiteError,
+    renderSite,
+    writeSite,
+    isReplaceableOutputDir
+};
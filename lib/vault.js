@@ -0,0 +1,691 @@
+// Reading and rendering the vault
+//
+// scanVault reads every published note and attachment into a vault object,
+// { config, notes, structure, attachments, privateNotes, media, history }, that
+// the functions here take instead of sharing global state. renderVault then
+// converts the notes to HTML, resolving their wikilinks, embeds and
+// attachments, and builds the backlinks. With a build cache (see
+// lib/cache.js), notes unchanged since the previous build are not converted
+// again.
+
+const fs = require('fs');
+const path = require('path');
+const { markdownToHtml, inlineMarkdownToHtml, parseWikiLink, extractSection, extractBlock, extractHeadings, slugify, extractTags, normalizeTag, stripComments, escapeHtml } = require('./markdown');
+const { parseFrontmatter, splitFrontmatter } = require('./frontmatter');
+const { isAttachment, publishAttachment } = require('./attachments');
+const { isExcluded, isPrivate } = require('./config');
+const { hashText, getEntry, setEntry } = require('./cache');
+const { readHistory } = require('./history');
+
+// Published attachments, relative to the output (index.html's folder or the site folder)
+const MEDIA_DIR = 'assets/media';
+
+// Maximum nesting of ![[Note]] embeds; deeper embeds are shown as links
+const MAX_EMBED_DEPTH = 3;
+
+// Obsidian's reserved properties, not shown in the infobox
+const INFOBOX_HIDDEN_KEYS = ['tags', 'tag', 'aliases', 'cssclasses', 'cssclass'];
+
+// Logs nothing, the default of the Node API (the command line logs to the console)
+const SILENT_LOGGER = { log() {}, warn() {}, error() {} };
+
+// What rendering a note sets on it, and what the build cache keeps
+const RENDERED_FIELDS = ['content', 'links', 'unresolvedLinks', 'redactedLinks', 'linkSentences', 'attachments', 'lookups'];
+
+// Generated directories inside the vault, never scanned for notes or attachments
+function generatedDirs(config) {
+    return [config.outputDir, path.join(path.dirname(config.output), MEDIA_DIR), config.cacheDir];
+}
+
+// Read a note from disk (its content is rendered once every note is known)
+function readNote(fullPath, relPath, logger = SILENT_LOGGER) {
+    const fileContent = fs.readFileSync(fullPath, 'utf-8');
+
+    // Frontmatter becomes metadata; rawContent is the markdown body
+    let frontmatter;
+    let frontmatterError = null;
+    try {
+        frontmatter = parseFrontmatter(fileContent);
+    } catch (err) {
+        // Whether it is published cannot be told, so it is not
+        logger.warn(`⚠ Invalid frontmatter in ${relPath}, not published: ${err.message}`);
+        frontmatter = { data: {}, body: splitFrontmatter(fileContent).body };
+        frontmatterError = err.message;
+    }
+    // %% comments %% are private notes to self, never published
+    frontmatter.body = stripComments(frontmatter.body);
+
+    // Tags come from the "tags" property (a list, or a string of comma or
+    // space separated tags) and from #tags in the text
+    const tags = [];
+    [frontmatter.data.tags, frontmatter.data.tag]
+        .flatMap(value => (typeof value === 'string' ? value.split(/[,\s]+/) : [].concat(value || [])))
+        .map(normalizeTag)
+        .concat(extractTags(frontmatter.body))
+        .forEach(tag => {
+            if (tag && !tags.includes(tag)) tags.push(tag);
+        });
+
+    // Notes are identified by their vault-relative path (without
+    // extension) so same-named notes in different folders coexist
+    return {
+        id: relPath.replace(/\.md$/, ''),
+        name: path.basename(relPath, '.md'),
+        path: relPath,
+        // The file's content hash, for the build cache
+        hash: hashText(fileContent),
+        content: '',
+        rawContent: frontmatter.body,
+        metadata: frontmatter.data,
+        frontmatterError,
+        tags,
+        headings: extractHeadings(frontmatter.body),
+        links: [],
+        unresolvedLinks: [],
+        redactedLinks: [],
+        linkSentences: [],
+        attachments: [],
+        // The LOOKUPS made to render it, as [[kind, ...args], value]
+        lookups: [],
+        backlinks: []
+    };
+}
+
+// Recursively scan directory
+function scanDirectory(vault, dirPath, relativePath = '') {
+    const { config, logger } = vault;
+    const items = [];
+
+    try {
+        const entries = fs.readdirSync(dirPath, { withFileTypes: true });
+
+        // Sort: directories first, then files
+        entries.sort((a, b) => {
+            if (a.isDirectory() !== b.isDirectory()) {
+                return a.isDirectory() ? -1 : 1;
+            }
+            return a.name.localeCompare(b.name);
+        });
+
+        for (const entry of entries) {
+            const fullPath = path.join(dirPath, entry.name);
+            const relPath = relativePath ? `${relativePath}/${entry.name}` : entry.name;
+
+            // Skip excluded files and folders, and generated directories
+            if (isExcluded(config, relPath) || (entry.isDirectory() && generatedDirs(config).includes(fullPath))) {
+                continue;
+            }
+
+            if (entry.isDirectory()) {
+                const subItems = scanDirectory(vault, fullPath, relPath);
+                if (subItems.length > 0) {
+                    items.push({
+                        type: 'folder',
+                        name: entry.name,
+                        path: relPath,
+                        children: subItems
+                    });
+                }
+            } else if (entry.isFile() && entry.name.endsWith('.md')) {
+                const note = readNote(fullPath, relPath, logger);
+                const reason = unpublishedReason(config, note);
+                if (reason) {
+                    vault.privateNotes[note.id] = { path: relPath, reason };
+                    continue;
+                }
+                vault.notes[note.id] = note;
+
+                items.push({
+                    type: 'file',
+                    name: note.name,
+                    path: relPath,
+                    noteId: note.id
+                });
+            } else if (entry.isFile() && isAttachment(entry.name) && !isPrivate(config, relPath)) {
+                vault.attachments[relPath] = fullPath;
+            }
+        }
+    } catch (err) {
+        logger.error(`Error scanning ${dirPath}:`, err.message);
+    }
+
+    return items;
+}
+
+// Read the notes and attachments of config.vault (see lib/config.js). The notes
+// are not rendered yet: see renderVault, which reuses the renderings of
+// options.cache (a build cache from openCache in lib/cache.js) when given.
+function scanVault(config, options = {}) {
+    const vault = {
+        config,
+        logger: options.logger || SILENT_LOGGER,
+        cache: options.cache || null,
+        notes: {},
+        structure: [],
+        attachments: {},   // vault-relative path -> full path
+        privateNotes: {},  // unpublished note id -> { path, reason }
+        media: new Map(),  // published attachment name -> contents
+        oversizedImages: new Map(),  // vault-relative path -> smallest width shown, once rendered
+        brokenLinks: {},   // note id -> unresolved link targets, once rendered
+        history: {},       // note id -> git history (see readNoteHistory)
+        pages: null        // whether the notes were rendered for the multi-page site
+    };
+    const { logger } = vault;
+
+    logger.log('Scanning vault...');
+    vault.structure = scanDirectory(vault, config.vault);
+    const privateCount = Object.keys(vault.privateNotes).length;
+    logger.log(`✓ Found ${Object.keys(vault.notes).length} notes` + (privateCount > 0 ? ` (${privateCount} unpublished)` : ''));
+
+    const ambiguousNames = findAmbiguousNames(vault);
+    if (ambiguousNames.length > 0) {
+        logger.warn(`⚠ ${ambiguousNames.length} ambiguous note name(s), use a folder-qualified [[Folder/Note]] link:`);
+        ambiguousNames.forEach(ids => logger.warn(`  - ${vault.notes[ids[0]].name}: ${ids.join(', ')}`));
+    }
+    if (config.history) readNoteHistory(vault);
+    return vault;
+}
+
+// A revision of a note as its history shows it: without %% comments %% and
+// with the targets of links to anything but a published note or attachment
+// redacted (an earlier revision may link to a note since deleted or
+// unpublished), or null when the note was not published then
+function publishedRevision(vault, relPath, text) {
+    const noteId = relPath.replace(/\.md$/, '');
+    let metadata;
+    try {
+        metadata = parseFrontmatter(text).data;
+    } catch (err) {
+        // Whether it was published cannot be told
+        return null;
+    }
+    if (unpublishedReason(vault.config, { path: relPath, metadata })) return null;
+    return stripComments(text).replace(/!?\[\[([^\[\]\n]+)\]\]/g, (match, inner) => {
+        const link = parseWikiLink(inner);
+        const published = !link.target || resolveNoteId(vault, link.target) || resolveAttachmentPath(vault, link.target, noteId);
+        return published ? match : redactedDisplay(link);
+    });
+}
+
+// Read the git history of the published notes into vault.history, by note id
+// (see readHistory in lib/history.js); notes never committed published have none
+function readNoteHistory(vault) {
+    const { config, notes, logger } = vault;
+    const relPaths = Object.values(notes).map(note => note.path);
+    const history = readHistory(config.vault, relPaths, {
+        shownText: (text, relPath) => publishedRevision(vault, relPath, text)
+    });
+    if (!history) return;
+
+    if (history.shallow) {
+        logger.warn('⚠ The vault is a shallow git clone: page history only goes back to its oldest fetched commit');
+    }
+    for (const noteId in notes) {
+        const noteHistory = history.files.get(notes[noteId].path);
+        if (noteHistory) vault.history[noteId] = noteHistory;
+    }
+    logger.log(`✓ Read the git history of ${Object.keys(vault.history).length} note(s)`);
+}
+
+// Why a note is not published ("publish: false", "draft: true", invalid
+// frontmatter, a "private" glob), or null when it is
+function unpublishedReason(config, note) {
+    const { publish, draft } = note.metadata;
+    if (note.frontmatterError) return 'invalid frontmatter';
+    if (publish === false || publish === 'false') return 'publish: false';
+    if (draft === true || draft === 'true') return 'draft: true';
+    if (isPrivate(config, note.path)) return 'matches a "private" glob';
+    return null;
+}
+
+// Find note names shared by several notes (wikilinks to them are ambiguous)
+function findAmbiguousNames(vault) {
+    const byName = {};
+    for (const noteId in vault.notes) {
+        const name = vault.notes[noteId].name.toLowerCase();
+        (byName[name] = byName[name] || []).push(noteId);
+    }
+    return Object.values(byName).filter(ids => ids.length > 1);
+}
+
+// Resolve a wikilink target (name or folder-qualified path) to a note id
+function resolveNoteId(vault, target, sourceNoteId) {
+    // [[#Heading]] points inside the current note
+    if (!target) return sourceNoteId || null;
+    return findNoteId(target, Object.keys(vault.notes));
+}
+
+// Whether a link target is a note that exists but is not published
+function isUnpublishedTarget(vault, target) {
+    return Boolean(target) && resolveNoteId(vault, target) === null && findNoteId(target, Object.keys(vault.privateNotes)) !== null;
+}
+
+// What a link to an unpublished note shows instead of its title
+function redactedDisplay(link) {
+    return link.alias || '[redacted]';
+}
+
+// Match a link target against note ids: the exact path, else the shortest path ending with it
+function findNoteId(target, noteIds) {
+    const searchName = target.toLowerCase().replace(/^\/+/, '');
+
+    // Try exact path match
+    const exact = noteIds.find(id => id.toLowerCase() === searchName);
+    if (exact) return exact;
+
+    // Try path suffix match, preferring the shortest path
+    const matches = noteIds
+        .filter(id => id.toLowerCase().endsWith('/' + searchName))
+        .sort((a, b) => a.length - b.length);
+    return matches[0] || null;
+}
+
+// Resolve an embedded file (vault path, path relative to the note, or file name)
+// to its vault-relative path
+function resolveAttachmentPath(vault, target, sourceNoteId) {
+    let wanted;
+    try {
+        wanted = decodeURI(target).replace(/^\/+/, '').toLowerCase();
+    } catch (err) {
+        return null;
+    }
+    const paths = Object.keys(vault.attachments);
+    const folder = sourceNoteId ? path.posix.dirname(vault.notes[sourceNoteId].path) : '.';
+    const relative = path.posix.normalize(path.posix.join(folder, wanted));
+
+    return paths.find(relPath => relPath.toLowerCase() === wanted) ||
+        paths.find(relPath => relPath.toLowerCase() === relative) ||
+        paths
+            .filter(relPath => relPath.toLowerCase().endsWith('/' + wanted))
+            .sort((a, b) => a.length - b.length)[0] ||
+        null;
+}
+
+// Id of a note's heading from the text in a [[Note#Heading]] link, or null when
+// the note has no such heading
+function headingId(vault, noteId, heading) {
+    const slug = slugify(heading);
+    const match = vault.notes[noteId].headings.find(h => slugify(h.text) === slug);
+    return match ? match.id : null;
+}
+
+// Whether a note has the block of a [[Note#^block]] link
+function hasBlock(vault, noteId, blockId) {
+    return extractBlock(vault.notes[noteId].rawContent, blockId) !== null;
+}
+
+// Relative path from a note's page to the site root ("Races/humans" -> "../")
+function pageRoot(noteId) {
+    return '../'.repeat(noteId.split('/').length - 1);
+}
+
+// URL of a note's page from the site root, optionally pointing at a heading or
+// block (the page itself when the note has no such heading or block; the client
+// script builds the same URLs, see pageUrl in lib/client/wiki.js)
+function pageUrl(vault, noteId, link) {
+    let url = noteId.split('/').map(encodeURIComponent).join('/') + '.html';
+    if (link && link.heading) {
+        const id = headingId(vault, noteId, link.heading);
+        if (id) url += '#' + encodeURIComponent(id);
+    } else if (link && link.block && hasBlock(vault, noteId, link.block)) {
+        url += '#^' + encodeURIComponent(link.block);
+    }
+    return url;
+}
+
+// URL of a tag's page from the site root: "era/first-age" -> "tags/era/first-age.html"
+function tagPageUrl(tag) {
+    return 'tags/' + tag.split('/').map(encodeURIComponent).join('/') + '.html';
+}
+
+// "star_system" -> "Star system"
+function humanizeKey(key) {
+    const words = key.replace(/[_-]+/g, ' ').trim();
+    return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+function formatPropertyValue(value, options) {
+    if (value === null) return '';
+    if (Array.isArray(value)) {
+        return value.map(item => formatPropertyValue(item, options)).join(', ');
+    }
+    if (typeof value === 'object') {
+        return Object.keys(value)
+            .map(key => `${escapeHtml(humanizeKey(key))}: ${formatPropertyValue(value[key], options)}`)
+            .join('<br>');
+    }
+    if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+    if (typeof value === 'number') return value.toLocaleString('en-US');
+    return inlineMarkdownToHtml(String(value).trim(), options);
+}
+
+// Notes tagged with each tag, counting nested tags ("era/first-age") under their parents ("era")
+function buildTagIndex(vault) {
+    const index = {};
+    for (const noteId in vault.notes) {
+        for (const tag of vault.notes[noteId].tags) {
+            const parts = tag.split('/');
+            parts.forEach((part, i) => {
+                const ancestor = parts.slice(0, i + 1).join('/');
+                index[ancestor] = index[ancestor] || [];
+                if (!index[ancestor].includes(noteId)) index[ancestor].push(noteId);
+            });
+        }
+    }
+    const sorted = {};
+    Object.keys(index).sort().forEach(tag => { sorted[tag] = index[tag]; });
+    return sorted;
+}
+
+function renderTagChip(tag, options) {
+    const href = options.tagHref ? options.tagHref(tag) : '#';
+    return `<a href="${escapeHtml(href)}" class="tag" data-tag="${escapeHtml(tag)}">#${escapeHtml(tag)}</a>`;
+}
+
+// A note's tags as chips above its content
+function renderTagChips(note, options) {
+    if (note.tags.length === 0) return '';
+    return `<div class="tags">${note.tags.map(tag => renderTagChip(tag, options)).join(' ')}</div>\n`;
+}
+
+// Wiki-style infobox listing a note's frontmatter properties
+function renderInfobox(note, options) {
+    const keys = Object.keys(note.metadata)
+        .filter(key => !INFOBOX_HIDDEN_KEYS.includes(key) && key !== 'title' && note.metadata[key] !== null);
+    if (keys.length === 0) return '';
+
+    const title = note.metadata.title ? String(note.metadata.title) : note.name;
+    const rows = keys.map(key => {
+        // Backlinks from a property show "Key: value"
+        const linkSentence = options.linkSentence && ((link, noteId, sentence) => options.linkSentence(link, noteId, `${humanizeKey(key)}: ${sentence}`));
+        const value = formatPropertyValue(note.metadata[key], Object.assign({}, options, { linkSentence }));
+        return `<tr><th>${escapeHtml(humanizeKey(key))}</th><td>${value}</td></tr>`;
+    });
+    return `<aside class="infobox">\n<div class="infobox-title">${escapeHtml(title)}</div>\n<table>\n${rows.join('\n')}\n</table>\n</aside>\n`;
+}
+
+// Lookups into the vault made while rendering notes, by kind: the note a
+// wikilink target resolves to (false for an unpublished note), the id of a
+// linked heading (null when missing), whether a linked block exists, the file
+// hash of an embedded note, and an embedded attachment as published (which adds
+// it to vault.media). Rendering records them (see context.onLookup), so a
+// rendering can be checked against the vault of a later build or of a change.
+const LOOKUPS = {
+    note: (vault, target, sourceNoteId) => resolveNoteId(vault, target, sourceNoteId) || (isUnpublishedTarget(vault, target) ? false : null),
+    heading: (vault, noteId, heading) => (vault.notes[noteId] ? headingId(vault, noteId, heading) : null),
+    block: (vault, noteId, blockId) => Boolean(vault.notes[noteId]) && hasBlock(vault, noteId, blockId),
+    embed: (vault, noteId) => (vault.notes[noteId] ? vault.notes[noteId].hash : null),
+    attachment: (vault, target, sourceNoteId, size) => {
+        const relPath = resolveAttachmentPath(vault, target, sourceNoteId);
+        if (!relPath) return relPath;
+        const published = Object.assign({ relPath }, publishAttachment(vault.attachments[relPath], size, vault.media));
+        if (published.oversized) {
+            vault.oversizedImages.set(relPath, Math.min(published.width, vault.oversizedImages.get(relPath) || Infinity));
+        }
+        return published;
+    }
+};
+
+function lookup(vault, context, kind, ...args) {
+    const value = LOOKUPS[kind](vault, ...args);
+    if (context.onLookup) context.onLookup([kind, ...args], value);
+    return value;
+}
+
+// Whether the heading or block a link to a note points to exists (true for a
+// link to the whole note)
+function hasLinkAnchor(vault, context, targetId, link) {
+    if (link.heading) return lookup(vault, context, 'heading', targetId, link.heading) !== null;
+    if (link.block) return lookup(vault, context, 'block', targetId, link.block);
+    return true;
+}
+
+// Markdown options for rendering a note (or, with a null noteId, markdown from
+// outside the vault). context.page is the note whose page the HTML ends up on,
+// context.embedding the embed chain leading here ("id" for a whole note,
+// "id#anchor" for a section). context.onLink(link, targetId, anchorFound), when
+// set, records the wikilinks found (anchorFound is false for a missing heading
+// or block), context.onLinkSentence(link, targetId, sentence) the wikilinks of
+// the note's text with their sentence, and context.onLookup(lookup, value) the
+// LOOKUPS made.
+function markdownOptions(vault, noteId, context) {
+    const root = context.pageLinks && context.page ? pageRoot(context.page) : '';
+    const mediaUrl = name => `${root}${MEDIA_DIR}/${encodeURIComponent(name)}`;
+
+    return {
+        resolveWikiLink: link => {
+            const targetId = lookup(vault, context, 'note', link.target, noteId);
+            const anchorFound = Boolean(targetId) && hasLinkAnchor(vault, context, targetId, link);
+            if (context.onLink) context.onLink(link, targetId, anchorFound);
+            return targetId;
+        },
+        // Called after resolveWikiLink, which looked the anchor up
+        wikiLinkHref: context.pageLinks ? (link, targetId) => root + pageUrl(vault, targetId, link) : null,
+        tagHref: context.pageLinks ? tag => root + tagPageUrl(tag) : null,
+        resolveAttachment: (target, size) => {
+            const attachment = lookup(vault, context, 'attachment', target, noteId, size);
+            if (!attachment) return null;
+            if (context.onAttachment) context.onAttachment(attachment.relPath);
+            return {
+                src: mediaUrl(attachment.src),
+                image: attachment.image,
+                width: attachment.width,
+                height: attachment.height,
+                original: attachment.original && mediaUrl(attachment.original)
+            };
+        },
+        renderEmbed: link => renderNoteEmbed(vault, link, noteId, context),
+        linkSentence: context.onLinkSentence || null,
+        // Embedded notes keep their own heading ids, so only the page's note has them
+        headingIds: context.embedding.length === 1
+    };
+}
+
+// Transclude ![[Note]], ![[Note#Heading]] or ![[Note#^block]] under an "Embedded
+// from" header; returns null (the embed is shown as a link) for missing notes and
+// past MAX_EMBED_DEPTH
+function renderNoteEmbed(vault, link, noteId, context) {
+    if (context.embedding.length > MAX_EMBED_DEPTH) return null;
+    const targetId = lookup(vault, context, 'note', link.target, noteId);
+    if (!targetId) return null;
+    const anchorFound = hasLinkAnchor(vault, context, targetId, link);
+    if (context.onLink) context.onLink(link, targetId, anchorFound);
+    lookup(vault, context, 'embed', targetId);
+
+    const target = vault.notes[targetId];
+    const anchor = link.heading || (link.block && '^' + link.block);
+    const key = anchor ? `${targetId}#${anchor}` : targetId;
+    const title = [target.name, link.heading || (link.block && '^' + link.block)].filter(Boolean).join(' › ');
+    const href = context.pageLinks ? (context.page ? pageRoot(context.page) : '') + pageUrl(vault, targetId, link) : '#';
+    const source = `<a href="${href}" class="wikilink" data-note-id="${escapeHtml(targetId)}"` +
+        (link.heading ? ` data-heading="${escapeHtml(link.heading)}"` : '') +
+        (link.block ? ` data-block="${escapeHtml(link.block)}"` : '') +
+        `>${escapeHtml(title)}</a>`;
+
+    let content;
+    if (context.embedding.includes(key)) {
+        content = `<p class="embed-error">Not embedded: ${escapeHtml(title)} is already embedded above (embed loop).</p>`;
+    } else {
+        const markdown = link.heading ? extractSection(target.rawContent, link.heading)
+            : link.block ? extractBlock(target.rawContent, link.block)
+                : target.rawContent;
+        content = markdown === null
+            ? `<p class="embed-error">Not embedded: ${escapeHtml(target.name)} has no ${link.heading ? 'heading' : 'block'} "${escapeHtml(anchor)}".</p>`
+            : markdownToHtml(markdown, markdownOptions(vault, targetId, {
+                pageLinks: context.pageLinks,
+                page: context.page,
+                embedding: context.embedding.concat(key),
+                onAttachment: context.onAttachment,
+                onLookup: context.onLookup
+            }));
+    }
+
+    return `<div class="embed" data-note-id="${escapeHtml(targetId)}">\n` +
+        `<div class="embed-header">Embedded from ${source}</div>\n` +
+        `<div class="embed-content">\n${content}\n</div>\n</div>`;
+}
+
+// Whether every lookup made to render a note still gives the same result.
+// Attachments are checked last, as checking publishes them.
+function lookupsHold(vault, lookups) {
+    const holds = ([[kind, ...args], value]) => JSON.stringify(LOOKUPS[kind](vault, ...args)) === JSON.stringify(value);
+    return lookups.filter(([[kind]]) => kind !== 'attachment').every(holds) &&
+        lookups.filter(([[kind]]) => kind === 'attachment').every(holds);
+}
+
+// Whether a cached rendering of a note still holds: the note's file is the same
+// and so is what it looked up
+function isFreshRendering(vault, note, entry) {
+    return entry.hash === note.hash && lookupsHold(vault, entry.lookups);
+}
+
+// Convert notes (all of them by default) to HTML, resolving their wikilinks,
+// embeds and attachments, or take them from vault.cache when still fresh;
+// returns { brokenLinks, reused }: broken links per note and how many notes
+// came from the cache. With pageLinks, wikilinks point to the multi-page site's pages.
+function renderNotes(vault, pageLinks, noteIds = Object.keys(vault.notes)) {
+    const brokenLinks = {};
+    const mode = pageLinks ? 'pages' : 'wiki';
+    let reused = 0;
+
+    for (const noteId of noteIds) {
+        const note = vault.notes[noteId];
+        const cached = vault.cache && getEntry(vault.cache, mode, noteId);
+        if (cached && isFreshRendering(vault, note, cached)) {
+            RENDERED_FIELDS.forEach(field => { note[field] = cached[field]; });
+            if (cached.brokenLinks.length > 0) brokenLinks[noteId] = cached.brokenLinks;
+            reused++;
+            continue;
+        }
+
+        const lookups = new Map();
+        note.links = [];
+        note.unresolvedLinks = [];
+        note.attachments = [];
+        note.redactedLinks = [];
+        note.linkSentences = [];
+        const options = markdownOptions(vault, noteId, {
+            pageLinks,
+            page: noteId,
+            embedding: [noteId],
+            onLink: (link, targetId, anchorFound) => {
+                if (targetId === false) {
+                    if (!note.redactedLinks.includes(link.target)) note.redactedLinks.push(link.target);
+                } else if (!targetId) {
+                    (brokenLinks[noteId] = brokenLinks[noteId] || []).push(link.target);
+                    if (!note.unresolvedLinks.includes(link.target)) note.unresolvedLinks.push(link.target);
+                } else {
+                    // A link to a heading or block the note does not have is broken too
+                    if (!anchorFound) {
+                        (brokenLinks[noteId] = brokenLinks[noteId] || []).push(`${link.target}#${link.heading || '^' + link.block}`);
+                    }
+                    if (targetId !== noteId && !note.links.includes(targetId)) note.links.push(targetId);
+                }
+            },
+            // The context of the note's backlinks in the notes it links to
+            onLinkSentence: (link, targetId, sentence) => {
+                if (targetId && targetId !== noteId) note.linkSentences.push({ targetId, context: sentence });
+            },
+            onAttachment: relPath => {
+                if (!note.attachments.includes(relPath)) note.attachments.push(relPath);
+            },
+            onLookup: (args, value) => lookups.set(JSON.stringify(args), [args, value])
+        });
+        note.content = renderTagChips(note, options) + renderInfobox(note, options) + markdownToHtml(note.rawContent, options);
+        note.lookups = Array.from(lookups.values());
+
+        if (vault.cache) {
+            const entry = { hash: note.hash, brokenLinks: brokenLinks[noteId] || [] };
+            RENDERED_FIELDS.forEach(field => { entry[field] = note[field]; });
+            setEntry(vault.cache, mode, noteId, entry);
+        }
+    }
+
+    return { brokenLinks, reused };
+}
+
+// Build the reverse link index: notes[id].backlinks lists the notes linking to
+// it, with the sentence of each link (see onLinkSentence in renderNotes)
+function buildBacklinks(vault) {
+    const { notes } = vault;
+    for (const noteId in notes) {
+        notes[noteId].backlinks = [];
+    }
+    for (const noteId in notes) {
+        for (const { targetId, context } of notes[noteId].linkSentences) {
+            const backlinks = notes[targetId].backlinks;
+            if (!backlinks.some(b => b.noteId === noteId && b.context === context)) {
+                backlinks.push({ noteId, context });
+            }
+        }
+    }
+}
+
+// Render every note and build the backlinks; with pages, links point to the
+// multi-page site's pages (the single-file wiki routes wikilinks itself).
+// Returns the broken links per note, also kept as vault.brokenLinks.
+function renderVault(vault, options = {}) {
+    const pages = Boolean(options.pages);
+    vault.logger.log('Rendering notes...');
+    vault.media.clear();
+    vault.oversizedImages.clear();
+    const { brokenLinks, reused } = renderNotes(vault, pages);
+    if (reused > 0) vault.logger.log(`✓ Reused ${reused} unchanged note(s) from the build cache`);
+    if (vault.oversizedImages.size > 0) {
+        vault.logger.warn(`⚠ ${vault.oversizedImages.size} large image(s) shown at less than half their width are published at full size (only PNG and JPEG images get thumbnails):`);
+        vault.oversizedImages.forEach((width, relPath) => vault.logger.warn(`  - ${relPath}, shown ${width}px wide`));
+    }
+    vault.brokenLinks = brokenLinks;
+    vault.pages = pages;
+    buildBacklinks(vault);
+    return vault.brokenLinks;
+}
+
+// Re-read changed notes (vault-relative paths) and re-render them with the notes
+// whose lookups no longer hold (embedding them, linking to a heading they
+// renamed...). Added, removed or renamed notes change how every link resolves,
+// so they (and any attachment change) rescan and re-render the whole vault.
+// Returns the vault to use from now on: the same one, or a rescanned one.
+function updateVault(vault, changed) {
+    const { config, notes, logger } = vault;
+    const changedNotes = changed.filter(relPath => relPath.endsWith('.md'));
+    const structural = changed.some(isAttachment) || changedNotes.some(relPath =>
+        !notes[relPath.replace(/\.md$/, '')] || !fs.existsSync(path.join(config.vault, relPath)));
+
+    const changedNoteData = structural ? [] : changedNotes.map(relPath => readNote(path.join(config.vault, relPath), relPath, logger));
+    // A note that stops being published changes how links to it resolve
+    if (structural || changedNoteData.some(note => unpublishedReason(config, note))) {
+        const rescanned = scanVault(config, { logger, cache: vault.cache });
+        renderVault(rescanned, { pages: vault.pages });
+        return rescanned;
+    }
+    if (changedNoteData.length > 0) {
+        logger.log(`Re-rendering ${changedNotes.join(', ')}...`);
+        const changedIds = changedNoteData.map(note => {
+            notes[note.id] = note;
+            return note.id;
+        });
+        const noteIds = Object.keys(notes).filter(noteId =>
+            changedIds.includes(noteId) || !lookupsHold(vault, notes[noteId].lookups));
+        noteIds.forEach(noteId => delete vault.brokenLinks[noteId]);
+        Object.assign(vault.brokenLinks, renderNotes(vault, vault.pages, noteIds).brokenLinks);
+        buildBacklinks(vault);
+    }
+    return vault;
+}
+
+module.exports = {
+    MEDIA_DIR,
+    SILENT_LOGGER,
+    generatedDirs,
+    readNote,
+    scanVault,
+    renderVault,
+    updateVault,
+    markdownOptions,
+    buildTagIndex,
+    renderTagChip,
+    pageRoot,
+    pageUrl,
+    tagPageUrl
+};
@@ -0,0 +1,123 @@
+// Node API
+//
+// Builds the wiki without global state, so scripts and tests can use it;
+// build-wiki.js is the command line over it:
+//
+//     const { buildWiki, writeSite } = require('./lib/wiki');
+//     const { notes, brokenLinks, site } = buildWiki({ vault: 'path/to/vault', pages: true });
+//     writeSite(site);
+//
+// The steps are also available separately: scanVault reads a vault,
+// renderSite renders it to files and renderMarkdown converts markdown in the
+// context of a vault (its wikilinks resolved against the vault's notes).
+
+const path = require('path');
+const { markdownToHtml } = require('./markdown');
+const { startDevServer, watchVault } = require('./dev-server');
+const { isAttachment } = require('./attachments');
+const { loadConfig, resolveConfig, isExcluded } = require('./config');
+const { MEDIA_DIR, generatedDirs, scanVault, renderVault, updateVault, markdownOptions } = require('./vault');
+const { CLIENT_DIR, renderSite, writeSite } = require('./site');
+const { openCache } = require('./cache');
+
+// Config of the Node API: options shaped like wiki.config.json (paths relative to
+// the working directory), over the given configFile if any
+function apiConfig(settings, configFile) {
+    return configFile
+        ? loadConfig(path.resolve(configFile), settings, 'buildWiki options')
+        : resolveConfig(settings, 'buildWiki options');
+}
+
+// Scan and render a vault without writing anything. Options are the settings of
+// wiki.config.json (vault, title, exclude...) or a config already loaded with
+// loadConfig, plus configFile, pages (render the multi-page site instead of the
+// single-file wiki), logger (console-like, silent by default), cache (reuse the
+// notes rendered by earlier builds, from config.cacheDir; writeSite updates it)
+// and clean (with cache, render every note again). Returns
+// { config, vault, notes, brokenLinks, site }: notes by id with their links and
+// backlinks, broken links per note and the site rendered by renderSite.
+function buildWiki(options = {}) {
+    const { config: loaded, configFile, pages, logger, cache, clean, ...settings } = options;
+    const config = loaded || apiConfig(settings, configFile);
+    const vault = scanVault(config, { logger, cache: cache ? openCache(config, { clean }) : null });
+    renderVault(vault, { pages });
+    const site = renderSite(vault, { pages });
+    return { config, vault, notes: vault.notes, brokenLinks: vault.brokenLinks, site };
+}
+
+// Markdown to HTML. With options.vault, wikilinks, embeds and attachments
+// resolve against that vault (relative to options.noteId, when given) and, with
+// options.pages, link to the multi-page site's pages.
+function renderMarkdown(markdown, options = {}) {
+    if (!options.vault) return markdownToHtml(markdown);
+    const noteId = options.noteId || null;
+    return markdownToHtml(markdown, markdownOptions(options.vault, noteId, {
+        pageLinks: Boolean(options.pages),
+        page: noteId,
+        embedding: [noteId || '']
+    }));
+}
+
+// Log the broken links; returns how many there are
+function reportBrokenLinks(brokenLinks, logger) {
+    const brokenCount = Object.values(brokenLinks).reduce((count, targets) => count + targets.length, 0);
+    if (brokenCount > 0) {
+        logger.warn(`⚠ ${brokenCount} broken link(s):`);
+        for (const noteId in brokenLinks) {
+            logger.warn(`  - ${noteId}: ${brokenLinks[noteId].map(target => `[[${target}]]`).join(', ')}`);
+        }
+    }
+    return brokenCount;
+}
+
+// Serve a built site on localhost and rebuild it on every vault change (see
+// updateVault in lib/vault.js); returns the dev server and the vault watcher,
+// { server, reload(), watcher }
+function serveWiki(vault, site, options) {
+    const { port } = options;
+    const logger = options.logger || vault.logger;
+    const { config } = vault;
+
+    // Only what the build generated: in single-file mode site.dir is the vault
+    let served = site;
+    const isServed = relPath => served.files.has(relPath) ||
+        (relPath.startsWith(MEDIA_DIR + '/') && served.media.has(relPath.slice(MEDIA_DIR.length + 1)));
+
+    const devServer = startDevServer(site.dir, isServed, port, () => {
+        const file = site.pages || path.basename(config.output) === 'index.html' ? '' : encodeURIComponent(path.basename(config.output));
+        logger.log(`✓ Serving the wiki at http://localhost:${port}/${file} (Ctrl+C to stop)`);
+    });
+
+    const outputPaths = [config.output, ...generatedDirs(config)].map(output => path.relative(config.vault, output));
+    const clientPath = path.relative(config.vault, CLIENT_DIR);
+    const isIgnored = relPath => isExcluded(config, relPath) ||
+        outputPaths.some(output => relPath === output || relPath.startsWith(output + '/')) ||
+        !(relPath.endsWith('.md') || isAttachment(relPath) || relPath.startsWith(clientPath + '/'));
+
+    const watcher = watchVault(config.vault, isIgnored, changed => {
+        try {
+            vault = updateVault(vault, changed);
+            reportBrokenLinks(vault.brokenLinks, logger);
+            served = renderSite(vault, { pages: site.pages });
+            writeSite(served, logger);
+            devServer.reload();
+        } catch (err) {
+            logger.error(`✗ Rebuild failed: ${err.message}`);
+        }
+    });
+
+    return Object.assign({ watcher }, devServer);
+}
+
+module.exports = {
+    buildWiki,
+    scanVault,
+    renderVault,
+    renderMarkdown,
+    renderSite,
+    writeSite,
+    serveWiki,
+    reportBrokenLinks,
+    loadConfig,
+    resolveConfig
+};
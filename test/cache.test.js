@@ -0,0 +1,68 @@
+// The build cache: notes rendered by an earlier build are reused while their
+// file and everything they looked up in the vault are unchanged
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { buildWiki, writeSite } = require('../lib/wiki');
+const { createVault } = require('./helpers');
+
+// Build the vault's single-file wiki with the build cache and write it; returns
+// the build with the messages logged
+function cachedBuild(vault, options = {}) {
+    const messages = [];
+    const logger = { log: message => messages.push(message), warn: message => messages.push(message), error() {} };
+    const wiki = buildWiki(Object.assign({
+        vault,
+        output: path.join(vault, 'index.html'),
+        cacheDir: path.join(vault, '.wiki-cache'),
+        history: false,
+        cache: true,
+        logger
+    }, options));
+    writeSite(wiki.site);
+    return Object.assign(wiki, { messages });
+}
+
+const reusedCount = messages => {
+    const reused = messages.find(message => message.includes('Reused'));
+    return reused ? Number(reused.match(/\d+/)[0]) : 0;
+};
+
+test('reuses the notes of an earlier build while they are unchanged', t => {
+    const vault = createVault(t, { 'a.md': 'See [[b]].', 'b.md': '# B', 'c.md': 'C' });
+    assert.strictEqual(reusedCount(cachedBuild(vault).messages), 0);
+    assert.ok(fs.existsSync(path.join(vault, '.wiki-cache', 'notes.json')));
+    assert.strictEqual(reusedCount(cachedBuild(vault).messages), 3);
+
+    fs.writeFileSync(path.join(vault, 'c.md'), 'C again');
+    const { messages, notes } = cachedBuild(vault);
+    assert.strictEqual(reusedCount(messages), 2);
+    assert.match(notes.c.content, /C again/);
+});
+
+test('renders a note again when what it links to changes', t => {
+    const vault = createVault(t, { 'a.md': 'See [[b#Sub]].\n\n![[c]]', 'b.md': '# B\n\n## Sub', 'c.md': 'Old text' });
+    cachedBuild(vault);
+
+    fs.writeFileSync(path.join(vault, 'b.md'), '# B\n\n## Renamed');
+    fs.writeFileSync(path.join(vault, 'c.md'), 'New text');
+    const { messages, notes, brokenLinks } = cachedBuild(vault);
+    assert.strictEqual(reusedCount(messages), 0);
+    assert.match(notes.a.content, /New text/);
+    assert.deepStrictEqual(brokenLinks, { a: ['b#Sub'] });
+});
+
+test('clean builds and unreadable caches render every note', t => {
+    const vault = createVault(t, { 'a.md': 'A', 'b.md': 'B' });
+    cachedBuild(vault);
+    assert.strictEqual(reusedCount(cachedBuild(vault, { clean: true }).messages), 0);
+    // The clean build saved its renderings for the next one
+    assert.strictEqual(reusedCount(cachedBuild(vault).messages), 2);
+
+    fs.writeFileSync(path.join(vault, '.wiki-cache', 'notes.json'), '{ "version":');
+    const { messages, notes } = cachedBuild(vault);
+    assert.strictEqual(reusedCount(messages), 0);
+    assert.match(notes.a.content, /A/);
+});
@@ -0,0 +1,104 @@
+// The generated single-file wiki in a headless DOM (jsdom): the client script
+// showing notes, following wikilinks, switching theme and collapsing folders
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const { buildWiki, writeSite } = require('../lib/wiki');
+const { createVault } = require('./helpers');
+
+// Build a vault's single-file wiki and load it; the window is closed after the test
+function openWiki(t, files, hash = '') {
+    const vault = createVault(t, files);
+    const output = path.join(vault, 'index.html');
+    writeSite(buildWiki({ vault, output, history: false }).site);
+
+    const errors = [];
+    const dom = new JSDOM(fs.readFileSync(output, 'utf-8'), {
+        url: 'https://wiki.test/' + hash,
+        runScripts: 'dangerously',
+        pretendToBeVisual: true,
+        beforeParse(window) {
+            window.scrollTo = () => {};
+            window.Element.prototype.scrollIntoView = () => {};
+            window.addEventListener('error', event => errors.push(event.message));
+        }
+    });
+    t.after(() => dom.window.close());
+    return { window: dom.window, document: dom.window.document, errors };
+}
+
+const VAULT = {
+    'Races/humans.md': '# Humans\n\nThey live on [[Earth#Moons|the homeworld]].',
+    'Races/elves.md': '# Elves',
+    'Earth.md': '# Earth\n\n## Moons\n\nHome of [[humans]].'
+};
+
+const activeNote = document => document.querySelector('.note-content.active');
+
+test('shows the empty state, then a note with loadNote', t => {
+    const { window, document, errors } = openWiki(t, VAULT);
+    assert.notStrictEqual(document.getElementById('emptyState').style.display, 'none');
+    assert.strictEqual(document.querySelectorAll('#fileTree li.file').length, 3);
+
+    window.loadNote('Races/humans');
+    assert.strictEqual(activeNote(document).id, 'note-Races/humans');
+    assert.strictEqual(activeNote(document).querySelector('h1').textContent, 'Humans');
+    assert.strictEqual(window.location.hash, '#/Races/humans');
+    assert.strictEqual(document.title, 'humans - Obstatus System');
+    assert.strictEqual(document.querySelector('#fileTree li.active').dataset.noteId, 'Races/humans');
+    assert.strictEqual(document.getElementById('emptyState').style.display, 'none');
+    assert.deepStrictEqual(errors, []);
+});
+
+test('opens the note of the URL', t => {
+    const { document } = openWiki(t, VAULT, '#/Earth');
+    assert.strictEqual(activeNote(document).id, 'note-Earth');
+});
+
+test('follows wikilinks to notes and headings, and back', async t => {
+    const { window, document } = openWiki(t, VAULT);
+    window.loadNote('Races/humans');
+    const link = activeNote(document).querySelector('a.wikilink');
+    assert.strictEqual(link.getAttribute('href'), '#/Earth#Moons');
+    link.click();
+    assert.strictEqual(activeNote(document).id, 'note-Earth');
+    assert.strictEqual(window.location.hash, '#/Earth#Moons');
+
+    // Backlinks lead back
+    const backlink = activeNote(document).querySelector('.backlinks a.wikilink');
+    assert.strictEqual(backlink.dataset.noteId, 'Races/humans');
+
+    window.history.back();
+    await new Promise(resolve => window.addEventListener('popstate', resolve, { once: true }));
+    assert.strictEqual(activeNote(document).id, 'note-Races/humans');
+});
+
+test('toggles the theme and remembers it', t => {
+    const { window, document } = openWiki(t, VAULT);
+    const toggle = document.getElementById('themeToggle');
+    assert.strictEqual(document.body.dataset.theme, 'light');
+    toggle.click();
+    assert.strictEqual(document.body.dataset.theme, 'dark');
+    assert.strictEqual(window.localStorage.getItem('theme'), 'dark');
+    assert.strictEqual(toggle.textContent, '☀️');
+    toggle.click();
+    assert.strictEqual(document.body.dataset.theme, 'light');
+});
+
+test('collapses and expands folders', t => {
+    const { document } = openWiki(t, VAULT);
+    const folder = document.querySelector('#fileTree li.folder[data-path="Races"]');
+    folder.click();
+    assert.ok(folder.classList.contains('collapsed'));
+    folder.click();
+    assert.ok(!folder.classList.contains('collapsed'));
+
+    // Opening a note reveals it in a collapsed folder
+    folder.click();
+    folder.querySelector('li.file[data-note-id="Races/elves"]').click();
+    assert.ok(!folder.classList.contains('collapsed'));
+    assert.strictEqual(activeNote(document).id, 'note-Races/elves');
+});
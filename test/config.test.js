@@ -0,0 +1,89 @@
+// Settings from wiki.config.json and the command line, and the command line's
+// --strict and --dry-run modes
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const { parseArgs, loadConfig, resolveConfig, ConfigError } = require('../lib/config');
+const { createVault } = require('./helpers');
+
+const CLI = path.join(__dirname, '..', 'build-wiki.js');
+
+// Run build-wiki.js in dir; returns { status, stdout, stderr }
+function runCli(dir, args) {
+    return spawnSync(process.execPath, [CLI, ...args], { cwd: dir, encoding: 'utf-8' });
+}
+
+test('parses flags, repeated options and name=value settings', () => {
+    const args = parseArgs(['serve', '--pages', '--strict', '--port=9000', '--include', 'Lore', '--include', 'Races',
+        '--color', 'link-color=#b91c1c', '--font', 'heading=Georgia, serif', '--no-history', '--title', 'Obstatus']);
+    assert.strictEqual(args.watch, true);
+    assert.strictEqual(args.pages, true);
+    assert.strictEqual(args.strict, true);
+    assert.strictEqual(args.port, 9000);
+    assert.deepStrictEqual(args.overrides, {
+        include: ['Lore', 'Races'],
+        theme: { light: { 'link-color': '#b91c1c' } },
+        fonts: { heading: 'Georgia, serif' },
+        history: false,
+        title: 'Obstatus'
+    });
+    assert.strictEqual(parseArgs(['--vault', 'notes']).overrides.vault, path.resolve('notes'));
+});
+
+test('rejects unknown and incomplete options', () => {
+    assert.throws(() => parseArgs(['--verbose']), ConfigError);
+    assert.throws(() => parseArgs(['--title']), /--title expects a value/);
+    assert.throws(() => parseArgs(['--port', '80000']), /Invalid --port/);
+    assert.throws(() => parseArgs(['--color', 'red']), /expects name=value/);
+    assert.throws(() => parseArgs(['--font', 'code=Consolas']), /"body" or "heading"/);
+});
+
+test('reads the config file, paths relative to it, under the command line', t => {
+    const dir = createVault(t, {
+        'vault/a.md': '# A',
+        'wiki.config.json': JSON.stringify({ vault: 'vault', output: 'out/wiki.html', title: 'From file', exclude: ['Drafts'] })
+    });
+    const config = loadConfig(path.join(dir, 'wiki.config.json'), { title: 'From flags', exclude: ['GM'] });
+    assert.strictEqual(config.vault, path.join(dir, 'vault'));
+    assert.strictEqual(config.output, path.join(dir, 'out', 'wiki.html'));
+    assert.strictEqual(config.title, 'From flags');
+    assert.deepStrictEqual(config.exclude, ['Drafts', 'GM']);
+});
+
+test('rejects invalid settings, naming where they come from', t => {
+    const dir = createVault(t, { 'bad.json': '{ "title": ', 'unknown.json': '{ "colour": "red" }' });
+    assert.throws(() => loadConfig(path.join(dir, 'bad.json')), /Invalid JSON/);
+    assert.throws(() => loadConfig(path.join(dir, 'unknown.json')), /Unknown setting "colour".*\(in .*unknown\.json\)/);
+    assert.throws(() => resolveConfig({ vault: dir, theme: { light: { 'link-color': 'red; }' } } }), /CSS value/);
+    assert.throws(() => resolveConfig({ vault: dir, history: 'no' }), /"history" must be true or false/);
+    assert.throws(() => resolveConfig({ vault: dir, baseUrl: 'wiki.test' }), /"baseUrl" must be an http\(s\) URL/);
+    assert.throws(() => resolveConfig({ vault: path.join(dir, 'missing') }), /does not exist/);
+    assert.throws(() => resolveConfig({ vault: dir, outputDir: dir }), /cannot be the vault itself/);
+});
+
+test('--strict fails on broken links without writing the wiki', t => {
+    const vault = createVault(t, { 'a.md': 'See [[Nowhere]].' });
+    const strict = runCli(vault, ['--strict', '--no-history']);
+    assert.strictEqual(strict.status, 1);
+    assert.match(strict.stderr, /not allowed in --strict mode/);
+    assert.ok(!fs.existsSync(path.join(vault, 'index.html')));
+
+    assert.strictEqual(runCli(vault, ['--no-history']).status, 0);
+    assert.ok(fs.existsSync(path.join(vault, 'index.html')));
+});
+
+test('--dry-run lists what would be published and writes nothing', t => {
+    const vault = createVault(t, {
+        'a.md': 'Allied with [[plot]].',
+        'plot.md': '---\npublish: false\n---\nTwist'
+    });
+    const dryRun = runCli(vault, ['--dry-run', '--no-history']);
+    assert.strictEqual(dryRun.status, 0);
+    assert.match(dryRun.stdout, /Would publish 1 note\(s\)[^]*\+ a\.md/);
+    assert.match(dryRun.stdout, /- plot\.md \(publish: false\)/);
+    assert.match(dryRun.stdout, /a: \[\[plot\]\]/);
+    assert.ok(!fs.existsSync(path.join(vault, 'index.html')));
+});
@@ -0,0 +1,49 @@
+// The dev server of "build-wiki.js serve", on a free port
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const path = require('path');
+const { buildWiki, writeSite, serveWiki } = require('../lib/wiki');
+const { createVault } = require('./helpers');
+
+// Status and body of a GET on the dev server
+function get(server, urlPath) {
+    return new Promise((resolve, reject) => {
+        http.get({ host: 'localhost', port: server.address().port, path: urlPath }, res => {
+            let body = '';
+            res.setEncoding('utf-8');
+            res.on('data', chunk => { body += chunk; });
+            res.on('end', () => resolve({ status: res.statusCode, body }));
+        }).on('error', reject);
+    });
+}
+
+test('serves the generated files only, not the vault around them', async t => {
+    const vault = createVault(t, {
+        'Earth.md': '# Earth\n\n![[charter.pdf]]',
+        'secret.md': '---\npublish: false\n---\nThe villain is Bob. %% GM only %%',
+        'charter.pdf': '%PDF-1.4',
+        'draft.pdf': '%PDF-1.4'
+    });
+    const { vault: scanned, site } = buildWiki({ vault, output: path.join(vault, 'index.html'), history: false });
+    writeSite(site);
+    const { server, watcher } = serveWiki(scanned, site, { port: 0 });
+    t.after(() => {
+        watcher.close();
+        server.close();
+    });
+    await new Promise(resolve => server.once('listening', resolve));
+
+    const index = await get(server, '/');
+    assert.strictEqual(index.status, 200);
+    assert.match(index.body, /__livereload/);
+    const media = index.body.match(/assets\/media\/charter[^"\\]*\.pdf/)[0];
+    assert.strictEqual((await get(server, '/' + media)).status, 200);
+
+    for (const urlPath of ['/secret.md', '/Earth.md', '/draft.pdf', '/assets/media/', '/../secret.md']) {
+        const response = await get(server, urlPath);
+        assert.strictEqual(response.status, 404, urlPath);
+        assert.doesNotMatch(response.body, /villain/);
+    }
+});
@@ -0,0 +1,39 @@
+// Shared test helpers: sample vaults in temp directories and HTML snapshots
+
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const SNAPSHOT_DIR = path.join(__dirname, 'snapshots');
+
+// A vault in a new temp directory from { 'Folder/Note.md': contents }, removed
+// after the test
+function createVault(t, files) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wiki-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    for (const relPath in files) {
+        const fullPath = path.join(dir, relPath);
+        fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+        fs.writeFileSync(fullPath, files[relPath]);
+    }
+    return dir;
+}
+
+// Compare with test/snapshots/<name>. Missing snapshots are written, except on
+// CI; UPDATE_SNAPSHOTS=1 rewrites them all.
+function matchSnapshot(name, actual) {
+    const file = path.join(SNAPSHOT_DIR, name);
+    if (process.env.UPDATE_SNAPSHOTS || (!fs.existsSync(file) && !process.env.CI)) {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, actual);
+        return;
+    }
+    assert.ok(fs.existsSync(file), `Missing snapshot ${name} (run the tests with UPDATE_SNAPSHOTS=1)`);
+    assert.strictEqual(actual, fs.readFileSync(file, 'utf-8'), `Snapshot ${name} differs (UPDATE_SNAPSHOTS=1 accepts the new output)`);
+}
+
+module.exports = {
+    createVault,
+    matchSnapshot
+};
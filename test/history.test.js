@@ -0,0 +1,87 @@
+// Page history from the vault's git repository
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const { buildWiki } = require('../lib/wiki');
+const { diffLines, diffHunks } = require('../lib/history');
+const { createVault } = require('./helpers');
+
+const hasGit = (() => {
+    try {
+        execFileSync('git', ['--version'], { stdio: 'ignore' });
+        return true;
+    } catch (err) {
+        return false;
+    }
+})();
+
+function git(vault, ...args) {
+    execFileSync('git', args, { cwd: vault, stdio: 'ignore' });
+}
+
+// Commit every change in the vault as author at date
+function commit(vault, author, date) {
+    git(vault, 'add', '-A');
+    execFileSync('git', ['-c', `user.name=${author}`, '-c', 'user.email=author@example.com', 'commit', '-q', '-m', 'vault backup'], {
+        cwd: vault,
+        stdio: 'ignore',
+        env: Object.assign({}, process.env, { GIT_AUTHOR_DATE: date, GIT_COMMITTER_DATE: date })
+    });
+}
+
+test('a vault outside git has no history', t => {
+    const vault = createVault(t, { 'a.md': '# A' });
+    assert.deepStrictEqual(buildWiki({ vault }).vault.history, {});
+});
+
+test('a repository without commits builds without history', { skip: !hasGit }, t => {
+    const vault = createVault(t, { 'a.md': '# A' });
+    git(vault, 'init', '-q');
+    const { vault: scanned, site } = buildWiki({ vault, output: path.join(vault, 'index.html') });
+    assert.deepStrictEqual(scanned.history, {});
+    assert.doesNotMatch(site.files.get('index.html'), /id="recentLink"/);
+});
+
+test('dates, contributors and changes of published revisions', { skip: !hasGit }, t => {
+    const vault = createVault(t, {
+        'Lore/earth.md': '# Earth\n',
+        'Lore/moon.md': '---\ndraft: true\n---\n# Moon\n',
+        'plot.md': '---\npublish: false\n---\nTwist'
+    });
+    git(vault, 'init', '-q');
+    commit(vault, 'Alice', '2026-09-01T10:00:00+02:00');
+    fs.writeFileSync(path.join(vault, 'Lore/earth.md'), '---\ndraft: true\n---\n# Earth\n\nDraft text\n');
+    commit(vault, 'Bob', '2026-09-02T10:00:00+02:00');
+    fs.writeFileSync(path.join(vault, 'Lore/earth.md'), '# Earth\n\nThe third planet. %% hollow %%\nAllied with [[plot]].\n');
+    fs.writeFileSync(path.join(vault, 'Lore/moon.md'), '# Moon\n');
+    commit(vault, 'Carol', '2026-09-03T10:00:00+02:00');
+
+    const { vault: scanned, site } = buildWiki({ vault, pages: true, outputDir: path.join(vault, 'site') });
+    const history = scanned.history['Lore/earth'];
+    assert.strictEqual(history.created, '2026-09-01T10:00:00+02:00');
+    assert.strictEqual(history.updated, '2026-09-03T10:00:00+02:00');
+    // The draft revision is left out, the latest one compared with the first
+    assert.deepStrictEqual(history.authors.map(author => author.name).sort(), ['Alice', 'Carol']);
+    assert.strictEqual(history.commits, 2);
+    assert.deepStrictEqual(history.changes.map(change => [change.author, change.added, change.removed]), [['Carol', 3, 0], ['Alice', 1, 0]]);
+    // A note is created when first published
+    assert.deepStrictEqual(scanned.history['Lore/moon'].created, '2026-09-03T10:00:00+02:00');
+    assert.deepStrictEqual(scanned.history['Lore/moon'].authors, [{ name: 'Carol', commits: 1 }]);
+
+    const page = site.files.get('Lore/earth.html');
+    assert.match(page, /class="page-dates">Created <time datetime="2026-09-01T10:00:00\+02:00">2026-09-01<\/time>/);
+    assert.match(page, /\+Allied with \[redacted\]\./);
+    assert.doesNotMatch(page, /hollow|Draft text|plot/);
+    assert.match(site.files.get('recent.html'), /Lore\/earth\.html/);
+});
+
+test('line diffs group changes into hunks', () => {
+    const before = 'a\nb\nc\nd\ne\nf\ng\nh\ni\nj\n';
+    const after = 'a\nB\nc\nd\ne\nf\ng\nh\ni\nj\nk\n';
+    const hunks = diffHunks(diffLines(before, after));
+    assert.deepStrictEqual(hunks.map(hunk => [hunk.oldStart, hunk.oldLines, hunk.newStart, hunk.newLines]), [[1, 5, 1, 5], [8, 3, 8, 4]]);
+    assert.deepStrictEqual(hunks[0].lines.slice(1, 3), [['-', 'b'], ['+', 'B']]);
+});
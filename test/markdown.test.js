@@ -0,0 +1,59 @@
+// markdownToHtml: one snapshot per feature, from test/fixtures/markdown/*.md,
+// and the behaviors the snapshots do not show well
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { markdownToHtml, inlineMarkdownToHtml, extractHeadings, stripComments } = require('../lib/markdown');
+const { matchSnapshot } = require('./helpers');
+
+const FIXTURE_DIR = path.join(__dirname, 'fixtures', 'markdown');
+
+test.describe('markdown features', () => {
+    for (const file of fs.readdirSync(FIXTURE_DIR).filter(name => name.endsWith('.md')).sort()) {
+        test(path.basename(file, '.md'), () => {
+            const markdown = fs.readFileSync(path.join(FIXTURE_DIR, file), 'utf-8');
+            matchSnapshot(`markdown/${path.basename(file, '.md')}.html`, markdownToHtml(markdown, { headingIds: true }) + '\n');
+        });
+    }
+});
+
+test('markdown inside code is left as written', () => {
+    const html = markdownToHtml('```\n**not bold** [[not a link]]\n```');
+    assert.match(html, /\*\*not bold\*\* \[\[not a link\]\]/);
+    assert.doesNotMatch(html, /<strong>|wikilink/);
+});
+
+test('separate lists are not merged', () => {
+    const html = markdownToHtml('- a\n\ntext\n\n- b');
+    assert.strictEqual(html.match(/<ul>/g).length, 2);
+});
+
+test('bare URLs are linked after any inline element', () => {
+    for (const markdown of ['~~s~~ https://example.com', '<https://a.b> https://example.com', '`code` https://example.com', 'x https://example.com']) {
+        assert.match(markdownToHtml(markdown), /<a href="https:\/\/example\.com"[^>]*>https:\/\/example\.com<\/a><\/p>/, markdown);
+    }
+    assert.match(markdownToHtml('<https://a.b> www.x.com'), /<a href="http:\/\/www\.x\.com"/);
+});
+
+test('wikilinks without a vault resolve to themselves', () => {
+    const html = inlineMarkdownToHtml('[[Races/humans|Human]] and [[elves#Origins]]');
+    assert.match(html, />Human<\/a>/);
+    assert.match(html, /data-heading="Origins"/);
+    assert.doesNotMatch(html, /\|/);
+});
+
+test('duplicate headings get numbered ids', () => {
+    const headings = extractHeadings('# Age\n\n## Age\n\n## Other');
+    assert.deepStrictEqual(headings.map(h => h.id), ['age', 'age-1', 'other']);
+});
+
+test('comments are stripped outside code', () => {
+    assert.strictEqual(stripComments('a %%b%% c\n```\n%%d%%\n```'), 'a  c\n```\n%%d%%\n```');
+});
+
+test('sanitize: false keeps raw HTML', () => {
+    assert.match(markdownToHtml('<script>x</script>', { sanitize: false }), /<script>x<\/script>/);
+    assert.doesNotMatch(markdownToHtml('<script>x</script>'), /<script>/);
+});
@@ -0,0 +1,274 @@
+// Scanning and building sample vaults through the Node API
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { buildWiki, scanVault, renderMarkdown, writeSite, resolveConfig } = require('../lib/wiki');
+const { updateVault } = require('../lib/vault');
+const { imageSize } = require('../lib/images');
+const { createVault } = require('./helpers');
+
+// The sidebar tree as "Folder/" and "Note" names, nested as arrays
+function treeNames(items) {
+    return items.flatMap(item => (item.type === 'folder' ? [item.name + '/', treeNames(item.children)] : [item.name]));
+}
+
+test('skips excluded, ignored and generated folders', t => {
+    const vault = createVault(t, {
+        'Lore/earth.md': '# Earth',
+        '.obsidian/workspace.md': 'settings',
+        '.git/notes.md': 'git',
+        'node_modules/pkg/README.md': 'package',
+        '_Indexes/index.md': 'index',
+        'Drafts/idea.md': 'idea',
+        'site/Lore/earth.md': 'previous build',
+        '.wiki-cache/stale.md': 'cache',
+        'Drafts/map.png': 'png'
+    });
+    const config = resolveConfig({
+        vault,
+        exclude: ['.obsidian', '.git', 'node_modules', '_Indexes', 'Drafts'],
+        outputDir: path.join(vault, 'site'),
+        cacheDir: path.join(vault, '.wiki-cache')
+    });
+    const { notes, attachments } = scanVault(config);
+    assert.deepStrictEqual(Object.keys(notes), ['Lore/earth']);
+    assert.deepStrictEqual(attachments, {});
+});
+
+test('include globs only publish the matching notes', t => {
+    const vault = createVault(t, { 'Lore/earth.md': 'a', 'Races/humans.md': 'b', 'map.png': 'png' });
+    const { notes, attachments } = scanVault(resolveConfig({ vault, include: ['Lore'] }));
+    assert.deepStrictEqual(Object.keys(notes), ['Lore/earth']);
+    assert.deepStrictEqual(Object.keys(attachments), ['map.png']);
+});
+
+test('orders folders before notes, each by name', t => {
+    const vault = createVault(t, {
+        'zeta.md': '',
+        'Alpha.md': '',
+        'beta.md': '',
+        'Races/humans.md': '',
+        'Races/Elves/high.md': '',
+        'Races/dwarves.md': '',
+        'Empty/.keep': '',
+        'Civilizations/humans.md': ''
+    });
+    const { structure } = scanVault(resolveConfig({ vault }));
+    assert.deepStrictEqual(treeNames(structure), [
+        'Civilizations/', ['humans'],
+        'Races/', ['Elves/', ['high'], 'dwarves', 'humans'],
+        'Alpha', 'beta', 'zeta'
+    ]);
+});
+
+// A width x height GIF header, padded to bytes
+function gifFile(width, height, bytes) {
+    const data = Buffer.alloc(bytes);
+    data.write('GIF89a');
+    data.writeUInt16LE(width, 6);
+    data.writeUInt16LE(height, 8);
+    return data;
+}
+
+test('warns about large images shown much smaller without a thumbnail', t => {
+    const vault = createVault(t, {
+        'Earth.md': '![[map.gif|500]] ![[map.gif|300]] ![[icon.gif|300]] ![[photo.gif|1500]]',
+        'map.gif': gifFile(4000, 3000, 300 * 1024),
+        'icon.gif': gifFile(4000, 3000, 1024),
+        'photo.gif': gifFile(2000, 1500, 300 * 1024)
+    });
+    const warnings = [];
+    const logger = { log() {}, warn: message => warnings.push(message), error() {} };
+    const { notes } = buildWiki({ vault, logger });
+    assert.match(notes.Earth.content, /src="assets\/media\/map\.[0-9a-f]{10}\.gif" alt="map\.gif" width="300"/);
+    assert.deepStrictEqual(warnings.slice(-2), [
+        '⚠ 1 large image(s) shown at less than half their width are published at full size (only PNG and JPEG images get thumbnails):',
+        '  - map.gif, shown 300px wide'
+    ]);
+});
+
+test('JPEG images shown smaller get a JPEG thumbnail', t => {
+    const vault = createVault(t, {
+        'Earth.md': '![[map.jpg|16]]',
+        'map.jpg': fs.readFileSync(path.join(__dirname, 'fixtures', 'images', 'map.jpg'))
+    });
+    const { notes, vault: scanned } = buildWiki({ vault });
+    const [, thumbnail] = notes.Earth.content.match(/src="assets\/media\/(map\.[0-9a-f]{10}-32w\.jpg)"/);
+    assert.deepStrictEqual(imageSize(scanned.media.get(thumbnail)), { width: 32, height: 24 });
+    assert.match(notes.Earth.content, /width="16" height="12"/);
+});
+
+test('keys notes by path and warns about ambiguous names', t => {
+    const vault = createVault(t, { 'Races/humans.md': '', 'Civilizations/humans.md': '' });
+    const warnings = [];
+    const logger = { log() {}, warn: message => warnings.push(message), error() {} };
+    const { notes } = scanVault(resolveConfig({ vault }), { logger });
+    assert.deepStrictEqual(Object.keys(notes).sort(), ['Civilizations/humans', 'Races/humans']);
+    assert.ok(warnings.some(message => message.includes('ambiguous')));
+});
+
+test('warns about an invalid graph.json through the logger', t => {
+    const vault = createVault(t, { 'Earth.md': '# Earth', '.obsidian/graph.json': '{ "showArrow": ' });
+    const warnings = [];
+    const logger = { log() {}, warn: message => warnings.push(message), error() {} };
+    t.mock.method(console, 'warn');
+    buildWiki({ vault, logger });
+    assert.ok(warnings.some(message => message.includes('graph.json')));
+    assert.strictEqual(console.warn.mock.callCount(), 0);
+});
+
+test('does not publish unpublished notes nor their titles', t => {
+    const vault = createVault(t, {
+        'Lore/earth.md': 'Allied with [[plot]], [[wip|the order]] and [[GM/twist]]. %% the GM remark %%',
+        'Lore/wip.md': '---\ndraft: true\n---\nWIP',
+        'plot.md': '---\npublish: false\n---\nThe villain is Bob.',
+        'GM/twist.md': 'Twist'
+    });
+    const { vault: scanned, notes } = buildWiki({ vault, private: ['GM'] });
+    assert.deepStrictEqual(Object.keys(notes), ['Lore/earth']);
+    assert.deepStrictEqual(Object.keys(scanned.privateNotes).sort(), ['GM/twist', 'Lore/wip', 'plot']);
+    const html = notes['Lore/earth'].content;
+    assert.match(html, /the order/);
+    assert.doesNotMatch(html, /plot|twist|wip|GM remark/);
+});
+
+test('does not publish notes whose privacy cannot be read', t => {
+    const vault = createVault(t, {
+        'Earth.md': '# Earth',
+        'typo.md': '---\npublish: false\ntags: [gm, secret\n---\nThe villain is Bob.',
+        'capital.md': '---\npublish: False\n---\nTwist',
+        'upper.md': '---\ndraft: TRUE\n---\nWIP'
+    });
+    const warnings = [];
+    const logger = { log() {}, warn: message => warnings.push(message), error() {} };
+    const { vault: scanned, notes } = buildWiki({ vault, logger });
+    assert.deepStrictEqual(Object.keys(notes), ['Earth']);
+    assert.deepStrictEqual(scanned.privateNotes, {
+        capital: { path: 'capital.md', reason: 'publish: false' },
+        typo: { path: 'typo.md', reason: 'invalid frontmatter' },
+        upper: { path: 'upper.md', reason: 'draft: true' }
+    });
+    assert.ok(warnings.some(message => message.startsWith('⚠ Invalid frontmatter in typo.md, not published')));
+});
+
+test('resolves wikilinks and reports broken ones', t => {
+    const vault = createVault(t, {
+        'Races/humans.md': '# Humans\n\nThey live on [[Earth]] and [[Locations/Mars|the red planet]], not [[Cultures]].',
+        'Locations/Earth.md': '# Earth\n\n## Moons\n\nHome of [[humans]].',
+        'Locations/Mars.md': '# Mars'
+    });
+    const { notes, brokenLinks } = buildWiki({ vault });
+    assert.deepStrictEqual(notes['Races/humans'].links.sort(), ['Locations/Earth', 'Locations/Mars']);
+    assert.deepStrictEqual(brokenLinks, { 'Races/humans': ['Cultures'] });
+    assert.match(notes['Races/humans'].content, /class="wikilink missing"[^>]*>Cultures</);
+    assert.deepStrictEqual(notes['Locations/Earth'].backlinks.map(backlink => backlink.noteId), ['Races/humans']);
+    assert.match(notes['Locations/Earth'].backlinks[0].context, /They live on Earth/);
+});
+
+test('reports links to missing headings and blocks as broken', t => {
+    const vault = createVault(t, {
+        'a.md': '# A\n\n## Real\n\nText. ^blk1',
+        'b.md': '[[a#Nope]], [[a#^nope]], [[a#Real]] and [[a#^blk1]]\n\n![[a#Gone]]'
+    });
+    const { brokenLinks, notes } = buildWiki({ vault, pages: true, outputDir: path.join(vault, 'site') });
+    assert.deepStrictEqual(brokenLinks, { b: ['a#Nope', 'a#^nope', 'a#Gone'] });
+    assert.deepStrictEqual(notes.b.content.match(/href="[^"]*"/g).slice(0, 4), ['href="a.html"', 'href="a.html"', 'href="a.html#real"', 'href="a.html#^blk1"']);
+    assert.deepStrictEqual(buildWiki({ vault }).brokenLinks, { b: ['a#Nope', 'a#^nope', 'a#Gone'] });
+});
+
+test('updating a note re-renders the notes linking to its headings and blocks', t => {
+    const vault = createVault(t, { 'a.md': 'See [[b#Sub]] and [[b#^quote]].', 'b.md': '# B\n\n## Sub\n\nQuoted. ^quote' });
+    const built = buildWiki({ vault, pages: true, outputDir: path.join(vault, 'site'), history: false }).vault;
+    assert.match(built.notes.a.content, /href="b\.html#sub"/);
+
+    fs.writeFileSync(path.join(vault, 'b.md'), '# B\n\n## Renamed\n\nQuoted.');
+    const updated = updateVault(built, ['b.md']);
+    assert.strictEqual(updated, built);
+    assert.deepStrictEqual(updated.notes.a.content.match(/href="[^"]*"/g), ['href="b.html"', 'href="b.html"']);
+    assert.deepStrictEqual(updated.brokenLinks, { a: ['b#Sub', 'b#^quote'] });
+});
+
+test('pages have an element per block id, for links to blocks', t => {
+    const vault = createVault(t, { 'a.md': 'Text. ^blk1\n\n![[b#^quote]]', 'b.md': 'Quoted. ^quote' });
+    const { site } = buildWiki({ vault, pages: true, outputDir: path.join(vault, 'site') });
+    const page = site.files.get('a.html');
+    assert.match(page, /<span class="block-anchor" id="\^blk1" data-block-id="blk1">/);
+    // Embedded blocks keep their anchor without an id, which belongs to their own page
+    assert.match(page, /<span class="block-anchor" data-block-id="quote">/);
+    assert.match(site.files.get('b.html'), /id="\^quote"/);
+});
+
+test('backlinks come from the links rendered, not from code or comments', t => {
+    const vault = createVault(t, {
+        'Earth.md': '# Earth',
+        'plot.md': '---\npublish: false\n---\nTwist',
+        'code.md': '`[[Earth]]`\n\n    [[Earth]]\n\n<!-- [[Earth]] -->',
+        'moon.md': '---\norbits: "[[Earth]]"\n---\nSmall. It circles **[[Earth]]** for [[plot]]! Far away.'
+    });
+    const { notes } = buildWiki({ vault });
+    assert.deepStrictEqual(notes.code.links, []);
+    assert.deepStrictEqual(notes.Earth.backlinks, [
+        { noteId: 'moon', context: 'Orbits: Earth' },
+        { noteId: 'moon', context: 'It circles Earth for [redacted]!' }
+    ]);
+});
+
+test('renderMarkdown resolves against a vault', t => {
+    const vault = createVault(t, { 'Locations/Earth.md': '# Earth\n\n## Moons' });
+    const scanned = buildWiki({ vault, pages: true }).vault;
+    const html = renderMarkdown('See [[Earth#Moons]].', { vault: scanned, pages: true });
+    assert.match(html, /href="Locations\/Earth\.html#moons"/);
+    assert.match(renderMarkdown('**bold**'), /<strong>bold<\/strong>/);
+});
+
+test('multi-page site has a page per note, tag pages and a manifest', t => {
+    const vault = createVault(t, {
+        'Races/humans.md': '---\ntags: [race]\n---\n# Humans\n\n[[Earth]]',
+        'Earth.md': '# Earth'
+    });
+    const { site } = buildWiki({ vault, pages: true, outputDir: path.join(vault, 'site') });
+    assert.ok(site.files.has('index.html'));
+    assert.ok(site.files.has('Races/humans.html'));
+    assert.ok(site.files.has('tags/race.html'));
+    assert.match(site.files.get('Races/humans.html'), /href="\.\.\/Earth\.html"/);
+    const manifest = JSON.parse(site.files.get('manifest.json'));
+    assert.deepStrictEqual(manifest.notes.map(note => note.url).sort(), ['Earth.html', 'Races/humans.html']);
+});
+
+test('multi-page builds fail when a note has the path of a generated page', t => {
+    const vault = createVault(t, {
+        'tags/Lore.md': '# Lore',
+        'Index.md': '# Home',
+        'assets/wiki.md': '# Assets',
+        'Earth.md': 'Old #lore'
+    });
+    assert.throws(() => buildWiki({ vault, pages: true, outputDir: path.join(vault, 'site') }), {
+        message: '3 note(s) have the path of a generated page, rename or exclude them:\n' +
+            '  - assets/wiki.md (the assets folder)\n' +
+            '  - tags/Lore.md (the page of #lore)\n' +
+            '  - Index.md (the home page)'
+    });
+    assert.ok(buildWiki({ vault }).notes['tags/Lore']);
+});
+
+test('the multi-page site only replaces an empty folder or an earlier build', t => {
+    const vault = createVault(t, { 'Earth.md': '# Earth', 'public/manifest.json': '{}', 'public/icon.png': 'png' });
+    const build = outputDir => buildWiki({ vault, pages: true, outputDir: path.join(vault, outputDir), history: false }).site;
+    assert.throws(() => writeSite(build('public')), /public is not empty and was not generated by build-wiki\.js/);
+    assert.ok(fs.existsSync(path.join(vault, 'public', 'icon.png')));
+
+    writeSite(build('site'));
+    fs.writeFileSync(path.join(vault, 'site', 'stale.html'), 'stale');
+    writeSite(build('site'));
+    assert.deepStrictEqual(fs.readdirSync(path.join(vault, 'site')).filter(file => file.endsWith('.html')).sort(), ['Earth.html', 'index.html']);
+});
+
+test('single-file wiki embeds the notes without their markdown', t => {
+    const vault = createVault(t, { 'Earth.md': '# Earth %% the GM remark %%' });
+    const { site } = buildWiki({ vault, output: path.join(vault, 'index.html') });
+    const notes = JSON.parse(site.files.get('index.html').match(/const notes = (.*);\n/)[1]);
+    assert.deepStrictEqual(Object.keys(notes.Earth).sort(), ['backlinks', 'changelog', 'content', 'dates', 'name', 'path', 'tags']);
+    assert.doesNotMatch(JSON.stringify(notes), /GM remark/);
+});